@@ -7,13 +7,35 @@
  *   - Transition probability: P_j = [tau_j]^alpha * [eta_j]^beta / SUM(...)
  *   - Pheromone evaporation:  tau(t+1) = (1 - rho) * tau(t)
  *   - Pheromone deposit:      delta_tau = Q / L  (after completing path)
+ *
+ * TSP mode: the same AS machinery on TSPLIB instances (tsp/TspColony.js)
  */
 require("./lib/zepto.js");
 require("./lib/grid.js");
 
-var Ant = require("./entity/Ant.js");
 var World = require("./entity/World.js");
-var Position = require("./entity/Position.js");
+var Random = require("./entity/Random.js");
+var Simulation = require("./entity/Simulation.js");
+var Metrics = require("./entity/Metrics.js");
+var Params = require("./entity/Params.js");
+var Trail = require("./entity/Trail.js");
+var CanvasRenderer = require("./view/CanvasRenderer.js");
+var MetricsPanel = require("./view/MetricsPanel.js");
+var ColonyPanel = require("./view/ColonyPanel.js");
+var SettingsPanel = require("./view/SettingsPanel.js");
+var SchedulePanel = require("./view/SchedulePanel.js");
+var MapEditor = require("./view/MapEditor.js");
+var Download = require("./view/Download.js");
+var FrameCapture = require("./view/FrameCapture.js");
+var WorldMap = require("./io/WorldMap.js");
+var MapGenerator = require("./io/MapGenerator.js");
+var PheromoneMatrix = require("./io/PheromoneMatrix.js");
+var Recorder = require("./io/Recorder.js");
+var Replay = require("./io/Replay.js");
+var Schedule = require("./experiment/Schedule.js");
+var Tsplib = require("./tsp/Tsplib.js");
+var TspColony = require("./tsp/TspColony.js");
+var TspView = require("./view/TspView.js");
 
 (function() {
 
@@ -23,7 +45,7 @@ var Position = require("./entity/Position.js");
         canvas.width = window.innerWidth;
         canvas.height = window.innerHeight;
         var opts = {
-            distance: 20,
+            distance: World.cellSize,
             lineWidth: 0.5,
             gridColor: "#fff",
             caption: false
@@ -31,34 +53,62 @@ var Position = require("./entity/Position.js");
         new Grid(opts).draw(ctx);
     }
 
+    /**
+     * Read a numeric input, falling back to a default only when it is
+     * not a number (0 is a meaningful value for q0 or xi)
+     */
+    function readNumber(selector, defaultValue) {
+        var value = parseFloat($(selector).val());
+        return isNaN(value) ? defaultValue : value;
+    }
+
     function start() {
         var world;
-        var antList = [];
+        var simulation;
+        var renderer;
+        var editor;                        // drawing tools on the canvas
+        var editTool = MapEditor.TOOL_SELECT;
+        var metrics;
+        var trail;                         // route of every colony, tick by tick
+        var metricsPanel;
+        var colonyPanel;
+        var schedulePanel;
+        var recorder;                      // records the live run
+        var scheduleText = "";             // event script of live runs
+        var scheduleEvents = [];
+        var replay = null;                 // set while a recording is replayed
+        var capture = null;                // GIF recording of the view (FrameCapture)
+        var captureTick = -1;              // tick of the last captured frame
+        var isMetricsShown = false;
+        var isColoniesShown = false;
+        var isScheduleShown = false;
         var isRun = false;
-        var isSimulationStarted = false;
+        var isSimulationStarted = false;   // playing (false while paused)
         var isSettingsApplied = false;
+        var tickInterval = 100;            // ms between ticks
 
         function _run() {
             if (!isRun) {
                 isRun = true;
 
-                if (world && isSettingsApplied && isSimulationStarted) {
-                    // Spawn ants up to configured count
-                    while (antList.length < World.ANT_NUMBER) {
-                        antList.push(new Ant(world));
-                    }
-
-                    // Multiple ant steps per tick to match evaporation timescale
-                    // This is critical: without it, pheromone evaporates before
-                    // ants can complete paths and the feedback loop never forms
-                    for (var step = 0; step < World.stepsPerTick; step++) {
-                        for (var i = 0; i < antList.length; i++) {
-                            antList[i].move();
+                if (world && isSettingsApplied) {
+                    // Headless tick (spawn, s steps, evaporate), then render
+                    if (isSimulationStarted) {
+                        if (replay) {
+                            // The recording ends here: pause on its last tick
+                            if (replay.ended()) {
+                                setPlaying(false);
+                            } else {
+                                replay.step();
+                            }
+                        } else {
+                            simulation.step();
                         }
+                        renderPanels();
                     }
-
-                    // Evaporate once per tick (after all steps), then render
-                    world.evaporateAndRender();
+                    // Also render while paused so map edits show up
+                    renderer.render(simulation.ants);
+                    captureFrame();
                 }
 
                 isRun = false;
@@ -66,12 +116,246 @@ var Position = require("./entity/Position.js");
 
             setTimeout(function() {
                 _run();
-            }, 100);
+            }, tickInterval);
         }
         _run();
 
+        /**
+         * Refresh the side panels and the tick counter after ticks ran
+         */
+        function renderPanels() {
+            if (isMetricsShown) {
+                metricsPanel.render();
+            }
+            if (isColoniesShown) {
+                colonyPanel.render();
+            }
+            $("#tickText").text("tick " + simulation.ticks);
+            if (replay) {
+                $("#replaySeek").val(simulation.ticks);
+            }
+        }
+
+        /**
+         * Play / pause the tick loop
+         */
+        function setPlaying(playing) {
+            isSimulationStarted = playing;
+            $("#playBtn").text(playing ? "暂停" : "继续");
+        }
+
+        /**
+         * Run n ticks at once while paused, then draw the result
+         */
+        function stepTicks(n) {
+            setPlaying(false);
+            $("#metricsBtn").show();
+            if (replay) {
+                seekReplay(Math.min(simulation.ticks + n, replay.recording.ticks));
+            } else {
+                simulation.run(n);
+            }
+            renderPanels();
+            renderer.render(simulation.ants);
+            captureFrame();
+        }
+
+        /**
+         * Add the rendered view to the GIF recording every N ticks
+         */
+        function captureFrame() {
+            var every = parseInt($("#gifEvery").val()) || 1;
+            if (capture && simulation.ticks !== captureTick && simulation.ticks % every === 0) {
+                capture.capture();
+                captureTick = simulation.ticks;
+                $("#gifBtn").text("停止录制 (" + capture.frames() + " 帧)");
+            }
+        }
+
+        /**
+         * File name suffix with the current tick, e.g. "-tick-000200"
+         */
+        function tickSuffix() {
+            return "-tick-" + ("000000" + simulation.ticks).slice(-6);
+        }
+
+        /**
+         * (Re)build world, simulation and views, optionally from a map layout
+         * The new run is recorded from tick 0 and ends any replay; the event
+         * script starts over with it.
+         */
+        function buildWorld(layout) {
+            var size = World.cellSize;
+            var newWorld = layout
+                ? WorldMap.createWorld(layout, size)
+                : new World((World.columns || Math.floor(window.innerWidth / size)) * size,
+                    (World.rows || Math.floor(window.innerHeight / size)) * size, size);
+            endReplay();
+            attach(newWorld, new Simulation(newWorld));
+            recorder = new Recorder(simulation, size);
+            // After the recorder, so the events are recorded as edits
+            var schedule = new Schedule(simulation, scheduleEvents);
+            schedulePanel = new SchedulePanel($("#schedulePanel"), schedule, scheduleText, function(events, text) {
+                scheduleEvents = events;
+                scheduleText = text;
+                setPlaying(false);
+                buildWorld(WorldMap.fromWorld(world, false));
+            });
+        }
+
+        /**
+         * Show a world and simulation: renderer, statistics and panels
+         */
+        function attach(newWorld, newSimulation) {
+            if (renderer) {
+                editor.destroy();
+                renderer.destroy();
+            }
+            world = newWorld;
+            simulation = newSimulation;
+            renderer = new CanvasRenderer(world, document.getElementById('gridBg'), $("#inspector"));
+            renderer.onView = function() {
+                $("#zoomText").text(Math.round(renderer.zoom * 100) + "%");
+            };
+            renderer.onView();
+            editor = new MapEditor(world, renderer);
+            editor.setTool(editTool);
+            metrics = new Metrics(simulation);
+            trail = new Trail(world);
+            metricsPanel = new MetricsPanel($("#metricsPanel"), metrics, trail);
+            showOverlays();
+            colonyPanel = new ColonyPanel($("#colonyPanel"), world);
+            window.world = world;
+            window.simulation = simulation;
+            if (isSettingsApplied) {
+                renderPanels();
+            }
+        }
+
+        /**
+         * Shortest-path and route overlays from the control bar checkboxes
+         */
+        function showOverlays() {
+            renderer.shortestPath = $("#controlShortestPath").prop("checked") ? metrics.shortestPath : null;
+            renderer.trail = $("#controlTrail").prop("checked") ? trail : null;
+        }
+
+        /**
+         * Leave the replay: the user's parameters and seed come back and
+         * the settings panel shows them again
+         */
+        function endReplay() {
+            if (!replay) return;
+            replay.restore();
+            replay = null;
+            $("#replayBar").hide();
+            settingsPanel.setValues(Params.current());
+            $("#controlStepsPerTick").val(World.stepsPerTick);
+        }
+
+        /**
+         * Seek the replay; seeking backwards rebuilds its world
+         */
+        function seekReplay(tick) {
+            replay.seek(tick);
+            if (replay.world !== world) {
+                attach(replay.world, replay.simulation);
+            }
+        }
+
+        /**
+         * Parameters the initial trails depend on (Colony.initialPheromone):
+         * the algorithm, tau0 for ACS, tau_max = Q / (rho * L) and a for MMAS
+         * @returns {string}
+         */
+        function trailSettings() {
+            var values = { algorithm: World.algorithm };
+            if (World.algorithm === World.ALGORITHM_ACS) {
+                values.tau0 = World.tau0;
+            } else if (World.algorithm === World.ALGORITHM_MMAS) {
+                values.Q = World.Q;
+                values.rho = World.rho;
+                values.mmasA = World.mmasA;
+            }
+            return JSON.stringify(values);
+        }
+
+        /**
+         * Read the settings panel into World
+         * @returns {boolean} false (World unchanged) if a field is invalid
+         */
+        function readSettings() {
+            var form = settingsPanel.read();
+            if (Object.keys(form.errors).length > 0) {
+                return false;
+            }
+            Params.apply(form.values);
+            $("#controlStepsPerTick").val(World.stepsPerTick);
+            setPheromoneView(World.showPheromoneType);
+            return true;
+        }
+
+        /**
+         * Show food, home or both pheromones (World.showPheromoneType value),
+         * keeping the settings panel and the control bar in sync
+         */
+        function setPheromoneView(type) {
+            World.showPheromoneType = type;
+            settingsPanel.setValue("showPheromoneType", type);
+            $("#controlPheromoneView").val(String(type));
+        }
+
+        /**
+         * Put the configuration (and the map) into the URL hash
+         * An empty seed and size are replaced by those of the running
+         * world, so the link reproduces this very run.
+         * @returns {string} the link
+         */
+        function shareLink() {
+            var values = settingsPanel.read().values;
+            if (values.seed === null && world) {
+                values.seed = world.seed;
+            }
+            if (world) {
+                values.columns = world.xl;
+                values.rows = world.yl;
+            }
+            var extra = ($("#shareMap").prop("checked") && world)
+                ? { map: WorldMap.toJSON(WorldMap.fromWorld(world, false)) }
+                : null;
+            var hash = Params.toHash(values, extra);
+            history.replaceState(null, "", hash);
+            return location.href;
+        }
+
         // --- UI Event Handlers ---
 
+        var settingsPanel = new SettingsPanel($("#settingsForm"), function(form) {
+            $("#setBtn").toggleClass("disabled", Object.keys(form.errors).length > 0);
+        });
+        var views = Params.BY_NAME.showPheromoneType.options;
+        for (var i = 0; i < views.length; i++) {
+            $("#controlPheromoneView").append($('<option></option>').attr("value", String(views[i].value)).text(views[i].label));
+        }
+
+        // A shared link: its configuration fills the panel, its map is
+        // loaded when the settings are applied
+        var sharedLayout = null;
+        if (location.hash.length > 1) {
+            var shared = Params.fromHash(location.hash);
+            settingsPanel.setValues(shared.values);
+            if (Object.keys(shared.errors).length > 0) {
+                console.warn("Invalid parameters in the link (defaults used):", shared.errors);
+            }
+            if (shared.extra.map) {
+                try {
+                    sharedLayout = WorldMap.parse(shared.extra.map);
+                } catch (e) {
+                    console.warn("Invalid map in the link:", e.message);
+                }
+            }
+        }
+
         // Enter button: close welcome, show settings
         $("#enter").click(function() {
             $("#welcome").hide();
@@ -80,56 +364,472 @@ var Position = require("./entity/Position.js");
 
         // Apply settings button
         $("#setBtn").click(function() {
-            // Read AS parameters from UI
-            World.alpha        = parseFloat($("#paramAlpha").val()) || 1;
-            World.beta         = parseFloat($("#paramBeta").val()) || 2;
-            World.rho          = parseFloat($("#paramRho").val()) || 0.02;
-            World.Q            = parseFloat($("#paramQ").val()) || 100;
-            World.tau0         = parseFloat($("#paramTau0").val()) || 0.01;
-            World.ANT_NUMBER   = parseInt($("#paramAntNumber").val()) || 50;
-            World.maxPathLength = parseInt($("#paramMaxSteps").val()) || 1500;
-            World.maxPathLengthMax = parseInt($("#paramMaxStepsMax").val()) || 2000;
-            World.stepsPerTick = parseInt($("#paramStepsPerTick").val()) || 5;
-
-            // Pheromone visualization type
-            var showType = $("#paramShowType").val();
-            World.showPheromoneType = (showType === "home")
-                ? Position.P_TYPE_HOME
-                : Position.P_TYPE_FOOD;
-
-            // Initialize world (after parameters are set)
-            world = new World(window.innerWidth, window.innerHeight, 20);
-            window.world = world;
+            // Read AS parameters from UI; invalid fields keep the panel open
+            var trails = trailSettings();
+            if (!readSettings()) {
+                return;
+            }
+
+            // Initialize world (after parameters are set); later edits
+            // (while paused) apply to the running world
+            if (!world) {
+                buildWorld(sharedLayout);
+            } else if (world.xl !== (World.columns || world.xl) || world.yl !== (World.rows || world.yl)) {
+                // Another size: a new, empty world
+                setPlaying(false);
+                buildWorld(null);
+            } else if (world.distance !== World.cellSize) {
+                setPlaying(false);
+                buildWorld(WorldMap.fromWorld(world, false));
+            } else if (trailSettings() !== trails) {
+                // Trails of the old rule: restart them at tau0 / tau_max
+                world.clearPheromone();
+            }
+            shareLink();
 
             // Log parameters
             console.log("=== AS Parameters ===");
+            console.log("algorithm =", World.algorithm);
+            if (World.algorithm === World.ALGORITHM_AS) {
+                console.log("deposit =", World.depositModel);
+            }
+            console.log("moves =", World.neighbourhood + (World.cornerCutting ? "" : " (no corner cutting)"));
             console.log("alpha =", World.alpha);
             console.log("beta  =", World.beta);
             console.log("rho   =", World.rho);
             console.log("Q     =", World.Q);
             console.log("tau0  =", World.tau0);
+            console.log("D     =", World.diffusion);
             console.log("m     =", World.ANT_NUMBER);
             console.log("maxL  =", World.maxPathLength, "~", World.maxPathLengthMax);
             console.log("steps/tick =", World.stepsPerTick);
+            console.log("seed  =", world.seed);
+            console.log("food  =", World.foodAmount);
+            if (World.algorithm === World.ALGORITHM_ACS) {
+                console.log("q0    =", World.q0);
+                console.log("xi    =", World.xi);
+            }
+            if (World.algorithm === World.ALGORITHM_MMAS) {
+                console.log("a     =", World.mmasA);
+                console.log("best  =", World.mmasBest);
+            }
 
-            // Hide settings, show start button
+            // Hide settings, show start button on first apply
             $("#settingsPanel").hide();
-            $("#startBtn").show();
+            if (!isSettingsApplied) {
+                $("#startBtn").show();
+            }
+            $("#mapBar").show();
+            $("#editBar").show();
+            $("#colonyBtn").show();
+            $("#scheduleBtn").show();
+            $("#controlBar").show();
             isSettingsApplied = true;
         });
 
+        // --- Map save / load ---
+
+        $("#exportJsonBtn").click(function() {
+            var withPheromone = $("#exportPheromone").prop("checked");
+            Download.text("world.json", WorldMap.toJSON(WorldMap.fromWorld(world, withPheromone)), "application/json");
+        });
+
+        $("#exportAsciiBtn").click(function() {
+            Download.text("world.txt", WorldMap.toAscii(WorldMap.fromWorld(world, false)));
+        });
+
+        $("#importMapBtn").click(function() {
+            $("#importMapFile")[0].click();
+        });
+
+        // --- Snapshots ---
+
+        $("#exportMatrixCsvBtn").click(function() {
+            Download.text("pheromone" + tickSuffix() + ".csv", PheromoneMatrix.toCSV(world), "text/csv");
+        });
+
+        $("#exportMatrixJsonBtn").click(function() {
+            Download.text("pheromone" + tickSuffix() + ".json",
+                PheromoneMatrix.toJSON(world, simulation.ticks), "application/json");
+        });
+
+        // The view as it is on screen (zoom, overlays, heat map)
+        $("#snapshotBtn").click(function() {
+            renderer.render(simulation.ants);
+            Download.url("aco" + tickSuffix() + ".png", document.getElementById('gridBg').toDataURL("image/png"));
+        });
+
+        // Start / stop recording the view into an animated GIF
+        $("#gifBtn").click(function() {
+            if (capture) {
+                if (capture.frames() > 0) {
+                    Download.bytes("aco-run.gif", capture.finish(), "image/gif");
+                }
+                capture = null;
+                $(this).text("录制 GIF");
+                return;
+            }
+            capture = new FrameCapture(document.getElementById('gridBg'));
+            captureTick = -1;
+            captureFrame();
+        });
+
+        // --- View ---
+
+        $(window).on("resize", function() {
+            if (renderer) {
+                renderer.resize();
+            }
+        });
+
+        $("#fitViewBtn").click(function() {
+            renderer.fit();
+        });
+
+        // --- Drawing tools and generators ---
+
+        $("#editBar .tool").click(function() {
+            editTool = $(this).attr("data-tool");
+            editor.setTool(editTool);
+            $("#editBar .tool").removeClass("active");
+            $(this).addClass("active");
+        });
+
+        $("#generatorType").change(function() {
+            var type = $(this).val();
+            $("#editBar [data-generator]").each(function() {
+                $(this).css({ display: ($(this).attr("data-generator") === type) ? "inline" : "none" });
+            });
+        }).trigger("change");
+
+        // A generated map replaces the world (same size), seeded like the run
+        $("#generateBtn").click(function() {
+            var random = new Random(World.seed);
+            var layout;
+            try {
+                layout = MapGenerator.generate($("#generatorType").val(), world.xl, world.yl, {
+                    density: readNumber("#generatorDensity", 25) / 100,
+                    upper: readNumber("#bridgeUpper", 20),
+                    lower: readNumber("#bridgeLower", 40)
+                }, random);
+            } catch (e) {
+                alert(e.message);
+                return;
+            }
+            setPlaying(false);
+            buildWorld(layout);
+            $("#generatorInfo").text("种子 " + random.seed);
+        });
+
+        // --- Record / replay ---
+
+        $("#saveRecordingBtn").click(function() {
+            if (replay) {
+                Download.text("run.json", JSON.stringify(replay.recording), "application/json");
+            } else {
+                Download.text("run.json", recorder.toJSON(), "application/json");
+            }
+        });
+
+        $("#loadRecordingBtn").click(function() {
+            $("#importRecordingFile")[0].click();
+        });
+
+        $("#importRecordingFile").change(function() {
+            var file = this.files[0];
+            if (!file) return;
+            this.value = "";
+            Download.readText(file, function(text) {
+                var recording;
+                try {
+                    recording = Replay.parse(text);
+                } catch (e) {
+                    alert(e.message);
+                    return;
+                }
+                setPlaying(false);
+                // Leave a running replay first, so the user's settings are
+                // the ones the new replay keeps
+                if (replay) {
+                    buildWorld(WorldMap.fromWorld(world, false));
+                }
+                try {
+                    replay = new Replay(recording);
+                } catch (e) {
+                    alert(e.message);
+                    return;
+                }
+                // The replay runs on the recorded parameters, not the panel's
+                $("#settingsPanel").hide();
+                attach(replay.world, replay.simulation);
+                // The recording holds the events of its run as edits
+                isScheduleShown = false;
+                $("#schedulePanel").hide();
+                $("#replaySeek").attr("max", replay.recording.ticks).val(0);
+                $("#replayLength").text("/ " + replay.recording.ticks);
+                $("#replayInfo").text(file.name + "，" + replay.recording.ticks + " tick，种子 " + replay.recording.seed);
+                $("#replayBar").show();
+            });
+        });
+
+        $("#replaySeek").on("change", function() {
+            setPlaying(false);
+            seekReplay(parseInt($(this).val()) || 0);
+            renderPanels();
+        });
+
+        // Frames every N ticks over the whole recording, one PNG each or
+        // one animated GIF
+        $("#exportFramesBtn").click(function() {
+            var every = parseInt($("#frameEvery").val()) || 100;
+            var canvas = document.getElementById('gridBg');
+            var gif = ($("#frameFormat").val() === "gif") ? new FrameCapture(canvas) : null;
+            setPlaying(false);
+            replay.frames(0, replay.recording.ticks, every, function(tick) {
+                if (replay.world !== world) {
+                    attach(replay.world, replay.simulation);
+                }
+                renderer.render(simulation.ants);
+                if (gif) {
+                    gif.capture();
+                } else {
+                    Download.url("frame-" + ("000000" + tick).slice(-6) + ".png", canvas.toDataURL("image/png"));
+                }
+            });
+            if (gif) {
+                Download.bytes("replay.gif", gif.finish(), "image/gif");
+            }
+            renderPanels();
+        });
+
+        $("#exitReplayBtn").click(function() {
+            setPlaying(false);
+            buildWorld(WorldMap.fromWorld(world, false));
+        });
+
+        $("#importMapFile").change(function() {
+            var file = this.files[0];
+            if (!file) return;
+            this.value = "";
+            Download.readText(file, function(text) {
+                try {
+                    var layout = WorldMap.parse(text);
+                    buildWorld(layout);
+                } catch (e) {
+                    alert(e.message);
+                }
+            });
+        });
+
         // Start simulation button
         $("#startBtn").click(function() {
             if (!isSettingsApplied) {
                 alert("Please set parameters first!");
                 return;
             }
-            isSimulationStarted = true;
+            setPlaying(true);
             $(this).hide();
+            $("#metricsBtn").show();
+        });
+
+        // --- Transport controls ---
+
+        $("#playBtn").click(function() {
+            setPlaying(!isSimulationStarted);
+            $("#startBtn").hide();
+            $("#metricsBtn").show();
+        });
+
+        $("#stepBtn").click(function() {
+            stepTicks(1);
+        });
+
+        $("#stepNBtn").click(function() {
+            var n = parseInt($("#stepCount").val());
+            if (n > 0) {
+                stepTicks(n);
+            }
+        });
+
+        $("#tickInterval").on("input change", function() {
+            tickInterval = parseInt($(this).val()) || 0;
+            $("#tickIntervalText").text(tickInterval + "ms");
+        });
+
+        $("#controlStepsPerTick").change(function() {
+            var steps = parseInt($(this).val());
+            if (steps > 0) {
+                World.stepsPerTick = steps;
+                settingsPanel.setValue("stepsPerTick", steps);
+            }
+        });
+
+        $("#controlPheromoneView").change(function() {
+            setPheromoneView(Params.parse(Params.BY_NAME.showPheromoneType, $(this).val()).value);
+        });
+
+        $("#shareBtn").click(function() {
+            var url = shareLink();
+            $("#shareUrl").val(url).show()[0].select();
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(url);
+            }
+        });
+
+        $("#controlShortestPath, #controlTrail").change(function() {
+            showOverlays();
+        });
+
+        $("#clearPheromoneBtn").click(function() {
+            world.clearPheromone();
+        });
+
+        $("#resetAntsBtn").click(function() {
+            simulation.resetAnts();
+        });
+
+        // Rebuild the world from its own map: tick 0, no trails, same layout
+        $("#resetWorldBtn").click(function() {
+            setPlaying(false);
+            buildWorld(WorldMap.fromWorld(world, false));
+        });
+
+        // Edit parameters (the simulation pauses meanwhile)
+        $("#editParamsBtn").click(function() {
+            if (replay) return;
+            setPlaying(false);
+            $("#settingsPanel").show();
+        });
+
+        // Toggle live convergence charts
+        $("#metricsBtn").click(function() {
+            isMetricsShown = !isMetricsShown;
+            $("#metricsPanel").css({ display: isMetricsShown ? "block" : "none" });
+            if (isMetricsShown) {
+                metricsPanel.render();
+            }
+        });
+
+        // Toggle colony editor
+        $("#colonyBtn").click(function() {
+            isColoniesShown = !isColoniesShown;
+            $("#colonyPanel").css({ display: isColoniesShown ? "block" : "none" });
+            if (isColoniesShown) {
+                isScheduleShown = false;
+                $("#schedulePanel").hide();
+                colonyPanel.render();
+            }
+        });
+
+        // Toggle event script editor (same side as the colony editor)
+        $("#scheduleBtn").click(function() {
+            if (replay) return;
+            isScheduleShown = !isScheduleShown;
+            $("#schedulePanel").css({ display: isScheduleShown ? "block" : "none" });
+            if (isScheduleShown) {
+                isColoniesShown = false;
+                $("#colonyPanel").hide();
+                schedulePanel.render();
+            }
+        });
+    }
+
+    /**
+     * TSP mode: load a TSPLIB file and run the Ant System on its cities
+     */
+    function startTsp() {
+        var canvas = document.getElementById('tspCanvas');
+        var view = new TspView(canvas);
+        var instance = null;
+        var colony = null;
+        var timer = null;
+
+        function resize() {
+            canvas.width = window.innerWidth - 300;
+            canvas.height = window.innerHeight;
+            if (colony) { view.render(colony); }
+        }
+
+        function stop() {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            $("#tspRunBtn").text("开始求解");
+        }
+
+        function loop() {
+            var r = colony.iterate();
+            var optimum = Tsplib.optimum(instance);
+            var gap = (optimum != null)
+                ? "，最优 " + optimum + "，差距 " + (100 * (r.best - optimum) / optimum).toFixed(2) + "%"
+                : "";
+            $("#tspSummary").text("迭代 " + r.iteration + "：最短 " + r.best + gap);
+            $("#tspLog").prepend(r.iteration + "\t" + r.best + "\t" + r.iterationBest + "\t" + r.mean.toFixed(1) + "\n");
+            view.render(colony);
+            timer = setTimeout(loop, 0);
+        }
+
+        $("#tspFile").change(function() {
+            var file = this.files[0];
+            if (!file) return;
+            stop();
+            var reader = new FileReader();
+            reader.onload = function() {
+                try {
+                    instance = Tsplib.parse(reader.result);
+                } catch (e) {
+                    alert(e.message);
+                    return;
+                }
+                colony = null;
+                $("#tspLog").text("");
+                $("#tspSummary").text(instance.name + "：" + instance.dimension + " 个城市 (" + instance.edgeWeightType + ")");
+                view.render({ instance: instance, bestTour: null });
+            };
+            reader.readAsText(file);
+        });
+
+        $("#tspRunBtn").click(function() {
+            if (!instance) {
+                alert("Please load a .tsp file first!");
+                return;
+            }
+            if (timer) {
+                stop();
+                return;
+            }
+            if (!colony) {
+                // The colony's own parameters (checked by TspColony): the grid's World ones stay
+                try {
+                    colony = new TspColony(instance, {
+                        alpha: readNumber("#tspAlpha", TspColony.DEFAULTS.alpha),
+                        beta: readNumber("#tspBeta", TspColony.DEFAULTS.beta),
+                        rho: readNumber("#tspRho", TspColony.DEFAULTS.rho),
+                        Q: readNumber("#tspQ", TspColony.DEFAULTS.Q),
+                        ants: readNumber("#tspAnts", instance.dimension),
+                        seed: readNumber("#tspSeed", null)
+                    });
+                } catch (e) {
+                    alert(e.message);
+                    return;
+                }
+                $("#tspLog").text("iteration\tbest\titeration_best\tmean\n");
+            }
+            $(this).text("暂停");
+            loop();
+        });
+
+        $("#enterTsp").click(function() {
+            $("#welcome").hide();
+            $("#tspPanel").show();
+            resize();
         });
+        $(window).on("resize", resize);
     }
 
     initGridBg();
     start();
+    startTsp();
 
 })();
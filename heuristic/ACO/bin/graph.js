@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Route ants through a graph (edge-list JSON or GeoJSON, see
+ * graph/GraphLoader.js) and report the best path per iteration with the
+ * gap to the shortest path (Dijkstra)
+ *
+ * Usage:
+ *   node bin/graph.js <file.json> [--source ID] [--target ID[;ID...]]
+ *                     [--iterations 100] [--seed 1] [--algorithm AS|ACS|MMAS]
+ *                     [--heuristic weight|target] [--alpha 1] [--beta 2]
+ *                     [--rho 0.1] [--Q 1] [--ants 20]
+ * Node ids may also be given as "x,y" (the nearest node, e.g. lon,lat).
+ */
+
+var fs = require("fs");
+var World = require("../entity/World.js");
+var GraphLoader = require("../graph/GraphLoader.js");
+var GraphColony = require("../graph/GraphColony.js");
+
+function parseArgs(argv) {
+    var args = { file: null };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i].indexOf("--") === 0) {
+            args[argv[i].substring(2)] = argv[++i];
+        } else {
+            args.file = argv[i];
+        }
+    }
+    return args;
+}
+
+var args = parseArgs(process.argv.slice(2));
+if (!args.file) {
+    console.error("Usage: node bin/graph.js <file.json> [--source ID] [--target ID;...] " +
+        "[--iterations N] [--seed S] [--algorithm AS|ACS|MMAS] [--heuristic weight|target] " +
+        "[--alpha A] [--beta B] [--rho R] [--Q Q] [--ants M]");
+    process.exit(1);
+}
+
+/**
+ * Numeric option, or the default when it is not given; exits on a value
+ * that is not a number or outside [min, max]
+ */
+function number(name, min, max, integer, defaultValue) {
+    if (args[name] == null) {
+        return defaultValue;
+    }
+    var value = Number(args[name]);
+    if (args[name] === "" || isNaN(value) || value < min || value > max ||
+        (integer && value !== Math.floor(value))) {
+        console.error("--" + name + " must be " + (integer ? "an integer" : "a number") +
+            " in [" + min + ", " + max + "]: " + args[name]);
+        process.exit(1);
+    }
+    return value;
+}
+
+/**
+ * Option from a fixed list, or the default; exits on anything else
+ */
+function choice(name, values, defaultValue) {
+    if (args[name] == null) {
+        return defaultValue;
+    }
+    if (values.indexOf(args[name]) < 0) {
+        console.error("--" + name + " must be one of " + values.join(", ") + ": " + args[name]);
+        process.exit(1);
+    }
+    return args[name];
+}
+
+var algorithm = choice("algorithm", [World.ALGORITHM_AS, World.ALGORITHM_ACS, World.ALGORITHM_MMAS],
+    World.ALGORITHM_AS);
+var heuristic = choice("heuristic", ["weight", "target"], "weight");
+var params = {
+    algorithm: algorithm,
+    alpha: number("alpha", 0, Infinity, false, 1),
+    beta: number("beta", 0, Infinity, false, 2),
+    rho: number("rho", 0, 1, false, 0.1),
+    Q: number("Q", 0, Infinity, false, 1),
+    ANT_NUMBER: number("ants", 1, Infinity, true, 20)
+};
+// Without evaporation the MMAS limit tau_max = Q / (rho L) is infinite
+if (params.rho === 0) {
+    console.error("--rho must be a number in (0, 1]: " + args.rho);
+    process.exit(1);
+}
+var seed = number("seed", 0, Infinity, true, null);
+var iterations = number("iterations", 0, Infinity, true, 100);
+
+var graph;
+var colony;
+try {
+    graph = GraphLoader.parse(fs.readFileSync(args.file, "utf8"));
+    colony = new GraphColony(graph, {
+        source: args.source,
+        targets: (args.target != null) ? args.target.split(";") : null,
+        heuristic: (heuristic === "target") ? GraphColony.towardsTarget : GraphColony.inverseWeight,
+        params: params,
+        seed: seed
+    });
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+var optimum = colony.optimum.length;
+
+console.log(graph.nodes.length + " nodes, " + graph.edges.length + " edges (" + graph.metric +
+    "), " + algorithm + ", seed " + colony.seed + ", " + colony.source.id + " -> " +
+    colony.targets.map(function(t) { return t.id; }).join(" | ") + ", shortest " + optimum);
+console.log("iteration\tbest\titeration_best\tmean\tarrived\tgap_%");
+for (var i = 0; i < iterations; i++) {
+    var r = colony.iterate();
+    console.log(r.iteration + "\t" + r.best + "\t" + r.iterationBest + "\t" +
+        (r.mean != null ? r.mean.toFixed(1) : "-") + "\t" + r.arrived + "\t" +
+        (r.best < Infinity ? (100 * (r.best - optimum) / optimum).toFixed(2) : "-"));
+}
+console.log("best path: " + (colony.bestPath ? colony.bestPath.map(function(node) {
+    return node.id;
+}).join(" ") : "none"));
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Run a parameter sweep headless on a map and write one CSV row per run
+ * (see experiment/Sweep.js for the spec format and the outcome columns)
+ *
+ * Usage:
+ *   node bin/sweep.js <map.json|map.txt> <sweep.json> [--ticks 2000] [--out results.csv]
+ */
+
+var fs = require("fs");
+var WorldMap = require("../io/WorldMap.js");
+var Sweep = require("../experiment/Sweep.js");
+
+function parseArgs(argv) {
+    var args = { files: [] };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i].indexOf("--") === 0) {
+            args[argv[i].substring(2)] = argv[++i];
+        } else {
+            args.files.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+var USAGE = "Usage: node bin/sweep.js <map> <sweep.json> [--ticks N] [--out results.csv]";
+
+var args = parseArgs(process.argv.slice(2));
+if (args.files.length < 2) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+/**
+ * Numeric option, or the default when it is not given; exits with the
+ * usage line on a value that is not a number or outside [min, max]
+ */
+function number(name, min, max, integer, defaultValue) {
+    if (args[name] == null) {
+        return defaultValue;
+    }
+    var value = Number(args[name]);
+    if (args[name] === "" || isNaN(value) || value < min || value > max ||
+        (integer && value !== Math.floor(value))) {
+        console.error("--" + name + " must be " + (integer ? "an integer" : "a number") +
+            " in [" + min + ", " + max + "]: " + args[name]);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    return value;
+}
+
+var ticks = number("ticks", 1, Infinity, true);
+try {
+    var layout = WorldMap.parse(fs.readFileSync(args.files[0], "utf8"));
+    var spec = Sweep.parseSpec(fs.readFileSync(args.files[1], "utf8"));
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+if (ticks != null) {
+    spec.ticks = ticks;
+}
+
+var columns = Sweep.columns(spec);
+var out = args.out ? fs.openSync(args.out, "w") : null;
+
+function write(line) {
+    if (out !== null) {
+        fs.writeSync(out, line + "\n");
+    } else {
+        console.log(line);
+    }
+}
+
+write(columns.join(","));
+Sweep.run(layout, spec, function(row, index, total) {
+    write(Sweep.csvLine(row, columns));
+    console.error("run " + index + "/" + total);
+});
+if (out !== null) {
+    fs.closeSync(out);
+}
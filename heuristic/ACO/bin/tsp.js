@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Solve a TSPLIB instance with the Ant System and report tour length
+ * per iteration (and the gap to the known optimum when there is one)
+ *
+ * Usage:
+ *   node bin/tsp.js <file.tsp> [--iterations 200] [--seed 1]
+ *                   [--alpha 1] [--beta 5] [--rho 0.5] [--Q 100] [--ants 51]
+ */
+
+var fs = require("fs");
+var Tsplib = require("../tsp/Tsplib.js");
+var TspColony = require("../tsp/TspColony.js");
+
+function parseArgs(argv) {
+    var args = { file: null };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i].indexOf("--") === 0) {
+            args[argv[i].substring(2)] = argv[++i];
+        } else {
+            args.file = argv[i];
+        }
+    }
+    return args;
+}
+
+var args = parseArgs(process.argv.slice(2));
+if (!args.file) {
+    console.error("Usage: node bin/tsp.js <file.tsp> [--iterations N] [--seed S] " +
+        "[--alpha A] [--beta B] [--rho R] [--Q Q] [--ants M]");
+    process.exit(1);
+}
+
+/**
+ * Numeric option, or the default when it is not given; exits on a value
+ * that is not a number or outside [min, max]
+ */
+function number(name, min, max, integer, defaultValue) {
+    if (args[name] == null) {
+        return defaultValue;
+    }
+    var value = Number(args[name]);
+    if (args[name] === "" || isNaN(value) || value < min || value > max ||
+        (integer && value !== Math.floor(value))) {
+        console.error("--" + name + " must be " + (integer ? "an integer" : "a number") +
+            " in [" + min + ", " + max + "]: " + args[name]);
+        process.exit(1);
+    }
+    return value;
+}
+
+/**
+ * Colony option checked against TspColony.RANGES
+ */
+function option(name) {
+    var range = TspColony.RANGES[name];
+    return number(name, range.min, range.max, range.integer);
+}
+
+var instance = Tsplib.parse(fs.readFileSync(args.file, "utf8"));
+
+// TSP defaults from Dorigo et al. (1996): alpha = 1, beta = 5, rho = 0.5, m = n
+var iterations = number("iterations", 0, Infinity, true, 200);
+var colony = new TspColony(instance, {
+    alpha: option("alpha"),
+    beta: option("beta"),
+    rho: option("rho"),
+    Q: option("Q"),
+    ants: option("ants"),
+    seed: option("seed")
+});
+var optimum = Tsplib.optimum(instance);
+
+console.log(instance.name + ": " + instance.dimension + " cities (" + instance.edgeWeightType +
+    "), seed " + colony.seed + (optimum != null ? ", optimum " + optimum : ""));
+console.log("iteration\tbest\titeration_best\tmean" + (optimum != null ? "\tgap_%" : ""));
+for (var i = 0; i < iterations; i++) {
+    var r = colony.iterate();
+    var line = r.iteration + "\t" + r.best + "\t" + r.iterationBest + "\t" + r.mean.toFixed(1);
+    if (optimum != null) {
+        line += "\t" + (100 * (r.best - optimum) / optimum).toFixed(2);
+    }
+    console.log(line);
+}
+console.log("best tour: " + (colony.bestTour ? colony.bestTour.map(function(c) {
+    return instance.cities[c].id;
+}).join(" ") : "none"));
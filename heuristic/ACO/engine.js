@@ -0,0 +1,39 @@
+/**
+ * Headless simulation core (no DOM / Zepto), usable from Node:
+ *
+ *   var aco = require("./engine.js");
+ *   var world = new aco.World(800, 600, 20);
+ *   world.getPosition(5, 5).changeType(aco.Position.TYPE_FOOD);
+ *   var sim = new aco.Simulation(world);
+ *   sim.run(1000);
+ *
+ * The browser page (aco.js) attaches a view/CanvasRenderer to the same world.
+ */
+module.exports = {
+    World: require("./entity/World.js"),
+    Ant: require("./entity/Ant.js"),
+    Colony: require("./entity/Colony.js"),
+    Position: require("./entity/Position.js"),
+    Direction: require("./entity/Direction.js"),
+    Simulation: require("./entity/Simulation.js"),
+    Metrics: require("./entity/Metrics.js"),
+    Trail: require("./entity/Trail.js"),
+    ShortestPath: require("./entity/ShortestPath.js"),
+    Params: require("./entity/Params.js"),
+    Random: require("./entity/Random.js"),
+    WorldMap: require("./io/WorldMap.js"),
+    MapGenerator: require("./io/MapGenerator.js"),
+    PheromoneMatrix: require("./io/PheromoneMatrix.js"),
+    GifEncoder: require("./io/GifEncoder.js"),
+    Recorder: require("./io/Recorder.js"),
+    Replay: require("./io/Replay.js"),
+    Sweep: require("./experiment/Sweep.js"),
+    Schedule: require("./experiment/Schedule.js"),
+    Tsplib: require("./tsp/Tsplib.js"),
+    TspColony: require("./tsp/TspColony.js"),
+    Graph: require("./graph/Graph.js"),
+    GraphWorld: require("./graph/GraphWorld.js"),
+    GraphColony: require("./graph/GraphColony.js"),
+    GraphLoader: require("./graph/GraphLoader.js"),
+    GridGraph: require("./graph/GridGraph.js")
+};
@@ -6,23 +6,51 @@
  *   Pheromone deposit:       delta_tau = Q / L  (ant-cycle, deposit after completing path)
  *   Pheromone evaporation:   tau(t+1) = (1 - rho) * tau(t)  (handled by World)
  *
+ * Ant Colony System variant (Dorigo & Gambardella, 1997), World.algorithm = ACS:
+ *   Pseudo-random proportional rule: with probability q0 take argmax [tau]^alpha * [eta]^beta,
+ *                                    otherwise the AS roulette wheel
+ *   Local update (every move):       tau = (1 - xi) * tau + xi * tau0
+ *   Global update (World):           only the best trip so far is reinforced
+ *
+ * MAX-MIN Ant System variant (Stuetzle & Hoos, 2000), World.algorithm = MMAS:
+ *   Same transition rule as AS; trails start at tau_max and are bounded by
+ *   World, so tau0 is not added. Ants only report trips, World lets the
+ *   iteration-best or global-best one deposit.
+ *
+ * Colonies: every ant belongs to a Colony whose parameters and private
+ * pheromone channels it uses; it only delivers food to its own nest.
+ *
  * Foraging adaptation:
  *   - FIND_FOOD phase: follow food pheromone (tau = food_pheromone), eta = 1
  *   - CARRY_FOOD phase: follow home pheromone (tau = home_pheromone), eta = 1/d_home
  *   - Tabu list: positions already in current path are forbidden
  *   - Deposit timing: ant-cycle model - deposit Q/L on entire path upon reaching destination
+ *
+ * Per-step AS models, World.depositModel:
+ *   ant-density:  delta_tau = Q on every cell moved onto
+ *   ant-quantity: delta_tau = Q / d_ij (1 straight, sqrt(2) diagonal)
+ * The trail laid while moving leads back where the ant came from:
+ * searching ants lay home pheromone, carrying ants lay food pheromone.
+ *
+ * L and d_ij are real step costs (World.cellDistance), so a diagonal
+ * staircase is longer than the straight line it approximates.
+ *
+ * The ant only reaches its world through the provider interface that World
+ * implements for the grid (see World); GraphWorld implements it for any
+ * graph, where GraphColony and TspColony drive the ants.
  */
 
 var World = require("./World.js");
 var Position = require("./Position.js");
-var Direction = require("./Direction.js");
+var Colony = require("./Colony.js");
 
-function Ant(world) {
+function Ant(world, colony) {
     this._world = world;
+    this.colony = colony || world.colonies[0];
     this.path = [];            // current path (list of Position references)
+    this._tabu = {};           // cell key -> true for cells in path (O(1) tabu lookup)
     this.status = null;        // FIND_FOOD or CARRY_FOOD
     this.homePosition = null;  // home cell reference
-    this.dom = null;
 
     this._init();
 }
@@ -34,10 +62,11 @@ Ant.STATUS_CARRY_FOOD = 1;  // carrying food back to home
 /**
  * Roulette wheel selection (standard stochastic universal sampling)
  * @param {number[]} probs - normalized probability array (sums to 1)
+ * @param {Random} [random] - seeded generator (defaults to Math.random)
  * @returns {number} selected index
  */
-Ant.rouletteWheel = function(probs) {
-    var r = Math.random();
+Ant.rouletteWheel = function(probs, random) {
+    var r = (random || Math).random();
     var cumulative = 0;
     for (var i = 0; i < probs.length; i++) {
         cumulative += probs[i];
@@ -48,62 +77,110 @@ Ant.rouletteWheel = function(probs) {
     return probs.length - 1;
 };
 
+/**
+ * Index of the largest value (first one on ties)
+ * @param {number[]} values
+ * @returns {number}
+ */
+Ant.argMax = function(values) {
+    var best = 0;
+    for (var i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) {
+            best = i;
+        }
+    }
+    return best;
+};
+
+/**
+ * Transition rule: with probability q0 (ACS) the best candidate, otherwise
+ * the AS random-proportional choice (uniform when every value is 0)
+ * @param {number[]} values - [tau]^alpha * [eta]^beta per candidate (normalized in place)
+ * @param {Random} random
+ * @param {number|null} q0 - ACS exploitation probability, null for AS / MMAS
+ * @returns {number} index of the chosen candidate
+ */
+Ant.choose = function(values, random, q0) {
+    if (q0 != null && random.random() < q0) {
+        return Ant.argMax(values);
+    }
+    var sum = 0;
+    for (var i = 0; i < values.length; i++) {
+        sum += values[i];
+    }
+    for (var i = 0; i < values.length; i++) {
+        values[i] = (sum > 0) ? values[i] / sum : 1.0 / values.length;
+    }
+    return Ant.rouletteWheel(values, random);
+};
+
 /**
  * Initialize / reset ant to home position
  */
 Ant.prototype._init = function() {
-    this.path = [];
     this.status = Ant.STATUS_FIND_FOOD;
-    this.homePosition = this._world.homePosition;
-    this.path.push(this.homePosition);
+    this.homePosition = this.colony.homePosition;
+    this._startPath(this.homePosition);
 
     // Random max path length per ant to stagger resets
     var min = World.maxPathLength;
     var max = World.maxPathLengthMax;
-    this._maxPath = min + Math.floor(Math.random() * (max - min + 1));
-
-    if (!this.dom) {
-        this.dom = $('<div></div>');
-        $("body").append(this.dom);
-        this.dom.addClass("ant");
-    }
-    this.dom.removeClass("green");
-    this._updateDom();
+    this._maxPath = min + this._world.random.nextInt(max - min + 1);
 };
 
 /**
- * Update DOM position to current cell
+ * Current cell of the ant (last element of its path)
  */
-Ant.prototype._updateDom = function() {
-    var pos = this.path[this.path.length - 1];
-    this.dom.css({
-        left: pos.x * this._world.distance,
-        top: pos.y * this._world.distance
-    });
+Ant.prototype.getPosition = function() {
+    return this.path[this.path.length - 1];
 };
 
 /**
- * Get all valid (non-null, non-barrier) neighboring positions
+ * Get all valid neighboring positions in the World.neighbourhood
  */
 Ant.prototype._getNeighbors = function(position) {
-    var neighbors = [];
-    for (var i = 0; i < Direction.M.length; i++) {
-        var np = position.move(Direction.M[i], this._world.map);
-        if (np !== null && np.type !== Position.TYPE_BARRIER) {
-            neighbors.push(np);
-        }
-    }
-    return neighbors;
+    return this._world.getNeighbors(position);
+};
+
+/**
+ * Tabu list key of a cell
+ */
+Ant.prototype._key = function(position) {
+    return this._world.key(position);
+};
+
+/**
+ * Start a new path at position (clears the tabu list)
+ */
+Ant.prototype._startPath = function(position) {
+    this.path = [position];
+    this._tabu = {};
+    this._tabu[this._key(position)] = true;
+};
+
+/**
+ * Append position to the current path
+ */
+Ant.prototype._visit = function(position) {
+    this.path.push(position);
+    position.visits++;
+    this._tabu[this._key(position)] = true;
 };
 
 /**
  * Check if position is in current path (tabu list)
  */
 Ant.prototype._isInPath = function(position) {
-    for (var i = 0; i < this.path.length; i++) {
-        if (this.path[i] === position) return true;
-    }
-    return false;
+    return this._tabu[this._key(position)] === true;
+};
+
+/**
+ * Pheromone channel the ant currently follows (of its colony)
+ * FIND_FOOD follows P_TYPE_FOOD, CARRY_FOOD follows P_TYPE_HOME
+ */
+Ant.prototype._followType = function() {
+    var pType = (this.status === Ant.STATUS_FIND_FOOD) ? Position.P_TYPE_FOOD : Position.P_TYPE_HOME;
+    return this.colony.channel(pType);
 };
 
 /**
@@ -113,6 +190,14 @@ Ant.prototype._isInPath = function(position) {
  *
  * - FIND_FOOD: tau = food pheromone + tau0, eta = 1
  * - CARRY_FOOD: tau = home pheromone + tau0, eta = 1 / distance_to_home
+ * (eta comes from the world, see World.heuristic)
+ *
+ * ACS: trails are initialised at tau0 instead of adding it here, and the
+ * best candidate is taken directly with probability q0.
+ * MMAS: tau_min already keeps every probability above zero.
+ *
+ * Colonies repelled by foreign trails divide each value by
+ * (1 + repulsion * tau_foreign).
  *
  * @param {Position} current - current position
  * @returns {Position|null} selected next position
@@ -134,78 +219,100 @@ Ant.prototype._selectNext = function(current) {
     }
 
     // --- Compute transition probabilities ---
-    var alpha = World.alpha;
-    var beta = World.beta;
-    var tau0 = World.tau0;
+    var colony = this.colony;
+    var alpha = colony.param("alpha");
+    var beta = colony.param("beta");
+    var algorithm = colony.param("algorithm");
+    var tau0 = (algorithm === World.ALGORITHM_AS) ? colony.param("tau0") : 0;
+    var channel = this._followType();
+    var isRepelled = colony.foreignTrails === Colony.FOREIGN_REPEL;
     var values = [];
-    var sum = 0;
 
     for (var i = 0; i < allowed.length; i++) {
-        var tau, eta;
-
-        if (this.status === Ant.STATUS_FIND_FOOD) {
-            // Follow food pheromone to find food
-            tau = allowed[i].getP(Position.P_TYPE_FOOD) + tau0;
-            // No heuristic for food search (food location unknown)
-            eta = 1;
-        } else {
-            // Follow home pheromone to return home
-            tau = allowed[i].getP(Position.P_TYPE_HOME) + tau0;
-            // Heuristic: inverse distance to home (visibility, like 1/d_ij in AS)
-            var dx = allowed[i].x - this.homePosition.x;
-            var dy = allowed[i].y - this.homePosition.y;
-            var dist = Math.sqrt(dx * dx + dy * dy);
-            eta = (dist > 0) ? (1.0 / dist) : 100;
-        }
+        // Follow the food pheromone to find food, the home pheromone to return
+        var tau = allowed[i].getP(channel) + tau0;
+        var eta = this._world.heuristic(this, allowed[i]);
 
         // Standard AS formula: [tau]^alpha * [eta]^beta
         var val = Math.pow(tau, alpha) * Math.pow(eta, beta);
-        values.push(val);
-        sum += val;
-    }
-
-    // Normalize to probability distribution
-    if (sum > 0) {
-        for (var i = 0; i < values.length; i++) {
-            values[i] /= sum;
-        }
-    } else {
-        // Uniform random (fallback)
-        for (var i = 0; i < values.length; i++) {
-            values[i] = 1.0 / values.length;
+        if (isRepelled) {
+            val /= 1 + colony.repulsion * colony.foreignPheromone(allowed[i]);
         }
+        values.push(val);
     }
 
-    var idx = Ant.rouletteWheel(values);
-    return allowed[idx];
+    // ACS pseudo-random proportional rule: exploitation with probability q0
+    var q0 = (algorithm === World.ALGORITHM_ACS) ? colony.param("q0") : null;
+    return allowed[Ant.choose(values, this._world.random, q0)];
 };
 
 /**
  * Ant-cycle pheromone deposit: deposit Q/L on entire path
- * Called AFTER ant completes a full path (home->food or food->home)
+ * Called AFTER ant completes a full path (home->food or food->home);
+ * L is the path length in cells (World.pathLength)
  *
- * @param {number} pType - pheromone type to deposit
+ * @param {number} pType - pheromone type to deposit (in the colony's channel)
  *   FIND_FOOD deposits P_TYPE_FOOD (guides others to food)
  *   CARRY_FOOD deposits P_TYPE_HOME (guides others to home)
  */
 Ant.prototype._depositPheromone = function(pType) {
-    var L = this.path.length;
-    if (L <= 1) return;
+    if (this.path.length <= 1) return;
 
-    var deltaTau = World.Q / L;
+    var deltaTau = this.colony.param("Q") / this._world.pathLength(this.path);
+    var channel = this.colony.channel(pType);
 
-    for (var i = 0; i < L; i++) {
-        this.path[i].addPheromone(deltaTau, pType);
+    for (var i = 0; i < this.path.length; i++) {
+        this.path[i].addPheromone(deltaTau, channel);
         // Register cell for rendering
         this._world.addCheckList(this.path[i]);
     }
 };
 
+/**
+ * Ant-density / ant-quantity deposit on the cell moved onto
+ * @param {Position} from - cell the ant leaves
+ * @param {Position} to - cell the ant moves onto
+ */
+Ant.prototype._depositStep = function(from, to) {
+    var pType = (this.status === Ant.STATUS_FIND_FOOD) ? Position.P_TYPE_HOME : Position.P_TYPE_FOOD;
+    var deltaTau = this.colony.param("Q");
+    if (this.colony.param("depositModel") === World.DEPOSIT_QUANTITY) {
+        deltaTau /= this._world.cellDistance(from, to);
+    }
+    to.addPheromone(deltaTau, this.colony.channel(pType));
+};
+
+/**
+ * Finish a trip (home->food or food->home)
+ * AS ant-cycle deposits on the whole path immediately; every algorithm reports the
+ * trip to the world, and the colony keeps the best ones for the ACS
+ * global update and the MMAS best-ant deposit.
+ *
+ * @param {number} pType - pheromone type the trip lays
+ */
+Ant.prototype._completeTrip = function(pType) {
+    if (this.colony.param("algorithm") === World.ALGORITHM_AS &&
+        this.colony.param("depositModel") === World.DEPOSIT_CYCLE) {
+        this._depositPheromone(pType);
+    }
+    this._world.reportTrip(this.path, pType, this.colony);
+};
+
+/**
+ * ACS local update: tau = (1 - xi) * tau + xi * tau0 on the position moved onto
+ * @param {Position} next
+ */
+Ant.prototype._localUpdate = function(next) {
+    if (this.colony.param("algorithm") === World.ALGORITHM_ACS) {
+        next.blendPheromone(this._followType(), this.colony.param("xi"), this.colony.param("tau0"));
+    }
+};
+
 /**
  * One step of ant movement (called each tick)
  */
 Ant.prototype.move = function() {
-    var current = this.path[this.path.length - 1];
+    var current = this.getPosition();
     var next = this._selectNext(current);
 
     // No valid move: reset
@@ -214,39 +321,43 @@ Ant.prototype.move = function() {
         return;
     }
 
+    this._localUpdate(next);
+
     // --- State transitions ---
 
     if (next.type === Position.TYPE_FOOD && this.status === Ant.STATUS_FIND_FOOD) {
         // Found food! Complete home->food path
-        this.path.push(next);
+        this._visit(next);
         // Ant-cycle deposit: food pheromone on entire path (guides others to food)
-        this._depositPheromone(Position.P_TYPE_FOOD);
+        this._completeTrip(Position.P_TYPE_FOOD);
+        // Take one unit: an exhausted source turns into a normal cell
+        next.takeFood();
         // Switch to carry mode, start new path from food
         this.status = Ant.STATUS_CARRY_FOOD;
-        this.path = [next];
-        this.dom.addClass("green");
+        this._startPath(next);
 
-    } else if (next.type === Position.TYPE_HOME && this.status === Ant.STATUS_CARRY_FOOD) {
+    } else if (next === this.colony.homePosition && this.status === Ant.STATUS_CARRY_FOOD) {
         // Returned home with food! Complete food->home path
-        this.path.push(next);
+        this._visit(next);
         // Ant-cycle deposit: home pheromone on entire path (guides others home)
-        this._depositPheromone(Position.P_TYPE_HOME);
+        this._completeTrip(Position.P_TYPE_HOME);
         // Reset: start new foraging trip
         this._init();
 
     } else {
         // Normal movement
-        this.path.push(next);
+        if (this.colony.param("algorithm") === World.ALGORITHM_AS &&
+            this.colony.param("depositModel") !== World.DEPOSIT_CYCLE) {
+            this._depositStep(current, next);
+        }
+        this._visit(next);
         this._world.addCheckList(next);
     }
 
     // Path length limit: prevent infinite wandering (per-ant random threshold)
     if (this.path.length > this._maxPath) {
         this._init();
-        return;
     }
-
-    this._updateDom();
 };
 
 module.exports = Ant;
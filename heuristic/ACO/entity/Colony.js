@@ -0,0 +1,234 @@
+/**
+ * Colony - One nest with its own ants, parameters and pheromone channels
+ *
+ * Every colony lays and follows a private pair of pheromone channels
+ * (food / home), so several colonies can compete for the same food.
+ * Parameters not set on the colony fall back to the World defaults.
+ *
+ * Towards other colonies' trails a colony either:
+ *   - ignores them (FOREIGN_IGNORE), or
+ *   - is repelled (FOREIGN_REPEL):
+ *       [tau]^alpha * [eta]^beta / (1 + repulsion * tau_foreign)
+ *     where tau_foreign sums every channel of the other colonies
+ *
+ * The colony also owns the per-algorithm pheromone update of its channels:
+ * AS evaporation, the ACS global update, the MMAS best-ant deposit and bounds.
+ * It works on any world that implements the provider interface (see World).
+ */
+
+var World = require("./World.js");
+var Position = require("./Position.js");
+var Params = require("./Params.js");
+
+function Colony(world, index, homePosition, options) {
+    options = options || {};
+    this.world = world;
+    this.index = index;
+    this.homePosition = homePosition;
+    this.color = options.color || Colony.COLORS[index % Colony.COLORS.length];
+    this.params = {};          // overrides of World parameters
+    for (var name in options.params) {
+        this.params[name] = options.params[name];
+    }
+    this.foreignTrails = options.foreignTrails || Colony.FOREIGN_IGNORE;
+    this.repulsion = (options.repulsion != null) ? options.repulsion : 1;
+    this.deliveries = 0;       // food delivered to this nest
+    this.bestTrips = {};       // pType -> { cells, length } best trip so far
+    this.iterationBestTrips = {}; // pType -> { cells, length } best trip of current tick
+}
+
+// Reaction to other colonies' trails
+Colony.FOREIGN_IGNORE = "ignore";
+Colony.FOREIGN_REPEL = "repel";
+
+// Default colony colors (trail and ants)
+Colony.COLORS = ["#264863", "#c0392b", "#8e44ad", "#d35400", "#2c3e50", "#f1c40f"];
+
+// World parameters a colony may override (graph colonies also set
+// algorithm, depositModel and mmasBest, see GraphColony)
+Colony.PARAMS = Params.COLONY;
+
+/**
+ * Editable settings (the options of the constructor), params copied
+ * @returns {{color: string, params: Object, foreignTrails: string, repulsion: number}}
+ */
+Colony.prototype.settings = function() {
+    var params = {};
+    for (var name in this.params) {
+        params[name] = this.params[name];
+    }
+    return {
+        color: this.color,
+        params: params,
+        foreignTrails: this.foreignTrails,
+        repulsion: this.repulsion
+    };
+};
+
+/**
+ * Pheromone channel of this colony for a logical type
+ * Colony k uses P_TYPE_FOOD + 2k and P_TYPE_HOME + 2k
+ * @param {number} pType - Position.P_TYPE_FOOD or Position.P_TYPE_HOME
+ */
+Colony.prototype.channel = function(pType) {
+    return pType + 2 * this.index;
+};
+
+/**
+ * Parameter value: colony override, else the World default
+ * @param {string} name - one of Colony.PARAMS, or algorithm, depositModel, mmasBest
+ */
+Colony.prototype.param = function(name) {
+    return (this.params[name] != null) ? this.params[name] : World[name];
+};
+
+/**
+ * Pheromone of the other colonies on a cell (both channels)
+ */
+Colony.prototype.foreignPheromone = function(position) {
+    var colonies = this.world.colonies;
+    var sum = 0;
+    for (var i = 0; i < colonies.length; i++) {
+        if (colonies[i] === this) continue;
+        sum += position.getP(colonies[i].channel(Position.P_TYPE_FOOD));
+        sum += position.getP(colonies[i].channel(Position.P_TYPE_HOME));
+    }
+    return sum;
+};
+
+/**
+ * Initial pheromone of a normal cell: 0 for AS (tau0 is added at choice
+ * time), tau0 for ACS (trails start at tau0, local update pulls back to it),
+ * tau_max for MMAS
+ * @param {number} pType - logical pheromone type
+ */
+Colony.prototype.initialPheromone = function(pType) {
+    var algorithm = this.param("algorithm");
+    if (algorithm === World.ALGORITHM_ACS) {
+        return this.param("tau0");
+    }
+    if (algorithm === World.ALGORITHM_MMAS) {
+        return this.pheromoneBounds(pType).max;
+    }
+    return 0;
+};
+
+/**
+ * MMAS trail limits for a pheromone type
+ * tau_max = Q / (rho * L_best), tau_min = tau_max / a
+ * Before any trip L_best is estimated by the world (World.lengthEstimate)
+ * @param {number} pType - logical pheromone type
+ * @returns {{min: number, max: number}}
+ */
+Colony.prototype.pheromoneBounds = function(pType) {
+    var best = this.bestTrips[pType];
+    var L = best ? best.length : this.world.lengthEstimate();
+    var max = this.param("Q") / (this.param("rho") * L);
+    return { min: max / this.param("mmasA"), max: max };
+};
+
+/**
+ * An ant finished a trip: keep it if it is the best (shortest) so far
+ * or the best of the current tick
+ * @param {Position[]} path - cells of the trip, start to end
+ * @param {number} pType - logical pheromone type the trip lays
+ */
+Colony.prototype.reportTrip = function(path, pType) {
+    if (pType === Position.P_TYPE_HOME) {
+        this.deliveries++;
+    }
+    var best = this.bestTrips[pType];
+    var iterationBest = this.iterationBestTrips[pType];
+    var length = this.world.pathLength(path);
+    var isBest = !best || length < best.length;
+    var isIterationBest = !iterationBest || length < iterationBest.length;
+    if (!isBest && !isIterationBest) return;
+
+    // Distinct cells only: a revisited cell is reinforced once
+    var cells = [];
+    for (var i = 0; i < path.length; i++) {
+        if (cells.indexOf(path[i]) < 0) {
+            cells.push(path[i]);
+        }
+    }
+    var trip = { cells: cells, length: length };
+    if (isBest) {
+        this.bestTrips[pType] = trip;
+    }
+    if (isIterationBest) {
+        this.iterationBestTrips[pType] = trip;
+    }
+};
+
+/**
+ * ACS global update on the best trip so far:
+ * tau = (1 - rho) * tau + rho * Q / L_best
+ */
+Colony.prototype._globalUpdate = function(pType) {
+    var best = this.bestTrips[pType];
+    if (!best) return;
+    var channel = this.channel(pType);
+    var rho = this.param("rho");
+    var deltaTau = this.param("Q") / best.length;
+    for (var i = 0; i < best.cells.length; i++) {
+        best.cells[i].blendPheromone(channel, rho, deltaTau);
+        this.world.addCheckList(best.cells[i]);
+    }
+};
+
+/**
+ * MMAS update: only the iteration-best (or global-best) trip deposits
+ * Q / L, then every trail is clamped to [tau_min, tau_max]
+ */
+Colony.prototype._maxMinUpdate = function(pType) {
+    var checkList = this.world.checkList;
+    var channel = this.channel(pType);
+    var trip = (this.param("mmasBest") === World.MMAS_GLOBAL_BEST)
+        ? this.bestTrips[pType]
+        : this.iterationBestTrips[pType];
+    if (trip) {
+        var deltaTau = this.param("Q") / trip.length;
+        for (var i = 0; i < trip.cells.length; i++) {
+            trip.cells[i].addPheromone(deltaTau, channel);
+            this.world.addCheckList(trip.cells[i]);
+        }
+    }
+    var bounds = this.pheromoneBounds(pType);
+    for (var i = 0; i < checkList.length; i++) {
+        checkList[i].clampPheromone(channel, bounds.min, bounds.max);
+    }
+};
+
+/**
+ * Per-tick pheromone update of this colony's channels
+ *
+ * Standard AS evaporation tau = (1 - rho) * tau on all visited cells;
+ * ACS evaporates only through its local and global updates,
+ * MMAS evaporates then applies its best-ant deposit and trail limits.
+ * Diffusion (World.diffusion) follows the evaporation / global update.
+ */
+Colony.prototype.update = function() {
+    var checkList = this.world.checkList;
+    var rho = this.param("rho");
+    var algorithm = this.param("algorithm");
+    var pTypes = [Position.P_TYPE_FOOD, Position.P_TYPE_HOME];
+    for (var t = 0; t < pTypes.length; t++) {
+        var channel = this.channel(pTypes[t]);
+        if (algorithm === World.ALGORITHM_ACS) {
+            this._globalUpdate(pTypes[t]);
+            this.world.diffuse(channel, World.diffusion);
+            continue;
+        }
+        for (var i = 0; i < checkList.length; i++) {
+            checkList[i].evaporatePheromone(rho, channel);
+        }
+        this.world.diffuse(channel, World.diffusion);
+        if (algorithm === World.ALGORITHM_MMAS) {
+            this._maxMinUpdate(pTypes[t]);
+        }
+    }
+    // A new iteration (tick) starts
+    this.iterationBestTrips = {};
+};
+
+module.exports = Colony;
@@ -21,6 +21,11 @@ Direction.RU=[-1,-1];
 Direction.LD=[1,1];
 Direction.RD=[-1,1];
 Direction.M=[Direction.L,Direction.R,Direction.D,Direction.U,Direction.LU,Direction.RU,Direction.LD,Direction.RD];
+// Von Neumann neighbourhood (straight steps only)
+Direction.M4=[Direction.L,Direction.R,Direction.D,Direction.U];
+// Hex grid with odd rows shifted half a cell to the right: moves from an even / odd row
+Direction.HEX_EVEN=[[1,0],[-1,0],[0,-1],[-1,-1],[0,1],[-1,1]];
+Direction.HEX_ODD=[[1,0],[-1,0],[1,-1],[0,-1],[1,1],[0,1]];
 
 Direction.getDP=function(direction){
         for(var i=0;i<Direction.M.length;i++){
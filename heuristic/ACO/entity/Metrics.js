@@ -0,0 +1,182 @@
+/**
+ * Metrics - Per-tick convergence statistics of a Simulation
+ *
+ * Listens to the world "trip" and "tick" events and records one sample
+ * per tick:
+ *   deliveries      food delivered home during the tick (food->home trips)
+ *   totalDeliveries deliveries since the start
+ *   trips           completed trips during the tick (both directions)
+ *   meanTripLength  mean path length of those trips (null if none)
+ *   minTripLength   shortest of those trips (null if none)
+ *   meanTripRatio   mean ratio of those trips to the shortest path between
+ *                   their nest and food (1: optimal, null if none, see ShortestPath)
+ *   optimalityGap   running gap: mean ratio - 1 over the last GAP_WINDOW
+ *                   trips (null before the first trip)
+ *   searching       ants in FIND_FOOD state
+ *   carrying        ants in CARRY_FOOD state
+ *   foodTotal / foodMax, homeTotal / homeMax   pheromone over normal cells
+ *                   (all colonies' channels summed)
+ *   activeCells     cells in world.checkList
+ *   foodSources     food cells left on the grid
+ *   foodLeft        food units left in finite sources (null if none is finite)
+ *   colonyDeliveries  colony index -> deliveries since the start
+ */
+
+var Ant = require("./Ant.js");
+var Position = require("./Position.js");
+var ShortestPath = require("./ShortestPath.js");
+
+function Metrics(simulation) {
+    this.simulation = simulation;
+    this.history = [];         // one sample per tick
+    this.totalDeliveries = 0;
+    this._trips = [];          // trip lengths of the current tick
+    this._ratios = [];         // trip / optimum ratios of the current tick
+    this._recentRatios = [];   // ratios of the last GAP_WINDOW trips
+    this.shortestPath = new ShortestPath(simulation.world);
+    this._deliveries = 0;
+    this._colonyDeliveries = []; // colony index -> deliveries since the start
+
+    this._init();
+}
+
+// Trips the running optimality gap averages over
+Metrics.GAP_WINDOW = 100;
+
+Metrics.prototype._init = function() {
+    var that = this;
+    var world = this.simulation.world;
+    world.on("trip", function(path, pType, colony) {
+        that._trips.push(world.pathLength(path));
+        var ratio = that.shortestPath.ratio(path, pType, colony);
+        if (ratio !== null) {
+            that._ratios.push(ratio);
+            that._recentRatios.push(ratio);
+            if (that._recentRatios.length > Metrics.GAP_WINDOW) {
+                that._recentRatios.shift();
+            }
+        }
+        if (pType === Position.P_TYPE_HOME) {
+            that._deliveries++;
+            that._colonyDeliveries[colony.index] = (that._colonyDeliveries[colony.index] || 0) + 1;
+        }
+    });
+    world.on("tick", function() {
+        that.sample();
+    });
+};
+
+/**
+ * Record the sample of the tick that just finished
+ * @returns {Object} the sample
+ */
+Metrics.prototype.sample = function() {
+    var simulation = this.simulation;
+    var ants = simulation.ants;
+    var checkList = simulation.world.checkList;
+    var colonies = simulation.world.colonies;
+
+    this.totalDeliveries += this._deliveries;
+    var record = {
+        tick: simulation.ticks,
+        deliveries: this._deliveries,
+        totalDeliveries: this.totalDeliveries,
+        trips: this._trips.length,
+        meanTripLength: null,
+        minTripLength: null,
+        meanTripRatio: Metrics.mean(this._ratios),
+        optimalityGap: null,
+        searching: 0,
+        carrying: 0,
+        foodTotal: 0,
+        foodMax: 0,
+        homeTotal: 0,
+        homeMax: 0,
+        activeCells: checkList.length,
+        foodSources: 0,
+        foodLeft: null,
+        colonyDeliveries: []
+    };
+
+    for (var c = 0; c < colonies.length; c++) {
+        record.colonyDeliveries[colonies[c].index] = this._colonyDeliveries[colonies[c].index] || 0;
+    }
+
+    if (this._trips.length > 0) {
+        var sum = 0;
+        var min = Infinity;
+        for (var i = 0; i < this._trips.length; i++) {
+            sum += this._trips[i];
+            if (this._trips[i] < min) { min = this._trips[i]; }
+        }
+        record.meanTripLength = sum / this._trips.length;
+        record.minTripLength = min;
+    }
+
+    if (this._recentRatios.length > 0) {
+        record.optimalityGap = Metrics.mean(this._recentRatios) - 1;
+    }
+
+    for (var i = 0; i < ants.length; i++) {
+        if (ants[i].status === Ant.STATUS_CARRY_FOOD) {
+            record.carrying++;
+        } else {
+            record.searching++;
+        }
+    }
+
+    for (var i = 0; i < checkList.length; i++) {
+        var pos = checkList[i];
+        if (pos.type !== Position.TYPE_NORMAL) continue;
+        var fp = 0;
+        var hp = 0;
+        for (var c = 0; c < colonies.length; c++) {
+            fp += pos.getP(colonies[c].channel(Position.P_TYPE_FOOD));
+            hp += pos.getP(colonies[c].channel(Position.P_TYPE_HOME));
+        }
+        record.foodTotal += fp;
+        record.homeTotal += hp;
+        if (fp > record.foodMax) { record.foodMax = fp; }
+        if (hp > record.homeMax) { record.homeMax = hp; }
+    }
+
+    var map = simulation.world.map;
+    for (var x = 0; x < map.length; x++) {
+        for (var y = 0; y < map[x].length; y++) {
+            var cell = map[x][y];
+            if (cell.type !== Position.TYPE_FOOD) continue;
+            record.foodSources++;
+            if (cell.food !== Infinity) {
+                record.foodLeft = (record.foodLeft || 0) + cell.food;
+            }
+        }
+    }
+
+    this._trips = [];
+    this._ratios = [];
+    this._deliveries = 0;
+    this.history.push(record);
+    return record;
+};
+
+/**
+ * Mean of a list, null if empty
+ * @param {number[]} values
+ */
+Metrics.mean = function(values) {
+    if (values.length === 0) return null;
+    var sum = 0;
+    for (var i = 0; i < values.length; i++) {
+        sum += values[i];
+    }
+    return sum / values.length;
+};
+
+/**
+ * Latest sample, or null before the first tick
+ */
+Metrics.prototype.last = function() {
+    return this.history.length > 0 ? this.history[this.history.length - 1] : null;
+};
+
+module.exports = Metrics;
@@ -0,0 +1,342 @@
+/**
+ * Params - The World parameters defined once: type, range, default
+ *
+ * Every entry of Params.SCHEMA is a static World parameter:
+ *   name     World property
+ *   group    settings panel section
+ *   label / unit   panel texts (HTML)
+ *   type     "number", "int", "select" (options: [{ value, label }]) or "bool"
+ *   min / max      inclusive bounds, above / below: exclusive bounds
+ *   empty    value of an empty field (only for parameters that may be left empty)
+ *   only     algorithm the parameter applies to (shown for it only)
+ *   preset   false: left out of presets (the world size stays when one is picked)
+ *   run      false: does not change a run (world size, view, the seed kept on
+ *            its own); the others are what Recorder records and Sweep varies
+ *   colony   true: a colony may override it (Colony.param)
+ * Defaults are the World values when this module is loaded.
+ *
+ * A configuration ("values": name -> value) is validated as a whole, so
+ * rules across parameters (maxPathLength <= maxPathLengthMax) are checked
+ * too; it travels in a URL hash as name=value pairs.
+ */
+
+var World = require("./World.js");
+var Position = require("./Position.js");
+
+function Params() {}
+
+Params.GROUPS = ["算法", "转移概率参数", "信息素更新参数", "仿真参数", "世界尺寸", "可视化"];
+
+Params.SCHEMA = [
+    { name: "algorithm", group: "算法", label: "蚁群算法", type: "select", unit: "AS / ACS / MMAS 对比教学",
+        options: [
+            { value: World.ALGORITHM_AS, label: "Ant System (AS)" },
+            { value: World.ALGORITHM_ACS, label: "Ant Colony System (ACS)" },
+            { value: World.ALGORITHM_MMAS, label: "MAX-MIN Ant System (MMAS)" }
+        ] },
+    { name: "depositModel", group: "算法", label: "信息素更新模型", type: "select", only: World.ALGORITHM_AS,
+        unit: "cycle 完成路径后释放，density / quantity 每步释放",
+        options: [
+            { value: World.DEPOSIT_CYCLE, label: "ant-cycle (Q/L)" },
+            { value: World.DEPOSIT_DENSITY, label: "ant-density (Q)" },
+            { value: World.DEPOSIT_QUANTITY, label: "ant-quantity (Q/d)" }
+        ] },
+    { name: "q0", group: "算法", label: "q<sub>0</sub> (利用概率)", type: "number", min: 0, max: 1, step: 0.05,
+        only: World.ALGORITHM_ACS, colony: true, unit: "以 q<sub>0</sub> 概率直接选择最优邻居" },
+    { name: "xi", group: "算法", label: "&xi; (局部挥发率)", type: "number", min: 0, max: 1, step: 0.01,
+        only: World.ALGORITHM_ACS, colony: true, unit: "&tau; = (1-&xi;)&middot;&tau; + &xi;&middot;&tau;<sub>0</sub>" },
+    { name: "mmasA", group: "算法", label: "a (&tau;<sub>max</sub>/&tau;<sub>min</sub>)", type: "number", above: 1,
+        step: 1, only: World.ALGORITHM_MMAS, colony: true,
+        unit: "&tau;<sub>max</sub> = Q/(&rho;&middot;L<sub>best</sub>), &tau;<sub>min</sub> = &tau;<sub>max</sub>/a" },
+    { name: "mmasBest", group: "算法", label: "释放蚂蚁", type: "select", only: World.ALGORITHM_MMAS,
+        unit: "每 tick 仅最优蚂蚁释放信息素",
+        options: [
+            { value: World.MMAS_ITERATION_BEST, label: "迭代最优" },
+            { value: World.MMAS_GLOBAL_BEST, label: "全局最优" }
+        ] },
+
+    { name: "alpha", group: "转移概率参数", label: "&alpha; (信息素权重)", type: "number", min: 0, max: 10, step: 0.1,
+        colony: true, unit: "控制信息素重要程度，0 为纯启发式" },
+    { name: "beta", group: "转移概率参数", label: "&beta; (启发式权重)", type: "number", min: 0, max: 10, step: 0.1,
+        colony: true, unit: "控制启发式信息重要程度，0 为纯信息素" },
+
+    { name: "rho", group: "信息素更新参数", label: "&rho; (挥发率)", type: "number", above: 0, below: 1, step: 0.01,
+        colony: true, unit: "&tau;(t+1) = (1-&rho;)&middot;&tau;(t)" },
+    { name: "Q", group: "信息素更新参数", label: "Q (释放常数)", type: "number", above: 0, step: 10,
+        colony: true, unit: "&Delta;&tau; = Q / L" },
+    { name: "tau0", group: "信息素更新参数", label: "&tau;<sub>0</sub> (基础信息素)", type: "number", above: 0,
+        step: 0.01, colony: true, unit: "防止零概率的常数" },
+    { name: "diffusion", group: "信息素更新参数", label: "D (扩散率)", type: "number", min: 0, max: 1, step: 0.05,
+        unit: "每 tick 向邻域扩散的比例，0 为不扩散" },
+
+    { name: "ANT_NUMBER", group: "仿真参数", label: "蚂蚁数量 m", type: "int", min: 1, max: 5000, step: 1,
+        colony: true, unit: "只" },
+    { name: "maxPathLength", group: "仿真参数", label: "最大步数 (下限)", type: "int", min: 10, step: 100,
+        unit: "每只蚂蚁在下限与上限之间随机取值" },
+    { name: "maxPathLengthMax", group: "仿真参数", label: "最大步数 (上限)", type: "int", min: 10, step: 100,
+        unit: "不小于下限" },
+    { name: "neighbourhood", group: "仿真参数", label: "邻域", type: "select",
+        unit: "蚂蚁每步可走的方向；斜向一步长 &radic;2",
+        options: [
+            { value: World.NEIGHBOURHOOD_4, label: "4 邻域 (von Neumann)" },
+            { value: World.NEIGHBOURHOOD_8, label: "8 邻域 (Moore)" },
+            { value: World.NEIGHBOURHOOD_HEX, label: "六边形网格" }
+        ] },
+    { name: "cornerCutting", group: "仿真参数", label: "斜穿障碍角", type: "bool",
+        unit: "8 邻域下允许斜向经过障碍拐角" },
+    { name: "stepsPerTick", group: "仿真参数", label: "每Tick步数", type: "int", min: 1, max: 100, step: 1,
+        unit: "每帧蚂蚁移动步数" },
+    { name: "seed", group: "仿真参数", label: "随机种子", type: "int", min: 0, step: 1, empty: null,
+        run: false, placeholder: "随机", unit: "留空则随机生成，相同种子可复现实验" },
+    { name: "foodAmount", group: "仿真参数", label: "食物量", type: "int", min: 1, step: 10, empty: Infinity,
+        placeholder: "无限", unit: "每个食物源可被取走的次数，留空则永不耗尽" },
+
+    { name: "columns", group: "世界尺寸", label: "列数", type: "int", min: 5, max: 500, step: 10, empty: null,
+        preset: false, run: false, placeholder: "适应窗口", unit: "网格宽度（单元格），留空则按窗口大小" },
+    { name: "rows", group: "世界尺寸", label: "行数", type: "int", min: 5, max: 500, step: 10, empty: null,
+        preset: false, run: false, placeholder: "适应窗口", unit: "网格高度（单元格），留空则按窗口大小" },
+    { name: "cellSize", group: "世界尺寸", label: "单元格大小", type: "int", min: 2, max: 100, step: 1,
+        preset: false, run: false, unit: "像素（缩放 100% 时）" },
+
+    { name: "showPheromoneType", group: "可视化", label: "显示信息素", type: "select", run: false,
+        unit: "选择显示的信息素类型",
+        options: [
+            { value: Position.P_TYPE_FOOD, label: "食物信息素" },
+            { value: Position.P_TYPE_HOME, label: "家信息素" },
+            { value: World.SHOW_BOTH, label: "双通道 (食物红 / 家蓝)" }
+        ] }
+];
+
+// name -> schema entry
+Params.BY_NAME = {};
+// name -> default value
+Params.DEFAULTS = {};
+// Names of the parameters that change a run, and of those a colony may override
+Params.RUN = [];
+Params.COLONY = [];
+for (var i = 0; i < Params.SCHEMA.length; i++) {
+    Params.BY_NAME[Params.SCHEMA[i].name] = Params.SCHEMA[i];
+    Params.DEFAULTS[Params.SCHEMA[i].name] = World[Params.SCHEMA[i].name];
+    if (Params.SCHEMA[i].run !== false) {
+        Params.RUN.push(Params.SCHEMA[i].name);
+    }
+    if (Params.SCHEMA[i].colony) {
+        Params.COLONY.push(Params.SCHEMA[i].name);
+    }
+}
+
+// Named presets: changes from the defaults
+Params.PRESETS = [
+    { name: "平台默认值", values: {} },
+    // Ant-cycle values published for the TSP (Dorigo, Maniezzo & Colorni 1996)
+    { name: "Dorigo 1996 (α=1, β=5, ρ=0.5, Q=100)", values: { algorithm: World.ALGORITHM_AS,
+        depositModel: World.DEPOSIT_CYCLE, alpha: 1, beta: 5, rho: 0.5, Q: 100 } },
+    { name: "快速收敛 (ACS)", values: { algorithm: World.ALGORITHM_ACS, q0: 0.9, xi: 0.1, rho: 0.1 } },
+    { name: "稳健收敛 (MMAS)", values: { algorithm: World.ALGORITHM_MMAS, rho: 0.02, mmasA: 50 } },
+    { name: "纯启发式 (α = 0)", values: { alpha: 0 } },
+    { name: "纯信息素 (β = 0)", values: { beta: 0 } }
+];
+
+/**
+ * Configuration of a preset: every parameter a preset covers
+ * @param {number} index - in Params.PRESETS
+ * @returns {Object} values
+ */
+Params.preset = function(index) {
+    var values = Params.defaults();
+    for (var i = 0; i < Params.SCHEMA.length; i++) {
+        if (Params.SCHEMA[i].preset === false) {
+            delete values[Params.SCHEMA[i].name];
+        }
+    }
+    var changes = Params.PRESETS[index].values;
+    for (var name in changes) {
+        values[name] = changes[name];
+    }
+    return values;
+};
+
+/**
+ * Copy of the default configuration
+ */
+Params.defaults = function() {
+    var values = {};
+    for (var name in Params.DEFAULTS) {
+        values[name] = Params.DEFAULTS[name];
+    }
+    return values;
+};
+
+/**
+ * Current World configuration
+ */
+Params.current = function() {
+    var values = {};
+    for (var i = 0; i < Params.SCHEMA.length; i++) {
+        values[Params.SCHEMA[i].name] = World[Params.SCHEMA[i].name];
+    }
+    return values;
+};
+
+/**
+ * Set a (valid) configuration on World
+ */
+Params.apply = function(values) {
+    for (var name in values) {
+        if (Params.BY_NAME[name]) {
+            World[name] = values[name];
+        }
+    }
+};
+
+/**
+ * Value of a parameter from text (form field or URL)
+ * @param {Object} param - schema entry
+ * @param {string} text
+ * @returns {Object} { value } or { error }
+ */
+Params.parse = function(param, text) {
+    text = String(text).trim();
+    if (text === "" && "empty" in param) {
+        return { value: param.empty };
+    }
+    if (param.type === "select") {
+        for (var i = 0; i < param.options.length; i++) {
+            if (String(param.options[i].value) === text) {
+                return { value: param.options[i].value };
+            }
+        }
+        return { error: "无效选项" };
+    }
+    if (param.type === "bool") {
+        if (text === "true" || text === "false") {
+            return { value: text === "true" };
+        }
+        return { error: "应为 true 或 false" };
+    }
+    if (text === "Infinity" && param.empty === Infinity) {
+        return { value: Infinity };
+    }
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+        return { error: "请输入数字" };
+    }
+    var value = parseFloat(text);
+    if (param.type === "int" && value !== Math.round(value)) {
+        return { error: "请输入整数" };
+    }
+    return { value: value };
+};
+
+/**
+ * Check one value against its range
+ * @returns {string|null} error message
+ */
+Params.check = function(param, value) {
+    if ("empty" in param && value === param.empty) return null;
+    if (param.type === "select") {
+        for (var i = 0; i < param.options.length; i++) {
+            if (param.options[i].value === value) return null;
+        }
+        return "无效选项";
+    }
+    if (param.type === "bool") {
+        return (typeof value === "boolean") ? null : "应为 true 或 false";
+    }
+    if (typeof value !== "number" || isNaN(value)) return "请输入数字";
+    if (param.type === "int" && value !== Math.round(value)) return "请输入整数";
+    if (param.min != null && value < param.min) return "不能小于 " + param.min;
+    if (param.max != null && value > param.max) return "不能大于 " + param.max;
+    if (param.above != null && value <= param.above) return "必须大于 " + param.above;
+    if (param.below != null && value >= param.below) return "必须小于 " + param.below;
+    return null;
+};
+
+/**
+ * Validate a full configuration
+ * @param {Object} values - name -> value
+ * @returns {Object} name -> error message (empty if valid)
+ */
+Params.validate = function(values) {
+    var errors = {};
+    for (var i = 0; i < Params.SCHEMA.length; i++) {
+        var param = Params.SCHEMA[i];
+        var error = Params.check(param, values[param.name]);
+        if (error) {
+            errors[param.name] = error;
+        }
+    }
+    if (!errors.maxPathLength && !errors.maxPathLengthMax && values.maxPathLength > values.maxPathLengthMax) {
+        errors.maxPathLengthMax = "不能小于下限 " + values.maxPathLength;
+    }
+    return errors;
+};
+
+/**
+ * Encode a configuration as a URL hash: "#alpha=1&beta=2&..."
+ * @param {Object} values - parameters missing here are left out
+ * @param {Object} [extra] - further pairs (e.g. a map), name -> string
+ */
+Params.toHash = function(values, extra) {
+    var pairs = [];
+    for (var i = 0; i < Params.SCHEMA.length; i++) {
+        var name = Params.SCHEMA[i].name;
+        var value = values[name];
+        if (value === undefined) continue;
+        var text = (value === null) ? "" : String(value);
+        pairs.push(name + "=" + encodeURIComponent(text));
+    }
+    for (var name in extra || {}) {
+        pairs.push(name + "=" + encodeURIComponent(extra[name]));
+    }
+    return "#" + pairs.join("&");
+};
+
+/**
+ * Decode a URL hash (see toHash); missing parameters keep their defaults,
+ * and so do invalid ones (badly encoded, not parsable or out of range)
+ * @param {string} hash
+ * @returns {Object} { values, errors, extra }: values is always valid,
+ *   errors names the parameters that were replaced, extra holds unknown pairs
+ */
+Params.fromHash = function(hash) {
+    var values = Params.defaults();
+    var errors = {};
+    var extra = {};
+    var pairs = hash.replace(/^#/, "").split("&");
+    for (var i = 0; i < pairs.length; i++) {
+        if (pairs[i] === "") continue;
+        var at = pairs[i].indexOf("=");
+        var name = (at < 0) ? pairs[i] : pairs[i].substring(0, at);
+        var text;
+        try {
+            text = (at < 0) ? "" : decodeURIComponent(pairs[i].substring(at + 1));
+        } catch (e) {
+            errors[name] = "链接编码无效";
+            continue;
+        }
+        var param = Params.BY_NAME[name];
+        if (!param) {
+            extra[name] = text;
+            continue;
+        }
+        var parsed = Params.parse(param, text);
+        var error = ("error" in parsed) ? parsed.error : Params.check(param, parsed.value);
+        if (error) {
+            errors[name] = error;
+        } else {
+            values[name] = parsed.value;
+        }
+    }
+    // Rules across parameters: the pair goes back to its defaults
+    var invalid = Params.validate(values);
+    for (var name in invalid) {
+        errors[name] = errors[name] || invalid[name];
+        if (name === "maxPathLengthMax") {
+            values.maxPathLength = Params.DEFAULTS.maxPathLength;
+        }
+        values[name] = Params.DEFAULTS[name];
+    }
+    return { values: values, errors: errors, extra: extra };
+};
+
+module.exports = Params;
@@ -1,6 +1,12 @@
 /**
  * Position - Grid cell with dual pheromone support
  * Standard AS model: multiplicative evaporation tau = (1 - rho) * tau
+ *
+ * Every colony has its own food / home channel (see Colony.channel);
+ * the first colony uses P_TYPE_FOOD / P_TYPE_HOME themselves.
+ *
+ * Pure model: holds no DOM reference, rendering is done by a view
+ * listening to the world's "change" event.
  */
 
 function Position(world, x, y, fp, hp, type) {
@@ -9,7 +15,10 @@ function Position(world, x, y, fp, hp, type) {
     this.y = y;
     this.pheromone = [];
     this.type = type;
-    this.dom;
+    this.checked = false;      // registered in world.checkList
+    this.food = 0;             // food units left (food cells, Infinity: never runs out)
+    this.foodCapacity = 0;     // food units the source started with
+    this.visits = 0;           // ant steps onto this cell (inspector)
 
     this.pheromone[Position.P_TYPE_FOOD] = (fp != null) ? fp : 0;
     this.pheromone[Position.P_TYPE_HOME] = (hp != null) ? hp : 0;
@@ -17,7 +26,6 @@ function Position(world, x, y, fp, hp, type) {
     if (this.type == null) {
         this.type = Position.TYPE_NORMAL;
     }
-    this._init();
 }
 
 // Cell types
@@ -26,34 +34,16 @@ Position.TYPE_FOOD = 1;
 Position.TYPE_NORMAL = 0;
 Position.TYPE_BARRIER = -1;
 
-// Pheromone types
+// Pheromone types (channels of the first colony)
 Position.P_TYPE_FOOD = 1001;
 Position.P_TYPE_HOME = 1002;
 
-Position.prototype._init = function() {
-    this.dom = $('<div></div>');
-    this.dom.css({
-        left: this.x * 20,
-        top: this.y * 20
-    });
-    $("body").append(this.dom);
-    this.dom.addClass("normal");
-    var that = this;
-    $(this.dom).click(function() {
-        console.log(
-            "Cell (" + that.x + "," + that.y + ")",
-            "food_tau=" + that.pheromone[Position.P_TYPE_FOOD].toFixed(3),
-            "home_tau=" + that.pheromone[Position.P_TYPE_HOME].toFixed(3)
-        );
-        that._world.clickPosition(that);
-    });
-};
-
 /**
- * Get pheromone value of given type
+ * Get pheromone value of given type / channel (0 if never set)
  */
 Position.prototype.getP = function(pType) {
-    return this.pheromone[pType];
+    var p = this.pheromone[pType];
+    return (p != null) ? p : 0;
 };
 
 /**
@@ -71,20 +61,14 @@ Position.prototype.move = function(direction, map, deep) {
 
 /**
  * Standard AS multiplicative evaporation: tau = (1 - rho) * tau
- * Applied to both pheromone types
  * @param {number} rho - evaporation rate (0 < rho < 1)
+ * @param {number} pType - pheromone type / channel
  */
-Position.prototype.evaporatePheromone = function(rho) {
+Position.prototype.evaporatePheromone = function(rho, pType) {
     if (this.type === Position.TYPE_NORMAL) {
-        this.pheromone[Position.P_TYPE_FOOD] *= (1 - rho);
-        this.pheromone[Position.P_TYPE_HOME] *= (1 - rho);
+        var p = this.getP(pType) * (1 - rho);
         // Clamp to avoid floating point noise
-        if (this.pheromone[Position.P_TYPE_FOOD] < 1e-10) {
-            this.pheromone[Position.P_TYPE_FOOD] = 0;
-        }
-        if (this.pheromone[Position.P_TYPE_HOME] < 1e-10) {
-            this.pheromone[Position.P_TYPE_HOME] = 0;
-        }
+        this.pheromone[pType] = (p < 1e-10) ? 0 : p;
     }
 };
 
@@ -95,55 +79,73 @@ Position.prototype.evaporatePheromone = function(rho) {
  */
 Position.prototype.addPheromone = function(amount, pType) {
     if (this.type === Position.TYPE_NORMAL) {
-        this.pheromone[pType] += amount;
+        this.pheromone[pType] = this.getP(pType) + amount;
     }
 };
 
 /**
- * Render pheromone intensity as opacity on DOM
+ * Move pheromone towards a target: tau = (1 - rate) * tau + rate * target
+ * ACS local update (rate = xi, target = tau0) and global update
+ * (rate = rho, target = Q / L_best) both have this form
+ * @param {number} pType - pheromone type
+ * @param {number} rate - blending rate in [0, 1]
+ * @param {number} target - value the pheromone moves towards
  */
-Position.prototype.showPheromone = function(maxVal, showType) {
+Position.prototype.blendPheromone = function(pType, rate, target) {
     if (this.type === Position.TYPE_NORMAL) {
-        var p = this.pheromone[showType];
-        var a = (maxVal > 0) ? (p / maxVal) : 0;
-        if (a > 1) { a = 1; }
-        if (a < 0) { a = 0; }
-        this.dom.addClass("pheromone");
-        this.dom.css({ "opacity": a });
+        this.pheromone[pType] = (1 - rate) * this.getP(pType) + rate * target;
     }
 };
 
-// --- Type change methods (for UI food/barrier placement) ---
-
-Position.prototype.changeType = function(type) {
-    if (this.type === Position.TYPE_BARRIER) { this.dom.removeClass("barrier"); }
-    if (this.type === Position.TYPE_HOME) { this.dom.removeClass("home"); }
-    if (this.type === Position.TYPE_FOOD) { this.dom.removeClass("food"); }
-    this.type = type;
-    this.dom.removeClass("pheromone");
-    this.dom.css({ "opacity": 1 });
-    if (type === Position.TYPE_BARRIER) {
-        this.pheromone[Position.P_TYPE_FOOD] = 0;
-        this.pheromone[Position.P_TYPE_HOME] = 0;
-        this.showBarrier();
-    }
-    if (type === Position.TYPE_FOOD) {
-        this.pheromone[Position.P_TYPE_FOOD] = Number.MAX_VALUE;
-        this.pheromone[Position.P_TYPE_HOME] = 0;
-        this.showFood();
+/**
+ * MMAS trail limits: clamp pheromone to [min, max]
+ * @param {number} pType - pheromone type
+ * @param {number} min - tau_min
+ * @param {number} max - tau_max
+ */
+Position.prototype.clampPheromone = function(pType, min, max) {
+    if (this.type === Position.TYPE_NORMAL) {
+        var p = this.getP(pType);
+        if (p < min) { this.pheromone[pType] = min; }
+        if (p > max) { this.pheromone[pType] = max; }
     }
 };
 
-Position.prototype.showBarrier = function() {
-    if (this.type === Position.TYPE_BARRIER) { this.dom.addClass("barrier"); }
-};
+// --- Type change (for UI food/barrier placement) ---
 
-Position.prototype.showFood = function() {
-    if (this.type === Position.TYPE_FOOD) { this.dom.addClass("food"); }
+/**
+ * Change cell type and notify world listeners ("change" event)
+ * Pheromone of every channel is reset for the new type (World.resetPheromone)
+ * @param {number} type - one of Position.TYPE_*
+ * @param {number} [amount] - food units of a food cell (default World.foodAmount)
+ */
+Position.prototype.changeType = function(type, amount) {
+    // Required here: World itself depends on Position
+    var World = require("./World.js");
+    var oldType = this.type;
+    this.type = type;
+    this.food = 0;
+    if (type === Position.TYPE_FOOD) {
+        this.food = (amount != null) ? amount : World.foodAmount;
+    }
+    this.foodCapacity = this.food;
+    this._world.resetPheromone(this);
+    this._world.emit("change", this, oldType);
 };
 
-Position.prototype.showHome = function() {
-    if (this.type === Position.TYPE_HOME) { this.dom.addClass("home"); }
+/**
+ * An ant picks up one unit of food; an empty source becomes a normal cell
+ * Emits "food" (position) on the world, then "change" if it was the last unit
+ * @returns {boolean} false if this is not a food cell
+ */
+Position.prototype.takeFood = function() {
+    if (this.type !== Position.TYPE_FOOD) return false;
+    this.food--;
+    this._world.emit("food", this);
+    if (this.food <= 0) {
+        this.changeType(Position.TYPE_NORMAL);
+    }
+    return true;
 };
 
 module.exports = Position;
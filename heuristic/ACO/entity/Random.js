@@ -0,0 +1,41 @@
+/**
+ * Random - Seedable pseudo random number generator (mulberry32)
+ *
+ * Every stochastic choice of the simulation draws from the world's
+ * Random instance, so the same seed, map and parameters reproduce the
+ * same ant trajectories and pheromone field.
+ */
+
+function Random(seed) {
+    if (seed == null) {
+        seed = Random.randomSeed();
+    }
+    this.seed = seed >>> 0;
+    this._state = this.seed;
+}
+
+/**
+ * Pick a fresh seed (used when no seed is configured)
+ */
+Random.randomSeed = function() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+};
+
+/**
+ * Uniform float in [0, 1), same contract as Math.random()
+ */
+Random.prototype.random = function() {
+    var t = this._state = (this._state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Uniform integer in [0, n)
+ */
+Random.prototype.nextInt = function(n) {
+    return Math.floor(this.random() * n);
+};
+
+module.exports = Random;
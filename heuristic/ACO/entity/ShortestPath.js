@@ -0,0 +1,207 @@
+/**
+ * ShortestPath - True shortest paths from each nest, the baseline trails
+ * and trips are graded against
+ *
+ * Dijkstra from the nest over the moves ants can make (World.getNeighbors)
+ * with the same step costs (World.cellDistance), and the same passability
+ * as Ant: a searching ant stops on the first food cell it enters, so
+ * home->food paths never run through one, while an ant carrying food
+ * walks over other sources on its way home. Each colony has one tree per
+ * direction (a food->home trip is a home->food path backwards).
+ *
+ * Trees are rebuilt lazily when passability changed: barriers placed or
+ * removed (both trees), food sources added or used up (the search tree),
+ * nests moved ("colony" event) or the neighbourhood parameters changed.
+ * Food units taken and other cell events keep the trees.
+ */
+
+var World = require("./World.js");
+var Position = require("./Position.js");
+
+function ShortestPath(world) {
+    this.world = world;
+    this._trees = {};          // colony index + direction -> { dist, prev }
+    this._key = "";            // neighbourhood the trees were built for
+
+    this._init();
+}
+
+ShortestPath.prototype._init = function() {
+    var that = this;
+    this.world.on("change", function(position, oldType) {
+        if (position.type === Position.TYPE_BARRIER || oldType === Position.TYPE_BARRIER) {
+            that._trees = {};
+        } else if (position.type === Position.TYPE_FOOD || oldType === Position.TYPE_FOOD) {
+            for (var key in that._trees) {
+                if (key.indexOf("/search") > 0) {
+                    delete that._trees[key];
+                }
+            }
+        }
+    });
+    this.world.on("colony", function() {
+        that._trees = {};
+    });
+};
+
+/**
+ * Shortest-path tree of a colony, built on demand
+ * @param {Colony} colony
+ * @param {boolean} [back] - food->home trips (may cross other food cells)
+ * @returns {Object} { dist: Float64Array, prev: Int32Array } by cell key x + y * xl
+ */
+ShortestPath.prototype.tree = function(colony, back) {
+    var key = World.neighbourhood + "/" + World.cornerCutting;
+    if (key !== this._key) {
+        this._key = key;
+        this._trees = {};
+    }
+    var name = colony.index + (back ? "/back" : "/search");
+    if (!this._trees[name]) {
+        this._trees[name] = ShortestPath.dijkstra(this.world, colony.homePosition, back);
+    }
+    return this._trees[name];
+};
+
+/**
+ * Dijkstra from a cell (binary heap on the cell keys)
+ * @param {World} world
+ * @param {Position} source
+ * @param {boolean} [throughFood] - food cells can be crossed (carrying
+ *   ants); otherwise they end a path (searching ants)
+ * @returns {Object} { dist, prev }: Infinity / -1 for unreachable cells
+ */
+ShortestPath.dijkstra = function(world, source, throughFood) {
+    var size = world.xl * world.yl;
+    var dist = new Float64Array(size);
+    var prev = new Int32Array(size);
+    var done = new Uint8Array(size);
+    for (var i = 0; i < size; i++) {
+        dist[i] = Infinity;
+        prev[i] = -1;
+    }
+    var heap = [];
+
+    function push(key) {
+        var i = heap.length;
+        heap.push(key);
+        while (i > 0) {
+            var parent = (i - 1) >> 1;
+            if (dist[heap[parent]] <= dist[key]) break;
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = key;
+    }
+
+    function pop() {
+        var top = heap[0];
+        var last = heap.pop();
+        if (heap.length > 0) {
+            var i = 0;
+            while (true) {
+                var child = 2 * i + 1;
+                if (child >= heap.length) break;
+                if (child + 1 < heap.length && dist[heap[child + 1]] < dist[heap[child]]) {
+                    child++;
+                }
+                if (dist[heap[child]] >= dist[last]) break;
+                heap[i] = heap[child];
+                i = child;
+            }
+            heap[i] = last;
+        }
+        return top;
+    }
+
+    var start = source.x + source.y * world.xl;
+    dist[start] = 0;
+    push(start);
+    while (heap.length > 0) {
+        var key = pop();
+        if (done[key]) continue;  // stale heap entry
+        done[key] = 1;
+        var pos = world.map[key % world.xl][Math.floor(key / world.xl)];
+        if (pos.type === Position.TYPE_FOOD && !throughFood) continue;
+        var neighbors = world.getNeighbors(pos);
+        for (var i = 0; i < neighbors.length; i++) {
+            var np = neighbors[i];
+            var nk = np.x + np.y * world.xl;
+            var d = dist[key] + world.cellDistance(pos, np);
+            if (d < dist[nk]) {
+                dist[nk] = d;
+                prev[nk] = key;
+                push(nk);
+            }
+        }
+    }
+    return { dist: dist, prev: prev };
+};
+
+/**
+ * Shortest length from the colony's nest to a cell
+ * @param {Colony} colony
+ * @param {Position} position
+ * @param {boolean} [back] - of the food->home direction
+ * @returns {number} Infinity if the cell cannot be reached
+ */
+ShortestPath.prototype.length = function(colony, position, back) {
+    return this.tree(colony, back).dist[position.x + position.y * this.world.xl];
+};
+
+/**
+ * Shortest path from the colony's nest to a cell
+ * @param {Colony} colony
+ * @param {Position} position
+ * @param {boolean} [back] - of the food->home direction
+ * @returns {Position[]|null} cells from the nest, null if unreachable
+ */
+ShortestPath.prototype.path = function(colony, position, back) {
+    var world = this.world;
+    var tree = this.tree(colony, back);
+    var key = position.x + position.y * world.xl;
+    if (tree.dist[key] === Infinity) return null;
+    var cells = [];
+    for (; key >= 0; key = tree.prev[key]) {
+        cells.push(world.map[key % world.xl][Math.floor(key / world.xl)]);
+    }
+    return cells.reverse();
+};
+
+/**
+ * Shortest paths from the colony's nest to every reachable food cell
+ * @returns {Object[]} { food, length, cells }
+ */
+ShortestPath.prototype.foodPaths = function(colony) {
+    var world = this.world;
+    var paths = [];
+    for (var x = 0; x < world.xl; x++) {
+        for (var y = 0; y < world.yl; y++) {
+            var cell = world.map[x][y];
+            if (cell.type !== Position.TYPE_FOOD) continue;
+            var cells = this.path(colony, cell);
+            if (cells) {
+                paths.push({ food: cell, length: this.length(colony, cell), cells: cells });
+            }
+        }
+    }
+    return paths;
+};
+
+/**
+ * Ratio of a completed trip to the optimum between its nest and food cell
+ * (1: optimal); home->food trips end, food->home trips start on the food
+ * @param {Position[]} path - cells of the trip
+ * @param {number} pType - pheromone type the trip lays (see World.reportTrip)
+ * @param {Colony} colony
+ * @returns {number|null} null if there is no optimum (food not reachable)
+ */
+ShortestPath.prototype.ratio = function(path, pType, colony) {
+    var back = pType === Position.P_TYPE_HOME;
+    var food = back ? path[0] : path[path.length - 1];
+    var optimum = this.length(colony, food, back);
+    if (!(optimum > 0) || optimum === Infinity) return null;
+    return this.world.pathLength(path) / optimum;
+};
+
+module.exports = ShortestPath;
@@ -0,0 +1,87 @@
+/**
+ * Simulation - Headless AS colony loop (no DOM, runs in Node)
+ *
+ * One tick:
+ *   1. spawn ants up to each colony's ANT_NUMBER
+ *   2. every ant moves World.stepsPerTick times
+ *   3. evaporate once (after all steps)
+ *
+ * Usage (Node):
+ *   var sim = new Simulation(new World(800, 600, 20));
+ *   sim.world.getPosition(5, 5).changeType(Position.TYPE_FOOD);
+ *   sim.run(1000);
+ */
+
+var World = require("./World.js");
+var Ant = require("./Ant.js");
+
+function Simulation(world) {
+    this.world = world;
+    this.ants = [];
+    this.ticks = 0;            // number of completed ticks
+}
+
+/**
+ * Run one simulation tick
+ */
+Simulation.prototype.step = function() {
+    this.world.emit("beforeTick", this);
+    this._spawn();
+
+    // Multiple ant steps per tick to match evaporation timescale
+    // This is critical: without it, pheromone evaporates before
+    // ants can complete paths and the feedback loop never forms
+    for (var step = 0; step < World.stepsPerTick; step++) {
+        for (var i = 0; i < this.ants.length; i++) {
+            this.ants[i].move();
+        }
+    }
+
+    // Evaporate once per tick (after all steps)
+    this.world.evaporate();
+    this.ticks++;
+    this.world.emit("tick", this);
+};
+
+/**
+ * Spawn ants up to the configured count of every colony
+ * (ants of removed colonies are dropped, surplus ants stay until reset)
+ */
+Simulation.prototype._spawn = function() {
+    var colonies = this.world.colonies;
+    var counts = [];
+    var ants = [];
+    for (var i = 0; i < this.ants.length; i++) {
+        var colony = this.ants[i].colony;
+        if (colony.removed) continue;
+        ants.push(this.ants[i]);
+        counts[colony.index] = (counts[colony.index] || 0) + 1;
+    }
+    this.ants = ants;
+    for (var c = 0; c < colonies.length; c++) {
+        var n = counts[colonies[c].index] || 0;
+        for (; n < colonies[c].param("ANT_NUMBER"); n++) {
+            this.ants.push(new Ant(this.world, colonies[c]));
+        }
+    }
+};
+
+/**
+ * Drop every ant; fresh ones leave their nests on the next tick
+ */
+Simulation.prototype.resetAnts = function() {
+    this.ants = [];
+    this.world.emit("resetAnts", this);
+};
+
+/**
+ * Run several ticks in a row
+ * @param {number} n - number of ticks
+ */
+Simulation.prototype.run = function(n) {
+    for (var i = 0; i < n; i++) {
+        this.step();
+    }
+};
+
+module.exports = Simulation;
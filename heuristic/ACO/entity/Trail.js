@@ -0,0 +1,154 @@
+/**
+ * Trail - Read the trail a colony has settled on out of its pheromone field
+ *
+ * Greedy walk from the nest: step onto a neighbouring food cell if there
+ * is one (neighbours as ants see them, World.getNeighbors), otherwise
+ * onto the unvisited normal neighbour with the most food
+ * pheromone of the colony. The walk fails when no neighbour carries any
+ * pheromone, every neighbour was already visited or it grew longer than
+ * any ant may walk (World.maxPathLengthMax): under ACS and MMAS every
+ * cell keeps some pheromone, so only the limit ends a walk that misses
+ * the food. The way back walks the home pheromone from that food cell to
+ * the nest the same way.
+ *
+ * A Trail instance follows the trail of every colony tick by tick and
+ * emits "trail" (colony, trail) on the world when it changes.
+ */
+
+var World = require("./World.js");
+var Position = require("./Position.js");
+
+function Trail(world) {
+    this.world = world;
+    this.trails = {};          // colony index -> latest trail (see Trail.route)
+
+    this._init();
+}
+
+Trail.prototype._init = function() {
+    var that = this;
+    this.world.on("tick", function() {
+        that.update();
+    });
+    this.world.on("colony", function(action, colony) {
+        if (action === "remove") {
+            delete that.trails[colony.index];
+        }
+    });
+};
+
+/**
+ * @param {World} world
+ * @param {Colony} [colony] - defaults to the first colony
+ * @returns {Position[]|null} cells from the nest to a food cell, or null
+ */
+Trail.extract = function(world, colony) {
+    colony = colony || world.colonies[0];
+    return Trail.walk(world, colony.homePosition, colony.channel(Position.P_TYPE_FOOD), function(np) {
+        return np.type === Position.TYPE_FOOD;
+    });
+};
+
+/**
+ * Way back from a food cell along the colony's home pheromone
+ * @param {World} world
+ * @param {Colony} colony
+ * @param {Position} food
+ * @returns {Position[]|null} cells from the food cell to the nest, or null
+ */
+Trail.extractBack = function(world, colony, food) {
+    return Trail.walk(world, food, colony.channel(Position.P_TYPE_HOME), function(np) {
+        return np === colony.homePosition;
+    });
+};
+
+/**
+ * Greedy walk along the strongest pheromone of a channel
+ * @param {World} world
+ * @param {Position} start
+ * @param {number} channel - pheromone channel followed
+ * @param {Function} isEnd - called with a neighbour: true ends the walk on it
+ * @returns {Position[]|null} cells from start to the end cell, or null
+ */
+Trail.walk = function(world, start, channel, isEnd) {
+    var maxSteps = Math.min(World.maxPathLengthMax, world.xl * world.yl);
+    var current = start;
+    var cells = [current];
+    var visited = {};
+    visited[current.x + current.y * world.xl] = true;
+
+    while (cells.length <= maxSteps) {
+        var best = null;
+        var bestP = 0;
+        var neighbors = world.getNeighbors(current);
+        for (var i = 0; i < neighbors.length; i++) {
+            var np = neighbors[i];
+            if (isEnd(np)) {
+                cells.push(np);
+                return cells;
+            }
+            if (np.type !== Position.TYPE_NORMAL || visited[np.x + np.y * world.xl]) continue;
+            var p = np.getP(channel);
+            if (p > bestP) {
+                best = np;
+                bestP = p;
+            }
+        }
+        if (!best) return null;
+        visited[best.x + best.y * world.xl] = true;
+        cells.push(best);
+        current = best;
+    }
+    return null;
+};
+
+/**
+ * Current route of a colony: there along the food pheromone, back along
+ * the home pheromone
+ * @param {World} world
+ * @param {Colony} colony
+ * @returns {Object|null} { cells, length, back, backLength }; back and
+ *   backLength are null when the way back cannot be read yet
+ */
+Trail.route = function(world, colony) {
+    var cells = Trail.extract(world, colony);
+    if (!cells) return null;
+    var back = Trail.extractBack(world, colony, cells[cells.length - 1]);
+    return {
+        cells: cells,
+        length: world.pathLength(cells),
+        back: back,
+        backLength: back ? world.pathLength(back) : null
+    };
+};
+
+/**
+ * Re-read the route of every colony; emits "trail" (colony, trail or
+ * null) for each one that changed
+ */
+Trail.prototype.update = function() {
+    var colonies = this.world.colonies;
+    for (var i = 0; i < colonies.length; i++) {
+        var trail = Trail.route(this.world, colonies[i]);
+        var old = this.trails[colonies[i].index] || null;
+        if (Trail.key(trail) !== Trail.key(old)) {
+            this.trails[colonies[i].index] = trail;
+            this.world.emit("trail", colonies[i], trail);
+        }
+    }
+};
+
+/**
+ * Identity of a route (its cells both ways), "" for none
+ */
+Trail.key = function(trail) {
+    if (!trail) return "";
+    var keys = [];
+    var cells = trail.back ? trail.cells.concat(trail.back) : trail.cells;
+    for (var i = 0; i < cells.length; i++) {
+        keys.push(cells[i].x + "," + cells[i].y);
+    }
+    return keys.join(" ");
+};
+
+module.exports = Trail;
@@ -2,9 +2,42 @@
  * World - Grid environment with standard AS (Ant System) parameters
  * Based on: Dorigo, Maniezzo & Colorni (1996) "Ant System: Optimization
  * by a Colony of Cooperating Agents"
+ *
+ * Also hosts the variants selected with World.algorithm (applied per
+ * colony, see Colony.update):
+ *   - Ant Colony System (ACS): only the best trip so far receives the global update
+ *   - MAX-MIN Ant System (MMAS, Stuetzle & Hoos, 2000): only the iteration-best
+ *     or global-best trip deposits, pheromone is clamped to [tau_min, tau_max]
+ *     and trails start at tau_max
+ *
+ * The static parameters below are the defaults of every colony; a colony
+ * can override them (Colony.param).
+ *
+ * Movement (World.neighbourhood): 4 or 8 neighbours on the square grid, or
+ * 6 on a hex grid whose odd rows are shifted half a cell to the right.
+ * Lengths are Euclidean between cell centres: a diagonal step costs sqrt(2),
+ * every hex step costs 1 (see cellDistance / pathLength).
+ *
+ * Pure model (no DOM): views and statistics subscribe with world.on(...)
+ * to follow cell type changes, completed trips and ticks.
+ *
+ * World is the grid provider of Ant and Colony. They only use this part of
+ * it, which GraphWorld implements for graphs:
+ *   random, colonies, checkList
+ *   getNeighbors(position)      positions an ant can step onto
+ *   key(position)               tabu list key
+ *   heuristic(ant, position)    eta of a step
+ *   cellDistance(a, b)          cost of the step a -> b
+ *   pathLength(path)            L of a path
+ *   lengthEstimate()            L before the first trip (MMAS bounds)
+ *   addCheckList(position), reportTrip(path, pType, colony), diffuse(channel, rate)
+ * and positions with getP, addPheromone, evaporatePheromone, blendPheromone,
+ * clampPheromone, takeFood, type and visits (see Position).
  */
 
 var Position = require("./Position.js");
+var Direction = require("./Direction.js");
+var Random = require("./Random.js");
 
 function World(width, height, distance) {
     this.map = [];
@@ -12,14 +45,34 @@ function World(width, height, distance) {
     this.height = height;
     this.distance = distance;
     this.checkList = [];       // cells that have been visited (for rendering)
-    this.selectedPosition = null;
     this.xl = parseInt(width / distance);
     this.yl = parseInt(height / distance);
-    this.homePosition = null;  // reference to home cell
+    this.homePosition = null;  // reference to home cell of the first colony
+    this.colonies = [];        // nests with their own ants and pheromone channels
+    this._nextColonyIndex = 0;
+    this._listeners = {};      // event name -> [callback]
+    this.random = new Random(World.seed); // drives every stochastic choice
+    this.seed = this.random.seed;
 
     this._init();
 }
 
+// Algorithms
+World.ALGORITHM_AS = "AS";    // Ant System (Dorigo et al., 1996)
+World.ALGORITHM_ACS = "ACS";  // Ant Colony System (Dorigo & Gambardella, 1997)
+World.ALGORITHM_MMAS = "MMAS"; // MAX-MIN Ant System (Stuetzle & Hoos, 2000)
+
+// MMAS depositing ant
+World.MMAS_ITERATION_BEST = "iteration"; // best trip completed in the current tick
+World.MMAS_GLOBAL_BEST = "global";       // best trip since the start
+
+// Movement neighbourhoods
+World.NEIGHBOURHOOD_4 = "4";     // von Neumann: straight steps
+World.NEIGHBOURHOOD_8 = "8";     // Moore: straight and diagonal steps
+World.NEIGHBOURHOOD_HEX = "hex"; // hex grid, odd rows shifted half a cell right
+
+World.HEX_ROW = Math.sqrt(3) / 2; // distance between hex rows, in cells
+
 // ========== Standard AS Parameters ==========
 
 // Transition probability: P_j = [tau_j]^alpha * [eta_j]^beta / SUM(...)
@@ -36,14 +89,48 @@ World.Q = 100;                // pheromone deposit constant
 // Must be small relative to deposit (Q/L) to maintain signal contrast
 World.tau0 = 0.01;            // initial / base pheromone level
 
+// AS pheromone update models (Dorigo et al., 1996)
+World.DEPOSIT_CYCLE = "cycle";       // Q / L on the whole path after a trip
+World.DEPOSIT_DENSITY = "density";   // Q on every step
+World.DEPOSIT_QUANTITY = "quantity"; // Q / d_ij on every step
+World.depositModel = World.DEPOSIT_CYCLE; // AS only; ACS / MMAS keep their own update
+
+// Diffusion: each tick a cell hands rate * tau, split evenly over its
+// neighbours (see moves), to the normal ones (0: trails never spread)
+World.diffusion = 0;          // diffusion rate (0 <= D <= 1)
+
+// ========== ACS Parameters ==========
+
+World.algorithm = World.ALGORITHM_AS; // colony algorithm (AS, ACS or MMAS)
+World.q0 = 0.9;               // ACS exploitation probability (0 <= q0 <= 1)
+World.xi = 0.1;               // ACS local evaporation: tau = (1 - xi) * tau + xi * tau0
+
+// ========== MMAS Parameters ==========
+
+// Bounds from the best trip so far: tau_max = Q / (rho * L_best), tau_min = tau_max / a
+World.mmasA = 50;             // tau_max / tau_min ratio (a > 1)
+World.mmasBest = World.MMAS_ITERATION_BEST; // which ant deposits
+
+// Movement
+World.neighbourhood = World.NEIGHBOURHOOD_8;
+World.cornerCutting = true;   // Moore: diagonal steps between two barriers allowed
+
 // Simulation parameters
 World.ANT_NUMBER = 50;        // number of ants (m)
 World.maxPathLength = 1500;   // min steps before ant resets
 World.maxPathLengthMax = 2000; // max steps (each ant gets random value in [min, max])
 World.stepsPerTick = 5;       // ant steps per simulation tick
+World.seed = null;            // RNG seed (null: pick a random seed, see world.seed)
+World.foodAmount = Infinity;  // food units per new source (Infinity: never runs out)
+
+// World size for the browser page (Node callers pass the size to the constructor)
+World.columns = null;         // grid width in cells (null: fit the window)
+World.rows = null;            // grid height in cells (null: fit the window)
+World.cellSize = 20;          // cell size in pixels at zoom 100% (distance of new worlds)
 
 // Visualization
-World.showPheromoneType = Position.P_TYPE_FOOD; // which pheromone to display
+World.showPheromoneType = Position.P_TYPE_FOOD; // which pheromone to display (or SHOW_BOTH)
+World.SHOW_BOTH = "both";                       // food and home in two color channels
 
 World.prototype._init = function() {
     // Build grid
@@ -54,95 +141,391 @@ World.prototype._init = function() {
         }
     }
 
-    // Place home at center
-    var homeX = parseInt(this.xl / 2);
-    var homeY = parseInt(this.yl / 2);
-    this.map[homeX][homeY] = new Position(this, homeX, homeY, 0, Number.MAX_VALUE, Position.TYPE_HOME);
-    this.map[homeX][homeY].showHome();
-    this.homePosition = this.map[homeX][homeY];
-
-    // UI: click-to-place food/barrier
-    var that = this;
-    $("#selectPlane").click(function() {
-        $("#innerSelectPlane").removeClass("scaleOutAnim");
-        $("#selectPlane").css({ display: "none" });
-    });
-    $("#innerSelectPlane .food").click(function() {
-        if (that.selectedPosition != null) {
-            that.selectedPosition.changeType(Position.TYPE_FOOD);
+    // Place home of the first colony at center
+    this.addColony(parseInt(this.xl / 2), parseInt(this.yl / 2));
+    this.homePosition = this.colonies[0].homePosition;
+
+    // MMAS: every trail starts at tau_max and must evaporate from there
+    if (World.algorithm === World.ALGORITHM_MMAS) {
+        this._checkAll();
+    }
+};
+
+/**
+ * Register every cell (MMAS: all trails evaporate and are clamped)
+ */
+World.prototype._checkAll = function() {
+    for (var i = 0; i < this.xl; i++) {
+        for (var j = 0; j < this.yl; j++) {
+            this.addCheckList(this.map[i][j]);
         }
-    });
-    $("#innerSelectPlane .barrier").click(function() {
-        if (that.selectedPosition != null) {
-            that.selectedPosition.changeType(Position.TYPE_BARRIER);
+    }
+};
+
+/**
+ * Add a colony with its nest at (x, y)
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} [options] - color, params, foreignTrails, repulsion (see Colony)
+ * @returns {Colony|null} null if the cell is outside the grid or already a nest
+ */
+World.prototype.addColony = function(x, y, options) {
+    // Required here: Colony itself depends on the World parameters
+    var Colony = require("./Colony.js");
+    var position = this.getPosition(x, y);
+    if (!position || this.colonyAt(position)) return null;
+
+    var colony = new Colony(this, this._nextColonyIndex++, position, options);
+    this.colonies.push(colony);
+    // Initialise the new channels on every cell
+    for (var i = 0; i < this.xl; i++) {
+        for (var j = 0; j < this.yl; j++) {
+            this.resetPheromone(this.map[i][j], colony);
         }
-    });
+    }
+    position.changeType(Position.TYPE_HOME);
+    this.emit("colony", "add", colony);
+    return colony;
 };
 
 /**
- * Show position selection popup
+ * Remove a colony (never the first one); its nest becomes a normal cell
+ * and its ants are dropped by the Simulation
  */
-World.prototype.clickPosition = function(position) {
-    this.selectedPosition = position;
-    var height = 30;
-    var width = 60;
-    var left = 0;
-    var top = 0;
-    if (position.y * 20 > height * 1.5) {
-        top = position.y * 20 - height;
-    } else {
-        top = position.y * 20 + height;
+World.prototype.removeColony = function(colony) {
+    var idx = this.colonies.indexOf(colony);
+    if (idx <= 0) return;
+    this.colonies.splice(idx, 1);
+    colony.removed = true;
+    colony.homePosition.changeType(Position.TYPE_NORMAL);
+    this.emit("colony", "remove", colony);
+};
+
+/**
+ * Colony whose nest is at position, or null
+ */
+World.prototype.colonyAt = function(position) {
+    for (var i = 0; i < this.colonies.length; i++) {
+        if (this.colonies[i].homePosition === position) {
+            return this.colonies[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Colony with a given index, or null (removed or never added)
+ * @param {number} index - Colony.index
+ */
+World.prototype.getColony = function(index) {
+    for (var i = 0; i < this.colonies.length; i++) {
+        if (this.colonies[i].index === index) {
+            return this.colonies[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Reset the pheromone channels of a cell for its type:
+ *   normal  - initial level of each colony (see Colony.initialPheromone)
+ *   barrier - 0
+ *   food    - MAX_VALUE on food channels, 0 on home channels
+ *   home    - MAX_VALUE on the home channel of the owning colony
+ * @param {Position} position
+ * @param {Colony} [colony] - only this colony's channels (default: all)
+ */
+World.prototype.resetPheromone = function(position, colony) {
+    var colonies = colony ? [colony] : this.colonies;
+    for (var i = 0; i < colonies.length; i++) {
+        var c = colonies[i];
+        var fp = 0;
+        var hp = 0;
+        if (position.type === Position.TYPE_NORMAL) {
+            fp = c.initialPheromone(Position.P_TYPE_FOOD);
+            hp = c.initialPheromone(Position.P_TYPE_HOME);
+        } else if (position.type === Position.TYPE_FOOD) {
+            fp = Number.MAX_VALUE;
+        } else if (position.type === Position.TYPE_HOME && position === c.homePosition) {
+            hp = Number.MAX_VALUE;
+        }
+        position.pheromone[c.channel(Position.P_TYPE_FOOD)] = fp;
+        position.pheromone[c.channel(Position.P_TYPE_HOME)] = hp;
     }
-    if (position.x * 20 > width / 2) {
-        left = position.x * 20 - width / 2 + 10;
-    } else if ((this.xl - position.x) * 20 < width / 2) {
-        left = position.x * 20 - width;
+};
+
+/**
+ * Forget every trail: all cells back to their initial pheromone and the
+ * colonies' best trips cleared (the MMAS bounds restart from the estimate)
+ * Also call after World.algorithm or the parameters of the initial level
+ * (tau0, or Q, rho and a for MMAS) changed in a running world.
+ */
+World.prototype.clearPheromone = function() {
+    for (var i = 0; i < this.colonies.length; i++) {
+        this.colonies[i].bestTrips = {};
+        this.colonies[i].iterationBestTrips = {};
+    }
+    for (var i = 0; i < this.xl; i++) {
+        for (var j = 0; j < this.yl; j++) {
+            this.resetPheromone(this.map[i][j]);
+        }
+    }
+    // MMAS registers the whole grid (trails start at tau_max)
+    if (World.algorithm === World.ALGORITHM_MMAS) {
+        this._checkAll();
     } else {
-        left = 0;
+        for (var i = 0; i < this.checkList.length; i++) {
+            this.checkList[i].checked = false;
+        }
+        this.checkList = [];
+    }
+    this.emit("clearPheromone");
+};
+
+/**
+ * Subscribe to a world event
+ * Events: "change" (position, oldType) - a cell changed type
+ *         "colony" (action, colony)    - a colony was added ("add"), removed ("remove")
+ *                                        or its nest moved ("move")
+ *         "food" (position)            - an ant took food from a source
+ *         "trip" (path, pType, colony) - an ant completed a trip
+ *         "beforeTick" (simulation)    - a simulation tick starts
+ *         "tick" (simulation)          - a simulation tick finished
+ *         "clearPheromone" ()          - every trail was cleared
+ *         "resetAnts" (simulation)     - every ant was sent home
+ *         "scheduled" (event)          - a scheduled event was applied (see Schedule)
+ *         "trail" (colony, trail)      - the colony's route changed (see Trail)
+ * @param {string} event - event name
+ * @param {Function} callback - listener
+ */
+World.prototype.on = function(event, callback) {
+    if (!this._listeners[event]) {
+        this._listeners[event] = [];
     }
-    $("#selectPlane").css({ display: "block" });
-    $("#innerSelectPlane").css({ top: top, left: left });
-    $("#innerSelectPlane").addClass("scaleOutAnim");
+    this._listeners[event].push(callback);
 };
 
 /**
- * Register a cell as visited (for rendering optimization)
+ * Notify all listeners of an event, extra arguments are passed through
+ */
+World.prototype.emit = function(event) {
+    var listeners = this._listeners[event];
+    if (!listeners) return;
+    var args = Array.prototype.slice.call(arguments, 1);
+    for (var i = 0; i < listeners.length; i++) {
+        listeners[i].apply(this, args);
+    }
+};
+
+/**
+ * Get the cell at (x, y), or null when outside the grid
+ */
+World.prototype.getPosition = function(x, y) {
+    if (x < 0 || y < 0 || x >= this.xl || y >= this.yl) {
+        return null;
+    }
+    return this.map[x][y];
+};
+
+/**
+ * Move a nest to (x, y); the old home cell becomes a normal cell
+ * @param {number} x
+ * @param {number} y
+ * @param {Colony} [colony] - defaults to the first colony
+ * @returns {boolean} false if (x, y) is outside the grid or another nest
+ */
+World.prototype.moveHome = function(x, y, colony) {
+    colony = colony || this.colonies[0];
+    var position = this.getPosition(x, y);
+    if (!position) return false;
+    if (position === colony.homePosition) return true;
+    if (this.colonyAt(position)) return false;
+    var old = colony.homePosition;
+    colony.homePosition = position;
+    if (colony === this.colonies[0]) {
+        this.homePosition = position;
+    }
+    old.changeType(Position.TYPE_NORMAL);
+    position.changeType(Position.TYPE_HOME);
+    this.emit("colony", "move", colony);
+    return true;
+};
+
+/**
+ * Register a cell as visited (for evaporation and rendering)
+ * A flag on the cell keeps this O(1): MMAS registers the whole grid
  */
 World.prototype.addCheckList = function(position) {
-    var idx = this._getCheckedIndex(position);
-    if (idx >= 0) {
-        this.checkList.splice(idx, 1);
+    if (!position.checked) {
+        position.checked = true;
+        this.checkList.push(position);
+    }
+};
+
+/**
+ * An ant finished a trip: notify listeners and let its colony keep it
+ * if it is the best so far or of the current tick
+ * @param {Position[]} path - cells of the trip, start to end
+ * @param {number} pType - logical pheromone type the trip lays
+ * @param {Colony} colony - colony of the ant
+ */
+World.prototype.reportTrip = function(path, pType, colony) {
+    if (path.length <= 1) return;
+    this.emit("trip", path, pType, colony);
+    colony.reportTrip(path, pType);
+};
+
+/**
+ * Moves from a cell in the current neighbourhood (direction list)
+ * @param {Position} position - its row matters on the hex grid
+ * @returns {number[][]}
+ */
+World.prototype.moves = function(position) {
+    if (World.neighbourhood === World.NEIGHBOURHOOD_4) {
+        return Direction.M4;
+    }
+    if (World.neighbourhood === World.NEIGHBOURHOOD_HEX) {
+        return (position.y & 1) ? Direction.HEX_ODD : Direction.HEX_EVEN;
+    }
+    return Direction.M;
+};
+
+/**
+ * Cells an ant can step onto: inside the grid, not barriers and, without
+ * World.cornerCutting, no diagonal step past a barrier corner
+ * @param {Position} position
+ * @returns {Position[]}
+ */
+World.prototype.getNeighbors = function(position) {
+    var moves = this.moves(position);
+    var isSquare8 = World.neighbourhood === World.NEIGHBOURHOOD_8;
+    var neighbors = [];
+    for (var i = 0; i < moves.length; i++) {
+        var np = position.move(moves[i], this.map);
+        if (np === null || np.type === Position.TYPE_BARRIER) continue;
+        if (isSquare8 && !World.cornerCutting && moves[i][0] !== 0 && moves[i][1] !== 0
+            && (this.map[position.x + moves[i][0]][position.y].type === Position.TYPE_BARRIER
+                || this.map[position.x][position.y + moves[i][1]].type === Position.TYPE_BARRIER)) {
+            continue;
+        }
+        neighbors.push(np);
     }
-    this.checkList.push(position);
+    return neighbors;
 };
 
-World.prototype._getCheckedIndex = function(position) {
-    for (var i = 0; i < this.checkList.length; i++) {
-        if (position === this.checkList[i]) { return i; }
+/**
+ * Tabu list key of a cell
+ */
+World.prototype.key = function(position) {
+    return position.x + position.y * this.xl;
+};
+
+/**
+ * Heuristic eta of stepping onto a cell: 1 while searching (the food is
+ * unknown), 1 / distance to the nest while carrying food (visibility,
+ * like 1 / d_ij in AS)
+ * @param {Ant} ant
+ * @param {Position} position
+ */
+World.prototype.heuristic = function(ant, position) {
+    if (ant.status === ant.constructor.STATUS_FIND_FOOD) {
+        return 1;
+    }
+    var dist = this.cellDistance(position, ant.homePosition);
+    return (dist > 0) ? (1.0 / dist) : 100;
+};
+
+/**
+ * Trip length assumed before any trip was made: the grid half perimeter
+ */
+World.prototype.lengthEstimate = function() {
+    return this.xl + this.yl;
+};
+
+/**
+ * Euclidean distance between two cell centres, in cells
+ * (hex rows are HEX_ROW apart and odd rows shifted by half a cell)
+ */
+World.prototype.cellDistance = function(a, b) {
+    var dx = a.x - b.x;
+    var dy = a.y - b.y;
+    if (World.neighbourhood === World.NEIGHBOURHOOD_HEX) {
+        dx += ((a.y & 1) - (b.y & 1)) / 2;
+        dy *= World.HEX_ROW;
     }
-    return -1;
+    return Math.sqrt(dx * dx + dy * dy);
 };
 
 /**
- * Standard AS evaporation: tau = (1 - rho) * tau
- * Applied to all visited cells, then render pheromone visualization
+ * Length L of a path: sum of its step costs
+ * @param {Position[]} path - consecutive cells
  */
-World.prototype.evaporateAndRender = function() {
-    var maxP = 0;
-    for (var i = 0; i < this.checkList.length; i++) {
-        var pos = this.checkList[i];
-        // Evaporate
-        pos.evaporatePheromone(World.rho);
-        // Track max for visualization normalization
-        var p = pos.getP(World.showPheromoneType);
-        if (pos.type === Position.TYPE_NORMAL && p > maxP) {
-            maxP = p;
+World.prototype.pathLength = function(path) {
+    var length = 0;
+    for (var i = 1; i < path.length; i++) {
+        length += this.cellDistance(path[i - 1], path[i]);
+    }
+    return length;
+};
+
+/**
+ * Diffuse one pheromone channel to the neighbours (see moves)
+ * Every normal cell gives rate * tau / n to each of its n neighbours that is normal;
+ * shares towards barriers, food, nests or the edge stay on the cell,
+ * so the total is conserved. Uses the levels before the step (Jacobi).
+ * @param {number} channel - pheromone channel
+ * @param {number} rate - diffusion rate in [0, 1]
+ */
+World.prototype.diffuse = function(channel, rate) {
+    if (!(rate > 0)) return;
+    var size = this.xl * this.yl;
+    if (!this._diffusion || this._diffusion.length !== size) {
+        this._diffusion = new Float64Array(size);
+    }
+    var delta = this._diffusion;
+    var touched = [];
+    var checkList = this.checkList;
+    var count = checkList.length;  // cells registered below are still empty
+
+    function add(position, amount, key) {
+        if (delta[key] === 0) {
+            touched.push(position);
         }
+        delta[key] += amount;
     }
-    // Render pheromone with dynamic max normalization
-    var renderMax = maxP > 0 ? maxP : 1;
-    for (var i = 0; i < this.checkList.length; i++) {
-        this.checkList[i].showPheromone(renderMax, World.showPheromoneType);
+
+    for (var i = 0; i < count; i++) {
+        var pos = checkList[i];
+        if (pos.type !== Position.TYPE_NORMAL) continue;
+        var moves = this.moves(pos);
+        var out = pos.getP(channel) * rate / moves.length;
+        if (out <= 0) continue;
+        var key = pos.x + pos.y * this.xl;
+        for (var d = 0; d < moves.length; d++) {
+            var np = pos.move(moves[d], this.map);
+            if (np === null || np.type !== Position.TYPE_NORMAL) continue;
+            add(np, out, np.x + np.y * this.xl);
+            add(pos, -out, key);
+        }
+    }
+
+    for (var i = 0; i < touched.length; i++) {
+        var pos = touched[i];
+        var key = pos.x + pos.y * this.xl;
+        var p = pos.getP(channel) + delta[key];
+        pos.pheromone[channel] = (p < 1e-10) ? 0 : p;
+        delta[key] = 0;
+        this.addCheckList(pos);
+    }
+};
+
+/**
+ * Per-tick pheromone update of every colony (evaporation, ACS global
+ * update, MMAS best-ant deposit and bounds, see Colony.update)
+ */
+World.prototype.evaporate = function() {
+    for (var i = 0; i < this.colonies.length; i++) {
+        this.colonies[i].update();
     }
 };
 
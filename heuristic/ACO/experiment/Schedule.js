@@ -0,0 +1,204 @@
+/**
+ * Schedule - Timeline of environment events applied during a run
+ *
+ * An event { tick, action, ... } is applied once `tick` ticks have run
+ * (before tick + 1), through the same Position.changeType the popup uses,
+ * so recordings capture it like a manual edit:
+ *   barrier     x, y [, x2, y2]     barrier cell or rectangle
+ *   food        x, y [, x2, y2] [, amount]
+ *   clear       x, y [, x2, y2]     back to empty cells (nests are kept)
+ *   blockTrail  [colony]            barriers on the middle third of the
+ *                                   colony's dominant trail (Trail.extract)
+ *   moveNest    x, y [, colony]     move a nest (colony index, default 0)
+ *
+ * Text scripts hold one event per line, ";" starts a comment:
+ *   500  barrier 10 5 10 15
+ *   800  blockTrail
+ *   1200 moveNest 30 12
+ *
+ * Coordinates are whole cells; with a grid size they must lie inside it.
+ * A schedule checks its events against its world when it is created.
+ */
+
+var Position = require("../entity/Position.js");
+var Trail = require("../entity/Trail.js");
+
+function Schedule(simulation, events) {
+    this.simulation = simulation;
+    this.world = simulation.world;
+    for (var i = 0; i < events.length; i++) {
+        Schedule.check(events[i], this.world.xl, this.world.yl);
+    }
+    this.events = events.slice().sort(function(a, b) { return a.tick - b.tick; });
+    this.applied = 0;          // events applied so far (events are sorted)
+
+    this._init();
+}
+
+Schedule.ACTIONS = ["barrier", "food", "clear", "blockTrail", "moveNest"];
+
+// Positional arguments of each action in a text script
+Schedule.ARGS = {
+    barrier: ["x", "y", "x2", "y2"],
+    food: ["x", "y", "x2", "y2", "amount"],
+    clear: ["x", "y", "x2", "y2"],
+    blockTrail: ["colony"],
+    moveNest: ["x", "y", "colony"]
+};
+
+// A numeric argument in a text script (parseFloat would take "10abc" as 10)
+Schedule.NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Event fields holding cell coordinates, and the grid dimension they run along
+Schedule.COORDS = { x: "width", y: "height", x2: "width", y2: "height" };
+
+/**
+ * Parse a JSON array of events or a text script
+ * @param {string} text
+ * @param {number} [width] - grid size the coordinates must fit into
+ * @param {number} [height]
+ * @returns {Object[]} events
+ */
+Schedule.parse = function(text, width, height) {
+    var events;
+    if (/^\s*\[/.test(text)) {
+        events = JSON.parse(text);
+    } else {
+        events = [];
+        var lines = text.split(/\r?\n/);
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].replace(/;.*$/, "").trim();
+            if (line === "") continue;
+            var words = line.split(/\s+/);
+            if (!/^\d+$/.test(words[0])) {
+                throw new Error("Event without a valid tick at line " + (i + 1) + ": " + words[0]);
+            }
+            var event = { tick: Number(words[0]), action: words[1] };
+            var names = Schedule.ARGS[event.action];
+            if (!names) {
+                throw new Error("Unknown event action at line " + (i + 1) + ": " + event.action);
+            }
+            if (words.length - 2 > names.length) {
+                throw new Error("Event " + event.action + " at line " + (i + 1) + " takes at most " +
+                    names.length + " arguments");
+            }
+            for (var j = 2; j < words.length; j++) {
+                if (!Schedule.NUMBER.test(words[j])) {
+                    throw new Error("Event " + event.action + " at line " + (i + 1) + ": " + names[j - 2] +
+                        " must be a number, not " + words[j]);
+                }
+                event[names[j - 2]] = Number(words[j]);
+            }
+            events.push(event);
+        }
+    }
+    for (var i = 0; i < events.length; i++) {
+        Schedule.check(events[i], width, height);
+    }
+    return events;
+};
+
+/**
+ * Throw on an event that cannot be applied; used by the parser, the
+ * constructor and Sweep
+ * @param {Object} event
+ * @param {number} [width] - grid size (bounds are not checked without it)
+ * @param {number} [height]
+ */
+Schedule.check = function(event, width, height) {
+    if (!(event.tick >= 0 && event.tick === Math.floor(event.tick))) {
+        throw new Error("Event without a valid tick: " + JSON.stringify(event));
+    }
+    if (Schedule.ACTIONS.indexOf(event.action) < 0) {
+        throw new Error("Unknown event action: " + event.action);
+    }
+    if (event.action !== "blockTrail" && (event.x == null || event.y == null)) {
+        throw new Error("Event " + event.action + " at tick " + event.tick + " needs x and y");
+    }
+    var size = { width: width, height: height };
+    for (var name in Schedule.COORDS) {
+        var value = event[name];
+        if (value == null) continue;
+        if (typeof value !== "number" || value !== Math.floor(value) || value < 0) {
+            throw new Error("Event " + event.action + " at tick " + event.tick + ": " + name +
+                " must be a whole cell number, not " + value);
+        }
+        var limit = size[Schedule.COORDS[name]];
+        if (limit != null && value >= limit) {
+            throw new Error("Event " + event.action + " at tick " + event.tick + ": " + name + " = " + value +
+                " is outside the " + width + "x" + height + " grid");
+        }
+    }
+    if (event.colony != null && !(event.colony >= 0 && event.colony === Math.floor(event.colony))) {
+        throw new Error("Event " + event.action + " at tick " + event.tick + ": invalid colony " + event.colony);
+    }
+    if (event.amount != null && !(event.amount >= 1 && event.amount === Math.floor(event.amount))) {
+        throw new Error("Event " + event.action + " at tick " + event.tick + ": invalid food amount " + event.amount);
+    }
+};
+
+Schedule.prototype._init = function() {
+    var that = this;
+    this.world.on("tick", function(simulation) {
+        that.apply(simulation.ticks);
+    });
+    // Events at the current tick (e.g. 0) happen right away
+    this.apply(this.simulation.ticks);
+};
+
+/**
+ * Apply the events due after `ticks` ticks
+ * Emits "scheduled" (event) on the world for each one
+ */
+Schedule.prototype.apply = function(ticks) {
+    while (this.applied < this.events.length && this.events[this.applied].tick <= ticks) {
+        var event = this.events[this.applied++];
+        if (event.tick < ticks) continue;  // missed (schedule attached later)
+        this._apply(event);
+        this.world.emit("scheduled", event);
+    }
+};
+
+Schedule.prototype._apply = function(event) {
+    var world = this.world;
+    if (event.action === "blockTrail") {
+        var colony = world.getColony(event.colony || 0);
+        var trail = colony ? Trail.extract(world, colony) : null;
+        if (!trail) return;
+        var from = Math.floor(trail.length / 3);
+        var to = Math.max(from + 1, Math.floor(trail.length * 2 / 3));
+        for (var i = from; i < to; i++) {
+            if (trail[i].type === Position.TYPE_NORMAL) {
+                trail[i].changeType(Position.TYPE_BARRIER);
+            }
+        }
+    } else if (event.action === "moveNest") {
+        var colony = world.getColony(event.colony || 0);
+        if (colony) {
+            world.moveHome(event.x, event.y, colony);
+        }
+    } else {
+        var type = (event.action === "barrier") ? Position.TYPE_BARRIER
+            : (event.action === "food") ? Position.TYPE_FOOD
+            : Position.TYPE_NORMAL;
+        var x2 = (event.x2 != null) ? event.x2 : event.x;
+        var y2 = (event.y2 != null) ? event.y2 : event.y;
+        for (var x = Math.min(event.x, x2); x <= Math.max(event.x, x2); x++) {
+            for (var y = Math.min(event.y, y2); y <= Math.max(event.y, y2); y++) {
+                var pos = world.getPosition(x, y);
+                // Nests stay; moving them is moveNest
+                if (!pos || pos.type === Position.TYPE_HOME || pos.type === type) continue;
+                pos.changeType(type, event.amount);
+            }
+        }
+    }
+};
+
+/**
+ * Events not applied yet
+ */
+Schedule.prototype.pending = function() {
+    return this.events.slice(this.applied);
+};
+
+module.exports = Schedule;
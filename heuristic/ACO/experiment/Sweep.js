@@ -0,0 +1,254 @@
+/**
+ * Sweep - Headless parameter sweeps on a map
+ *
+ * A spec lists values per parameter that changes a run (Params.RUN)
+ * and the seeds; every combination runs once per seed for a fixed number
+ * of ticks:
+ *   { "ticks": 2000,
+ *     "seeds": 10,                      (1..10, or a list of seeds)
+ *     "params": { "alpha": [0, 0.5, 1, 2], "beta": [0, 1, 2, 5] },
+ *     "fixed": { "algorithm": "MMAS" },  (optional, same for every run)
+ *     "events": [...] }                  (optional, see Schedule; a list or a script)
+ *
+ * Outcome of a run (one CSV row):
+ *   firstDelivery      tick of the first food delivered home (empty if none)
+ *   deliveriesPer1000  deliveries per 1000 ticks
+ *   meanTripLength     mean length of all completed trips (empty if none)
+ *   trailLength        length of the final trail, see Trail.extract (empty if none)
+ *   trailRatio         trailLength / shortest path to the same food (empty if none)
+ *   optimalityGap      running trip gap at the end, see Metrics (empty if no trip)
+ *   totalDeliveries    deliveries over the run
+ */
+
+var World = require("../entity/World.js");
+var Simulation = require("../entity/Simulation.js");
+var Metrics = require("../entity/Metrics.js");
+var Trail = require("../entity/Trail.js");
+var WorldMap = require("../io/WorldMap.js");
+var Schedule = require("./Schedule.js");
+var Params = require("../entity/Params.js");
+
+function Sweep() {}
+
+Sweep.OUTCOMES = ["firstDelivery", "deliveriesPer1000", "meanTripLength", "trailLength", "trailRatio",
+    "optimalityGap", "totalDeliveries"];
+
+/**
+ * Parse and validate a sweep spec
+ * @param {string} text - JSON
+ * @returns {Object} spec
+ */
+Sweep.parseSpec = function(text) {
+    var spec = JSON.parse(text);
+    spec.params = spec.params || {};
+    spec.fixed = spec.fixed || {};
+    var names = Object.keys(spec.params).concat(Object.keys(spec.fixed));
+    for (var i = 0; i < names.length; i++) {
+        if (Params.RUN.indexOf(names[i]) < 0) {
+            throw new Error("Unknown sweep parameter: " + names[i]);
+        }
+    }
+    for (var name in spec.params) {
+        if (!Array.isArray(spec.params[name]) || spec.params[name].length === 0) {
+            throw new Error("Sweep parameter " + name + " needs a list of values");
+        }
+    }
+    // Ranges of Params.SCHEMA
+    for (var i = 0; i < names.length; i++) {
+        var param = Params.BY_NAME[names[i]];
+        var values = (names[i] in spec.params) ? spec.params[names[i]] : [spec.fixed[names[i]]];
+        for (var j = 0; j < values.length; j++) {
+            var error = Params.check(param, values[j]);
+            if (error) {
+                throw new Error("Invalid value " + values[j] + " for " + names[i] + " (" + error + ")");
+            }
+        }
+    }
+    if (!Sweep.isCount(spec.ticks)) {
+        throw new Error("Sweep spec needs a positive whole number of ticks: " + spec.ticks);
+    }
+    Sweep.seeds(spec);
+    if (typeof spec.events === "string") {
+        spec.events = Schedule.parse(spec.events);
+    }
+    spec.events = spec.events || [];
+    for (var i = 0; i < spec.events.length; i++) {
+        Schedule.check(spec.events[i]);
+    }
+    return spec;
+};
+
+/**
+ * @returns {boolean} true for a whole number >= 1
+ */
+Sweep.isCount = function(n) {
+    return typeof n === "number" && n >= 1 && n === Math.floor(n) && n < Infinity;
+};
+
+/**
+ * Seeds of a spec: a count n means 1..n (default 1)
+ * @returns {number[]}
+ * @throws {Error} on a count that is not a whole number >= 1, or a list
+ *   that is empty or holds anything but whole numbers >= 0
+ */
+Sweep.seeds = function(spec) {
+    if (Array.isArray(spec.seeds)) {
+        if (spec.seeds.length === 0 || !spec.seeds.every(function(seed) { return Sweep.isCount(seed + 1); })) {
+            throw new Error("Sweep seeds must be whole numbers >= 0: " + JSON.stringify(spec.seeds));
+        }
+        return spec.seeds;
+    }
+    var count = (spec.seeds != null) ? spec.seeds : 1;
+    if (!Sweep.isCount(count)) {
+        throw new Error("Sweep seeds must be a list or a whole number >= 1: " + JSON.stringify(spec.seeds));
+    }
+    var seeds = [];
+    for (var i = 1; i <= count; i++) {
+        seeds.push(i);
+    }
+    return seeds;
+};
+
+/**
+ * Cartesian product of the parameter lists
+ * @param {Object} params - name -> values
+ * @returns {Object[]} name -> value, first parameter varying slowest
+ */
+Sweep.combinations = function(params) {
+    var combos = [{}];
+    for (var name in params) {
+        var next = [];
+        for (var i = 0; i < combos.length; i++) {
+            for (var j = 0; j < params[name].length; j++) {
+                var combo = {};
+                for (var key in combos[i]) {
+                    combo[key] = combos[i][key];
+                }
+                combo[name] = params[name][j];
+                next.push(combo);
+            }
+        }
+        combos = next;
+    }
+    return combos;
+};
+
+/**
+ * Run one combination on a fresh world built from the layout
+ * World parameters are restored afterwards.
+ * @param {Object} layout - see WorldMap
+ * @param {Object} values - World parameter name -> value
+ * @param {number} seed
+ * @param {number} ticks
+ * @param {Object[]} [events] - environment events (see Schedule)
+ * @returns {Object} outcome (see Sweep.OUTCOMES)
+ */
+Sweep.runOne = function(layout, values, seed, ticks, events) {
+    var saved = { seed: World.seed };
+    for (var name in values) {
+        saved[name] = World[name];
+        World[name] = values[name];
+    }
+    World.seed = seed;
+
+    try {
+        var world = WorldMap.createWorld(layout, 1);
+        var simulation = new Simulation(world);
+        var metrics = new Metrics(simulation);
+        new Schedule(simulation, events || []);
+        simulation.run(ticks);
+    } finally {
+        for (var name in saved) {
+            World[name] = saved[name];
+        }
+    }
+
+    var firstDelivery = null;
+    var trips = 0;
+    var tripSum = 0;
+    for (var i = 0; i < metrics.history.length; i++) {
+        var sample = metrics.history[i];
+        if (firstDelivery === null && sample.deliveries > 0) {
+            firstDelivery = sample.tick;
+        }
+        if (sample.trips > 0) {
+            trips += sample.trips;
+            tripSum += sample.meanTripLength * sample.trips;
+        }
+    }
+    var trail = Trail.extract(world);
+    var trailLength = trail ? world.pathLength(trail) : null;
+    var optimum = trail ? metrics.shortestPath.length(world.colonies[0], trail[trail.length - 1]) : null;
+    var last = metrics.last();
+    return {
+        firstDelivery: firstDelivery,
+        deliveriesPer1000: metrics.totalDeliveries * 1000 / ticks,
+        meanTripLength: trips > 0 ? tripSum / trips : null,
+        trailLength: trailLength,
+        trailRatio: trail ? trailLength / optimum : null,
+        optimalityGap: last ? last.optimalityGap : null,
+        totalDeliveries: metrics.totalDeliveries
+    };
+};
+
+/**
+ * Run every combination for every seed
+ * @param {Object} layout
+ * @param {Object} spec - see Sweep.parseSpec
+ * @param {Function} [onRow] - called with (row, index, total) after each run
+ * @returns {Object[]} rows: parameter values, seed and outcome
+ */
+Sweep.run = function(layout, spec, onRow) {
+    var events = spec.events || [];
+    for (var i = 0; i < events.length; i++) {
+        Schedule.check(events[i], layout.width, layout.height);
+    }
+    var combos = Sweep.combinations(spec.params);
+    var seeds = Sweep.seeds(spec);
+    var total = combos.length * seeds.length;
+    var rows = [];
+    for (var c = 0; c < combos.length; c++) {
+        var values = {};
+        for (var name in spec.fixed) {
+            values[name] = spec.fixed[name];
+        }
+        for (var name in combos[c]) {
+            values[name] = combos[c][name];
+        }
+        for (var s = 0; s < seeds.length; s++) {
+            var row = Sweep.runOne(layout, values, seeds[s], spec.ticks, spec.events);
+            for (var name in combos[c]) {
+                row[name] = combos[c][name];
+            }
+            row.seed = seeds[s];
+            rows.push(row);
+            if (onRow) {
+                onRow(row, rows.length, total);
+            }
+        }
+    }
+    return rows;
+};
+
+/**
+ * CSV columns of a spec: swept parameters, seed, outcomes
+ */
+Sweep.columns = function(spec) {
+    return Object.keys(spec.params).concat(["seed"], Sweep.OUTCOMES);
+};
+
+/**
+ * One CSV line (empty cell for a missing value, outcomes to 3 decimals)
+ * @param {Object} row
+ * @param {string[]} columns
+ */
+Sweep.csvLine = function(row, columns) {
+    return columns.map(function(column) {
+        var v = row[column];
+        if (v == null) return "";
+        if (Sweep.OUTCOMES.indexOf(column) >= 0 && v !== Math.round(v)) return v.toFixed(3);
+        return String(v);
+    }).join(",");
+};
+
+module.exports = Sweep;
@@ -0,0 +1,269 @@
+/**
+ * Graph - Weighted construction graph for GraphColony and TspColony
+ *
+ *   node  { id, index, x, y, data }        x / y optional (heuristics, weights)
+ *   edge  { index, from, to, weight, directed, pheromone, data }
+ *
+ * Edges hold their pheromone per colony channel with the update rules of
+ * a normal grid cell (Position), so Colony updates them unchanged (see
+ * GraphWorld). An undirected edge can be walked both ways and holds one
+ * pheromone value for both directions; a directed edge only from -> to. Missing
+ * weights are the distance between the end nodes (Graph.distance with
+ * the graph's metric: planar coordinates or longitude / latitude).
+ *
+ * source / targets are the ids of a default routing problem, set by the
+ * loaders when the input names one (see GraphLoader, GridGraph).
+ */
+
+var Position = require("../entity/Position.js");
+
+function Graph(metric) {
+    this.metric = metric || Graph.METRIC_EUCLIDEAN;
+    this.nodes = [];
+    this.edges = [];
+    this.source = null;        // default start node id (optional)
+    this.targets = [];         // default target node ids (optional)
+    this._byId = {};           // id -> node
+    this._moves = [];          // node index -> [{ edge, node }] leaving the node
+}
+
+// Distance between node coordinates
+Graph.METRIC_EUCLIDEAN = "euclidean"; // planar x, y
+Graph.METRIC_HAVERSINE = "haversine"; // x = longitude, y = latitude, in metres
+
+Graph.EARTH_RADIUS = 6371008.8;       // mean radius in metres
+
+/**
+ * Add a node
+ * @param {string} id - unique
+ * @param {number} [x]
+ * @param {number} [y]
+ * @param {Object} [data] - anything the caller wants to keep
+ * @returns {Object} node
+ */
+Graph.prototype.addNode = function(id, x, y, data) {
+    id = String(id);
+    if (this._byId[id]) {
+        throw new Error("Duplicate graph node: " + id);
+    }
+    var node = {
+        id: id,
+        index: this.nodes.length,
+        x: (x != null) ? x : null,
+        y: (y != null) ? y : null,
+        data: data || null
+    };
+    this.nodes.push(node);
+    this._byId[id] = node;
+    this._moves.push([]);
+    return node;
+};
+
+/**
+ * @param {string} id
+ * @returns {Object|null} node
+ */
+Graph.prototype.node = function(id) {
+    return this._byId[String(id)] || null;
+};
+
+/**
+ * Add an edge between two existing nodes
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {number} [weight] - >= 0, defaults to the distance of the nodes
+ * @param {boolean} [directed] - only from -> to
+ * @param {Object} [data]
+ * @returns {Object} edge
+ */
+Graph.prototype.addEdge = function(fromId, toId, weight, directed, data) {
+    var from = this.node(fromId);
+    var to = this.node(toId);
+    if (!from || !to) {
+        throw new Error("Graph edge to an unknown node: " + fromId + " -> " + toId);
+    }
+    if (from === to) {
+        throw new Error("Graph edge from a node to itself: " + fromId);
+    }
+    if (weight == null) {
+        weight = this.distance(from, to);
+    }
+    if (!(weight >= 0) || weight === Infinity) {
+        throw new Error("Graph edge " + fromId + " -> " + toId + " needs a non-negative weight");
+    }
+    var edge = new Edge(this.edges.length, from, to, weight, directed === true, data);
+    this.edges.push(edge);
+    this._moves[from.index].push({ edge: edge, node: to });
+    if (!edge.directed) {
+        this._moves[to.index].push({ edge: edge, node: from });
+    }
+    return edge;
+};
+
+/**
+ * Moves leaving a node
+ * @returns {Object[]} [{ edge, node }], node: where the move leads
+ */
+Graph.prototype.moves = function(node) {
+    return this._moves[node.index];
+};
+
+/**
+ * Distance between the coordinates of two nodes in the graph's metric
+ * @returns {number} NaN when a node has no coordinates
+ */
+Graph.prototype.distance = function(a, b) {
+    if (a.x === null || b.x === null) return NaN;
+    if (this.metric === Graph.METRIC_HAVERSINE) {
+        var rad = Math.PI / 180;
+        var dLat = (b.y - a.y) * rad;
+        var dLon = (b.x - a.x) * rad;
+        var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(a.y * rad) * Math.cos(b.y * rad) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return 2 * Graph.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+    var dx = a.x - b.x;
+    var dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+};
+
+/**
+ * Node closest to a point (same metric), for picking sources and targets
+ * on maps
+ * @returns {Object|null}
+ */
+Graph.prototype.nearest = function(x, y) {
+    var point = { x: x, y: y };
+    var best = null;
+    var bestD = Infinity;
+    for (var i = 0; i < this.nodes.length; i++) {
+        var d = this.distance(this.nodes[i], point);
+        if (d < bestD) {
+            best = this.nodes[i];
+            bestD = d;
+        }
+    }
+    return best;
+};
+
+/**
+ * Node by id, or the one nearest to "x,y" when no id matches
+ * @param {string} text
+ * @returns {Object|null}
+ */
+Graph.prototype.find = function(text) {
+    var node = this.node(text);
+    if (node) return node;
+    var parts = String(text).split(",");
+    if (parts.length === 2 && !isNaN(parseFloat(parts[0])) && !isNaN(parseFloat(parts[1]))) {
+        return this.nearest(parseFloat(parts[0]), parseFloat(parts[1]));
+    }
+    return null;
+};
+
+/**
+ * Dijkstra from a node to the nearest of the targets
+ * @param {Object} source - node
+ * @param {Object[]} targets - nodes
+ * @returns {Object|null} { nodes, edges, length }, null if none is reachable
+ */
+Graph.prototype.shortestPath = function(source, targets) {
+    var n = this.nodes.length;
+    var dist = new Float64Array(n);
+    var prev = new Int32Array(n); // node index -> index of the node before it
+    var via = [];              // node index -> edge that reached it
+    var done = new Uint8Array(n);
+    var isTarget = {};
+    for (var i = 0; i < n; i++) {
+        dist[i] = Infinity;
+    }
+    for (var i = 0; i < targets.length; i++) {
+        isTarget[targets[i].index] = true;
+    }
+    var heap = [];             // [distance, node index], distance fixed when pushed
+
+    function push(d, index) {
+        var i = heap.length;
+        heap.push(null);
+        while (i > 0) {
+            var parent = (i - 1) >> 1;
+            if (heap[parent][0] <= d) break;
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = [d, index];
+    }
+
+    function pop() {
+        var top = heap[0];
+        var last = heap.pop();
+        if (heap.length > 0) {
+            var i = 0;
+            while (true) {
+                var child = 2 * i + 1;
+                if (child >= heap.length) break;
+                if (child + 1 < heap.length && heap[child + 1][0] < heap[child][0]) {
+                    child++;
+                }
+                if (heap[child][0] >= last[0]) break;
+                heap[i] = heap[child];
+                i = child;
+            }
+            heap[i] = last;
+        }
+        return top[1];
+    }
+
+    dist[source.index] = 0;
+    push(0, source.index);
+    while (heap.length > 0) {
+        var index = pop();
+        if (done[index]) continue;  // stale heap entry
+        done[index] = 1;
+        if (isTarget[index]) {
+            var nodes = [this.nodes[index]];
+            var edges = [];
+            for (var k = index; k !== source.index; k = prev[k]) {
+                edges.push(via[k]);
+                nodes.push(this.nodes[prev[k]]);
+            }
+            return { nodes: nodes.reverse(), edges: edges.reverse(), length: dist[index] };
+        }
+        var moves = this._moves[index];
+        for (var i = 0; i < moves.length; i++) {
+            var next = moves[i].node.index;
+            var d = dist[index] + moves[i].edge.weight;
+            if (d < dist[next]) {
+                dist[next] = d;
+                prev[next] = index;
+                via[next] = moves[i].edge;
+                push(d, next);
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Edge of a Graph, see addEdge
+ */
+function Edge(index, from, to, weight, directed, data) {
+    this.index = index;
+    this.from = from;
+    this.to = to;
+    this.weight = weight;
+    this.directed = directed;
+    this.type = Position.TYPE_NORMAL; // pheromone rules of a normal cell
+    this.pheromone = [];       // channel -> tau (see Colony.channel)
+    this.data = data || null;
+}
+
+Edge.prototype.getP = Position.prototype.getP;
+Edge.prototype.evaporatePheromone = Position.prototype.evaporatePheromone;
+Edge.prototype.addPheromone = Position.prototype.addPheromone;
+Edge.prototype.blendPheromone = Position.prototype.blendPheromone;
+Edge.prototype.clampPheromone = Position.prototype.clampPheromone;
+
+Graph.Edge = Edge;
+
+module.exports = Graph;
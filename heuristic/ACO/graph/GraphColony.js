@@ -0,0 +1,201 @@
+/**
+ * GraphColony - The colony algorithms of the grid on any weighted graph
+ *
+ * Ants walk from a source node until they reach one of the target nodes
+ * (routing / shortest-path problems). Pheromone sits on the edges of the
+ * Graph; the heuristic eta of a move comes from a function given by the
+ * caller instead of the grid's fixed 1 / distance to home.
+ *
+ * The ants and their colony are the grid's own Ant and Colony on a
+ * GraphWorld, so the rules are the same (World.algorithm unless the colony
+ * params set one):
+ *   choice     Ant._selectNext with the ACS local update on every move; a
+ *              tabu list keeps walks simple, an ant that runs into a dead
+ *              end is dropped
+ *   deposit    the walks of an iteration complete together (Ant._completeTrip),
+ *              then Colony.update evaporates and applies the ACS global
+ *              update or the MMAS best-ant deposit and bounds
+ * The MMAS bounds start from the shortest path length.
+ *
+ * One iteration sends the colony's ANT_NUMBER ants. Usage (Node):
+ *   var colony = new GraphColony(graph, { source: "A", targets: ["F"] });
+ *   colony.run(100);
+ *   colony.bestPath  // nodes
+ */
+
+var Ant = require("../entity/Ant.js");
+var Position = require("../entity/Position.js");
+var GraphWorld = require("./GraphWorld.js");
+
+/**
+ * @param {Graph} graph
+ * @param {Object} [options]
+ *   source     node id (default graph.source)
+ *   targets    node ids (default graph.targets)
+ *   heuristic  function(edge, node, colony) -> eta of the move over edge
+ *              onto node (default GraphColony.inverseWeight)
+ *   params     overrides of the World parameters (see Colony.param),
+ *              e.g. { algorithm: "ACS", alpha: 1, ANT_NUMBER: 20 }
+ *   seed       RNG seed (default World.seed)
+ */
+function GraphColony(graph, options) {
+    options = options || {};
+    var that = this;
+    this.graph = graph;
+    this.source = this._node(options.source != null ? options.source : graph.source);
+    this.targets = [];
+    this._isTarget = {};       // node index -> true
+    var targets = options.targets || graph.targets;
+    for (var i = 0; i < targets.length; i++) {
+        var target = this._node(targets[i]);
+        this.targets.push(target);
+        this._isTarget[target.index] = true;
+    }
+    var heuristic = options.heuristic || GraphColony.inverseWeight;
+    this.optimum = this._shortestPath(); // the baseline of the gap
+    this.world = new GraphWorld(graph, {
+        heuristic: function(edge, node) {
+            return heuristic(edge, node, that);
+        },
+        lengthEstimate: this.optimum.length,
+        seed: options.seed
+    });
+    this.colony = this.world.addColony(this.source, { params: options.params });
+    this.random = this.world.random;
+    this.seed = this.world.seed;
+    this.iteration = 0;
+    this.bestPath = null;      // nodes of the best walk so far
+    this.bestEdges = null;
+    this.bestLength = Infinity;
+    this.history = [];         // per iteration { iteration, best, iterationBest, mean, arrived }
+}
+
+/**
+ * Default heuristic: 1 / edge weight (like 1 / d_ij in AS)
+ */
+GraphColony.inverseWeight = GraphWorld.inverseWeight;
+
+/**
+ * Goal-directed heuristic: 1 / distance from the node reached to the
+ * nearest target (the grid's homing rule); needs node coordinates
+ */
+GraphColony.towardsTarget = function(edge, node, colony) {
+    var d = Infinity;
+    for (var i = 0; i < colony.targets.length; i++) {
+        d = Math.min(d, colony.graph.distance(node, colony.targets[i]));
+    }
+    return (d > 0) ? 1.0 / d : 100;
+};
+
+GraphColony.prototype._node = function(id) {
+    var node = (id != null) ? this.graph.find(id) : null;
+    if (!node) {
+        throw new Error("Unknown graph node: " + id);
+    }
+    return node;
+};
+
+GraphColony.prototype._shortestPath = function() {
+    if (this.targets.length === 0) {
+        throw new Error("The colony needs at least one target node");
+    }
+    if (this._isTarget[this.source.index]) {
+        throw new Error("The source node " + this.source.id + " is also a target");
+    }
+    var path = this.graph.shortestPath(this.source, this.targets);
+    if (!path) {
+        throw new Error("No target can be reached from " + this.source.id);
+    }
+    // L = 0 would make the MMAS limit tau_max = Q / (rho L) infinite
+    if (!(path.length > 0)) {
+        throw new Error("The shortest path from " + this.source.id + " has length 0");
+    }
+    return path;
+};
+
+/**
+ * Colony parameter (see Colony.param)
+ */
+GraphColony.prototype.param = function(name) {
+    return this.colony.param(name);
+};
+
+/**
+ * MMAS trail limits of the colony (see Colony.pheromoneBounds)
+ * @returns {{min: number, max: number}}
+ */
+GraphColony.prototype.pheromoneBounds = function() {
+    return this.colony.pheromoneBounds(Position.P_TYPE_FOOD);
+};
+
+/**
+ * An ant walks from the source until it stands on a target
+ * @returns {boolean} false at a dead end (every way on is tabu or none)
+ */
+GraphColony.prototype._walk = function(ant) {
+    var current = ant.getPosition();
+    while (!this._isTarget[current.node.index]) {
+        var next = ant._selectNext(current);
+        if (!next || ant._isInPath(next)) return false;
+        ant._localUpdate(next);
+        ant._visit(next);
+        current = next;
+    }
+    return true;
+};
+
+/**
+ * Run one iteration: ANT_NUMBER walks, then the pheromone update of the
+ * colony's algorithm
+ * @returns {Object} { iteration, best, iterationBest, mean, arrived }:
+ *   lengths (Infinity / null while no ant arrived) and the number of ants
+ *   that reached a target
+ */
+GraphColony.prototype.iterate = function() {
+    var arrived = [];
+    var iterationBest = Infinity;
+    var total = 0;
+    for (var k = 0; k < this.param("ANT_NUMBER"); k++) {
+        var ant = new Ant(this.world, this.colony);
+        if (this._walk(ant)) {
+            arrived.push(ant);
+        }
+    }
+
+    for (var i = 0; i < arrived.length; i++) {
+        var path = arrived[i].path;
+        var length = this.world.pathLength(path);
+        total += length;
+        iterationBest = Math.min(iterationBest, length);
+        if (length < this.bestLength) {
+            this.bestLength = length;
+            this.bestPath = path.map(function(arc) { return arc.node; });
+            this.bestEdges = path.slice(1).map(function(arc) { return arc.edge; });
+        }
+        arrived[i]._completeTrip(Position.P_TYPE_FOOD);
+    }
+    this.world.evaporate();
+
+    this.iteration++;
+    var record = {
+        iteration: this.iteration,
+        best: this.bestLength,
+        iterationBest: iterationBest,
+        mean: (arrived.length > 0) ? total / arrived.length : null,
+        arrived: arrived.length
+    };
+    this.history.push(record);
+    return record;
+};
+
+/**
+ * Run several iterations in a row
+ * @param {number} n - number of iterations
+ */
+GraphColony.prototype.run = function(n) {
+    for (var i = 0; i < n; i++) {
+        this.iterate();
+    }
+};
+
+module.exports = GraphColony;
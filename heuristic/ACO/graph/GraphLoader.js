@@ -0,0 +1,145 @@
+/**
+ * GraphLoader - Graph from JSON: an edge list or a GeoJSON road network
+ *
+ * Edge list ("format": "aco-graph"):
+ *   {
+ *     "format": "aco-graph",
+ *     "metric": "euclidean",            // or "haversine" (x = lon, y = lat)
+ *     "directed": false,                // default for all edges
+ *     "nodes": [{ "id": "A", "x": 0, "y": 0 }, ...],
+ *     "edges": [["A", "B", 4], { "from": "B", "to": "C", "directed": true }, ...],
+ *     "source": "A",                    // optional default problem
+ *     "targets": ["F"]
+ *   }
+ * A missing weight is the distance of the end nodes.
+ *
+ * GeoJSON: every LineString / MultiLineString feature is a chain of edges
+ * between its vertices; vertices with the same coordinates are the same
+ * node "lon,lat". Weights are great-circle lengths in metres, features
+ * with properties.oneway (true, "yes", "1") are directed along the line.
+ */
+
+var Graph = require("./Graph.js");
+
+function GraphLoader() {}
+
+GraphLoader.FORMAT = "aco-graph";
+
+/**
+ * Parse the text of either format
+ * @param {string} text - JSON
+ * @returns {Graph}
+ */
+GraphLoader.parse = function(text) {
+    var data = JSON.parse(text);
+    if (data.format === GraphLoader.FORMAT) {
+        return GraphLoader.fromEdgeList(data);
+    }
+    if (data.type === "FeatureCollection" || data.type === "Feature") {
+        return GraphLoader.fromGeoJSON(data);
+    }
+    throw new Error("Not a graph file: expected \"format\": \"" + GraphLoader.FORMAT +
+        "\" or a GeoJSON FeatureCollection");
+};
+
+/**
+ * @param {Object} data - parsed edge list
+ * @returns {Graph}
+ */
+GraphLoader.fromEdgeList = function(data) {
+    var graph = new Graph(data.metric);
+    var nodes = data.nodes || [];
+    for (var i = 0; i < nodes.length; i++) {
+        if (nodes[i].id == null || nodes[i].id === "") {
+            throw new Error("Graph node " + i + " has no id");
+        }
+        graph.addNode(nodes[i].id, nodes[i].x, nodes[i].y);
+    }
+    var edges = data.edges || [];
+    for (var i = 0; i < edges.length; i++) {
+        var e = edges[i];
+        if (Array.isArray(e)) {
+            e = { from: e[0], to: e[1], weight: e[2] };
+        }
+        graph.addEdge(e.from, e.to, e.weight,
+            (e.directed != null) ? e.directed === true : data.directed === true);
+    }
+    if (data.source != null) {
+        graph.source = String(data.source);
+    }
+    graph.targets = (data.targets || []).map(String);
+    return graph;
+};
+
+/**
+ * @param {Object} data - parsed GeoJSON (FeatureCollection or Feature)
+ * @returns {Graph}
+ */
+GraphLoader.fromGeoJSON = function(data) {
+    var graph = new Graph(Graph.METRIC_HAVERSINE);
+    var features = (data.type === "FeatureCollection") ? data.features : [data];
+
+    function vertex(coordinate) {
+        var id = coordinate[0] + "," + coordinate[1];
+        if (!graph.node(id)) {
+            graph.addNode(id, coordinate[0], coordinate[1]);
+        }
+        return id;
+    }
+
+    for (var i = 0; i < features.length; i++) {
+        var geometry = features[i].geometry;
+        if (!geometry) continue;
+        var lines;
+        if (geometry.type === "LineString") {
+            lines = [geometry.coordinates];
+        } else if (geometry.type === "MultiLineString") {
+            lines = geometry.coordinates;
+        } else {
+            continue;          // points, polygons: not part of the network
+        }
+        var properties = features[i].properties || {};
+        var oneway = properties.oneway === true || properties.oneway === "yes" ||
+            properties.oneway === "1" || properties.oneway === 1;
+        for (var j = 0; j < lines.length; j++) {
+            var previous = vertex(lines[j][0]);
+            for (var k = 1; k < lines[j].length; k++) {
+                var current = vertex(lines[j][k]);
+                if (current !== previous) {
+                    graph.addEdge(previous, current, null, oneway, properties);
+                }
+                previous = current;
+            }
+        }
+    }
+    if (graph.nodes.length === 0) {
+        throw new Error("The GeoJSON has no LineString features");
+    }
+    return graph;
+};
+
+/**
+ * Edge-list JSON object of a graph (pheromone is not saved)
+ * @param {Graph} graph
+ * @returns {Object}
+ */
+GraphLoader.toEdgeList = function(graph) {
+    return {
+        format: GraphLoader.FORMAT,
+        metric: graph.metric,
+        nodes: graph.nodes.map(function(node) {
+            return (node.x !== null) ? { id: node.id, x: node.x, y: node.y } : { id: node.id };
+        }),
+        edges: graph.edges.map(function(edge) {
+            var e = { from: edge.from.id, to: edge.to.id, weight: edge.weight };
+            if (edge.directed) {
+                e.directed = true;
+            }
+            return e;
+        }),
+        source: graph.source,
+        targets: graph.targets
+    };
+};
+
+module.exports = GraphLoader;
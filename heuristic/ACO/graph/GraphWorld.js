@@ -0,0 +1,204 @@
+/**
+ * GraphWorld - A Graph as the world of Ant and Colony
+ *
+ * Implements the provider interface World offers the grid ants (see
+ * World), so the same transition rule, deposit and per-algorithm update
+ * run on any weighted graph:
+ *   position   an arc: the node an ant stands on and the edge it came by
+ *              (the first arc of a walk has none); its pheromone is the
+ *              edge's, so both directions of an undirected edge share it
+ *   neighbours the arcs leaving the node (tabu by node)
+ *   cost       the weight of the edge walked
+ *   eta        a function of the edge and the node it leads to
+ * Every edge takes part in evaporation; diffusion is a grid feature and
+ * does nothing here. GraphColony and TspColony drive the ants.
+ */
+
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Colony = require("../entity/Colony.js");
+var Random = require("../entity/Random.js");
+
+/**
+ * @param {Graph} graph
+ * @param {Object} [options]
+ *   heuristic       function(edge, node) -> eta (default GraphWorld.inverseWeight)
+ *   lengthEstimate  L assumed before the first trip (MMAS bounds), default
+ *                   the number of nodes times the mean edge weight
+ *   seed            RNG seed (default World.seed)
+ */
+function GraphWorld(graph, options) {
+    options = options || {};
+    this.graph = graph;
+    this.heuristicOf = options.heuristic || GraphWorld.inverseWeight;
+    this.colonies = [];
+    this.checkList = graph.edges;  // every trail evaporates
+    this.random = new Random((options.seed !== undefined) ? options.seed : World.seed);
+    this.seed = this.random.seed;
+    if (options.lengthEstimate != null && !(options.lengthEstimate > 0 && options.lengthEstimate < Infinity)) {
+        throw new Error("Graph length estimate must be a positive number: " + options.lengthEstimate);
+    }
+    this._estimate = options.lengthEstimate;
+    this._starts = [];         // node index -> first arc of a walk
+    this._arcs = [];           // node index -> arcs leaving the node
+
+    for (var i = 0; i < graph.nodes.length; i++) {
+        var moves = graph.moves(graph.nodes[i]);
+        this._arcs[i] = [];
+        for (var k = 0; k < moves.length; k++) {
+            this._arcs[i].push(new Arc(moves[k].node, moves[k].edge));
+        }
+    }
+}
+
+/**
+ * Default heuristic: 1 / edge weight (like 1 / d_ij in AS); a zero weight
+ * counts as very close, like the grid's nest
+ */
+GraphWorld.inverseWeight = function(edge) {
+    return (edge.weight > 0) ? 1.0 / edge.weight : 100;
+};
+
+/**
+ * Add the colony of this world, its walks start at a node
+ * @param {Object} node - start of every ant (Colony.homePosition is its arc)
+ * @param {Object} [options] - see Colony (params override World)
+ * @returns {Colony}
+ */
+GraphWorld.prototype.addColony = function(node, options) {
+    var colony = new Colony(this, this.colonies.length, this.start(node), options);
+    this.colonies.push(colony);
+    this.resetPheromone(colony);
+    return colony;
+};
+
+/**
+ * Set every edge of a colony's channels to its initial level
+ * (Colony.initialPheromone)
+ */
+GraphWorld.prototype.resetPheromone = function(colony) {
+    var fp = colony.initialPheromone(Position.P_TYPE_FOOD);
+    var hp = colony.initialPheromone(Position.P_TYPE_HOME);
+    var edges = this.graph.edges;
+    for (var i = 0; i < edges.length; i++) {
+        edges[i].pheromone[colony.channel(Position.P_TYPE_FOOD)] = fp;
+        edges[i].pheromone[colony.channel(Position.P_TYPE_HOME)] = hp;
+    }
+};
+
+/**
+ * First arc of a walk from a node
+ */
+GraphWorld.prototype.start = function(node) {
+    if (!this._starts[node.index]) {
+        this._starts[node.index] = new Arc(node, null);
+    }
+    return this._starts[node.index];
+};
+
+/**
+ * Arc from one node to another (the first edge between them), or null
+ */
+GraphWorld.prototype.arc = function(from, to) {
+    var arcs = this._arcs[from.index];
+    for (var i = 0; i < arcs.length; i++) {
+        if (arcs[i].node === to) {
+            return arcs[i];
+        }
+    }
+    return null;
+};
+
+// --- Provider interface (see World) ---
+
+GraphWorld.prototype.getNeighbors = function(arc) {
+    return this._arcs[arc.node.index];
+};
+
+GraphWorld.prototype.key = function(arc) {
+    return arc.node.index;
+};
+
+GraphWorld.prototype.heuristic = function(ant, arc) {
+    return this.heuristicOf(arc.edge, arc.node);
+};
+
+GraphWorld.prototype.cellDistance = function(a, b) {
+    return b.edge ? b.edge.weight : 0;
+};
+
+GraphWorld.prototype.pathLength = function(path) {
+    var length = 0;
+    for (var i = 1; i < path.length; i++) {
+        length += path[i].edge.weight;
+    }
+    return length;
+};
+
+GraphWorld.prototype.lengthEstimate = function() {
+    if (this._estimate != null) {
+        return this._estimate;
+    }
+    var edges = this.graph.edges;
+    var total = 0;
+    for (var i = 0; i < edges.length; i++) {
+        total += edges[i].weight;
+    }
+    return (edges.length > 0) ? this.graph.nodes.length * total / edges.length : 1;
+};
+
+GraphWorld.prototype.addCheckList = function() {};
+
+GraphWorld.prototype.diffuse = function() {};
+
+GraphWorld.prototype.reportTrip = function(path, pType, colony) {
+    if (path.length <= 1) return;
+    colony.reportTrip(path, pType);
+};
+
+/**
+ * Per-iteration pheromone update of every colony (see Colony.update)
+ */
+GraphWorld.prototype.evaporate = function() {
+    for (var i = 0; i < this.colonies.length; i++) {
+        this.colonies[i].update();
+    }
+};
+
+/**
+ * Position of an ant on a graph: a node and the edge that led there
+ */
+function Arc(node, edge) {
+    this.node = node;
+    this.edge = edge;          // null for the first arc of a walk
+    this.type = Position.TYPE_NORMAL; // the drivers spot targets themselves
+    this.visits = 0;
+}
+
+Arc.prototype.getP = function(channel) {
+    return this.edge ? this.edge.getP(channel) : 0;
+};
+
+Arc.prototype.addPheromone = function(amount, channel) {
+    if (this.edge) this.edge.addPheromone(amount, channel);
+};
+
+Arc.prototype.evaporatePheromone = function(rho, channel) {
+    if (this.edge) this.edge.evaporatePheromone(rho, channel);
+};
+
+Arc.prototype.blendPheromone = function(channel, rate, target) {
+    if (this.edge) this.edge.blendPheromone(channel, rate, target);
+};
+
+Arc.prototype.clampPheromone = function(channel, min, max) {
+    if (this.edge) this.edge.clampPheromone(channel, min, max);
+};
+
+Arc.prototype.takeFood = function() {
+    return true;
+};
+
+GraphWorld.Arc = Arc;
+
+module.exports = GraphWorld;
@@ -0,0 +1,64 @@
+/**
+ * GridGraph - The grid of a World as a Graph
+ *
+ * Every cell that is not a barrier becomes a node "x,y" at its centre
+ * (in cells; hex rows HEX_ROW apart, odd ones shifted by half a cell),
+ * every move of the current neighbourhood an undirected edge weighted by
+ * World.cellDistance. The default problem runs from the nest of a colony
+ * to the food cells, as the grid ants forage.
+ */
+
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Graph = require("./Graph.js");
+
+function GridGraph() {}
+
+/**
+ * Node id of a cell
+ */
+GridGraph.id = function(position) {
+    return position.x + "," + position.y;
+};
+
+/**
+ * @param {World} world
+ * @param {Colony} [colony] - whose nest is the source (default: the first)
+ * @returns {Graph}
+ */
+GridGraph.fromWorld = function(world, colony) {
+    colony = colony || world.colonies[0];
+    var graph = new Graph(Graph.METRIC_EUCLIDEAN);
+    var isHex = World.neighbourhood === World.NEIGHBOURHOOD_HEX;
+    for (var y = 0; y < world.yl; y++) {
+        for (var x = 0; x < world.xl; x++) {
+            var pos = world.map[x][y];
+            if (pos.type === Position.TYPE_BARRIER) continue;
+            graph.addNode(GridGraph.id(pos),
+                isHex ? x + (y & 1) / 2 : x,
+                isHex ? y * World.HEX_ROW : y,
+                pos);
+            if (pos.type === Position.TYPE_FOOD) {
+                graph.targets.push(GridGraph.id(pos));
+            }
+        }
+    }
+    // Neighbours are symmetric: each pair once, from the later cell
+    for (var y = 0; y < world.yl; y++) {
+        for (var x = 0; x < world.xl; x++) {
+            var pos = world.map[x][y];
+            if (pos.type === Position.TYPE_BARRIER) continue;
+            var neighbors = world.getNeighbors(pos);
+            for (var i = 0; i < neighbors.length; i++) {
+                var np = neighbors[i];
+                if (np.y < y || (np.y === y && np.x < x)) {
+                    graph.addEdge(GridGraph.id(np), GridGraph.id(pos), world.cellDistance(np, pos));
+                }
+            }
+        }
+    }
+    graph.source = GridGraph.id(colony.homePosition);
+    return graph;
+};
+
+module.exports = GridGraph;
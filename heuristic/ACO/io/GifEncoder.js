@@ -0,0 +1,224 @@
+/**
+ * GifEncoder - Animated GIF (GIF89a) from RGBA frames
+ *
+ *   var gif = new GifEncoder(320, 240, { delay: 100 });
+ *   gif.addFrame(ctx.getImageData(0, 0, 320, 240).data);
+ *   ...
+ *   var bytes = gif.finish();            // Uint8Array of the file
+ *
+ * Colours are mapped to a fixed 6 x 7 x 6 palette (no dithering): the
+ * heat map and the cell colours keep their look, and frames need no
+ * palette search, so long runs encode as fast as they are captured.
+ * Image data is LZW-compressed (variable code size up to 12 bits).
+ */
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ *   delay  ms between frames (default 100, GIF stores 1/100 s)
+ *   loop   repetitions, 0 = forever (default), null = play once
+ */
+function GifEncoder(width, height, options) {
+    options = options || {};
+    this.width = width;
+    this.height = height;
+    this.delay = (options.delay != null) ? options.delay : 100;
+    this.loop = (options.loop !== undefined) ? options.loop : 0;
+    this.frames = 0;
+    this._buffer = new Uint8Array(1 << 16);
+    this._length = 0;
+    this._indices = new Uint8Array(width * height);
+
+    this._header();
+}
+
+GifEncoder.LEVELS_R = 6;
+GifEncoder.LEVELS_G = 7;
+GifEncoder.LEVELS_B = 6;
+
+/**
+ * The fixed palette, 256 RGB entries (the unused ones black)
+ * @returns {Uint8Array}
+ */
+GifEncoder.palette = function() {
+    var palette = new Uint8Array(256 * 3);
+    var i = 0;
+    for (var r = 0; r < GifEncoder.LEVELS_R; r++) {
+        for (var g = 0; g < GifEncoder.LEVELS_G; g++) {
+            for (var b = 0; b < GifEncoder.LEVELS_B; b++) {
+                palette[i++] = Math.round(r * 255 / (GifEncoder.LEVELS_R - 1));
+                palette[i++] = Math.round(g * 255 / (GifEncoder.LEVELS_G - 1));
+                palette[i++] = Math.round(b * 255 / (GifEncoder.LEVELS_B - 1));
+            }
+        }
+    }
+    return palette;
+};
+
+/**
+ * Palette index of a colour (nearest level per channel)
+ */
+GifEncoder.index = function(r, g, b) {
+    var R = GifEncoder.LEVELS_R - 1;
+    var G = GifEncoder.LEVELS_G - 1;
+    var B = GifEncoder.LEVELS_B - 1;
+    return (Math.round(r * R / 255) * (G + 1) + Math.round(g * G / 255)) * (B + 1) + Math.round(b * B / 255);
+};
+
+GifEncoder.prototype._byte = function(value) {
+    if (this._length === this._buffer.length) {
+        var grown = new Uint8Array(this._buffer.length * 2);
+        grown.set(this._buffer);
+        this._buffer = grown;
+    }
+    this._buffer[this._length++] = value;
+};
+
+GifEncoder.prototype._short = function(value) {
+    this._byte(value & 0xff);
+    this._byte((value >> 8) & 0xff);
+};
+
+GifEncoder.prototype._string = function(text) {
+    for (var i = 0; i < text.length; i++) {
+        this._byte(text.charCodeAt(i));
+    }
+};
+
+/**
+ * Header, logical screen with the global palette, loop extension
+ */
+GifEncoder.prototype._header = function() {
+    this._string("GIF89a");
+    this._short(this.width);
+    this._short(this.height);
+    this._byte(0xf7);          // global colour table of 2^(7+1) entries
+    this._byte(0);             // background colour index
+    this._byte(0);             // no aspect ratio
+    var palette = GifEncoder.palette();
+    for (var i = 0; i < palette.length; i++) {
+        this._byte(palette[i]);
+    }
+    if (this.loop !== null) {
+        this._byte(0x21);
+        this._byte(0xff);
+        this._byte(11);
+        this._string("NETSCAPE2.0");
+        this._byte(3);
+        this._byte(1);
+        this._short(this.loop);
+        this._byte(0);
+    }
+};
+
+/**
+ * Append a frame
+ * @param {Uint8Array|Uint8ClampedArray} rgba - width * height * 4 bytes
+ *   (ImageData.data); alpha is ignored
+ */
+GifEncoder.prototype.addFrame = function(rgba) {
+    if (rgba.length !== this.width * this.height * 4) {
+        throw new Error("Frame is not " + this.width + "x" + this.height);
+    }
+    var indices = this._indices;
+    for (var i = 0, p = 0; i < indices.length; i++, p += 4) {
+        indices[i] = GifEncoder.index(rgba[p], rgba[p + 1], rgba[p + 2]);
+    }
+
+    // Graphic control extension: delay, no transparency
+    this._byte(0x21);
+    this._byte(0xf9);
+    this._byte(4);
+    this._byte(0x04);          // disposal: leave in place
+    this._short(Math.round(this.delay / 10));
+    this._byte(0);
+    this._byte(0);
+    // Image descriptor: whole screen, global palette
+    this._byte(0x2c);
+    this._short(0);
+    this._short(0);
+    this._short(this.width);
+    this._short(this.height);
+    this._byte(0);
+    this._lzw(indices, 8);
+    this.frames++;
+};
+
+/**
+ * LZW-compressed image data in sub-blocks of up to 255 bytes
+ */
+GifEncoder.prototype._lzw = function(indices, minCodeSize) {
+    var that = this;
+    var clearCode = 1 << minCodeSize;
+    var eoiCode = clearCode + 1;
+    var nextCode = eoiCode + 1;
+    var codeSize = minCodeSize + 1;
+    var table = {};            // prefix code << 8 | index -> code
+    var block = new Uint8Array(255);
+    var blockLength = 0;
+    var bits = 0;              // pending bits, least significant first
+    var bitCount = 0;
+
+    function flush() {
+        that._byte(blockLength);
+        for (var i = 0; i < blockLength; i++) {
+            that._byte(block[i]);
+        }
+        blockLength = 0;
+    }
+
+    function emit(code) {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bits & 0xff;
+            if (blockLength === 255) flush();
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    }
+
+    this._byte(minCodeSize);
+    emit(clearCode);
+    var prefix = indices[0];
+    for (var i = 1; i < indices.length; i++) {
+        var key = (prefix << 8) | indices[i];
+        var code = table[key];
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Table full: start over
+            emit(clearCode);
+            table = {};
+            nextCode = eoiCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table[key] = nextCode++;
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(eoiCode);
+    if (bitCount > 0) {
+        block[blockLength++] = bits & 0xff;
+        if (blockLength === 255) flush();
+    }
+    if (blockLength > 0) flush();
+    this._byte(0);             // block terminator
+};
+
+/**
+ * End the file
+ * @returns {Uint8Array} the GIF
+ */
+GifEncoder.prototype.finish = function() {
+    this._byte(0x3b);
+    return this._buffer.subarray(0, this._length);
+};
+
+module.exports = GifEncoder;
@@ -0,0 +1,243 @@
+/**
+ * MapGenerator - Procedural world layouts (WorldMap layout objects)
+ *
+ *   obstacles     random barriers at a given density between a nest on
+ *                 the left and food on the right; a corridor is cleared
+ *                 when the food cannot be reached
+ *   maze          perfect maze (randomized depth-first search): exactly
+ *                 one way from the nest in one corner to the food in the
+ *                 opposite one
+ *   doubleBridge  Deneubourg's double bridge: nest and food joined only
+ *                 by two branches of chosen lengths
+ *
+ * Random choices draw from the Random passed in, so the same seed gives
+ * the same map. Mazes and bridges are 4-connected corridors, which every
+ * neighbourhood (World.neighbourhood) can walk.
+ */
+
+function MapGenerator() {}
+
+MapGenerator.OBSTACLES = "obstacles";
+MapGenerator.MAZE = "maze";
+MapGenerator.DOUBLE_BRIDGE = "doubleBridge";
+
+/**
+ * Empty layout of a size (nest set by the generator)
+ */
+MapGenerator._layout = function(width, height) {
+    if (!(width >= 5 && height >= 5)) {
+        throw new Error("Generated maps need at least 5x5 cells");
+    }
+    return { width: width, height: height, home: null, nests: [], food: [], barriers: [] };
+};
+
+/**
+ * Every cell not in open (key x + y * width) becomes a barrier
+ */
+MapGenerator._fill = function(layout, open) {
+    for (var x = 0; x < layout.width; x++) {
+        for (var y = 0; y < layout.height; y++) {
+            if (!open[x + y * layout.width]) {
+                layout.barriers.push([x, y]);
+            }
+        }
+    }
+};
+
+/**
+ * Random barriers
+ * @param {number} width
+ * @param {number} height
+ * @param {number} density - share of barrier cells in [0, 1)
+ * @param {Random} random
+ * @returns {Object} layout
+ */
+MapGenerator.obstacles = function(width, height, density, random) {
+    if (!(density >= 0 && density < 1)) {
+        throw new Error("Obstacle density must be in [0, 1): " + density);
+    }
+    // Nest at x = 2, food at x = width - 3 and at least one cell between them
+    if (!(width >= 7)) {
+        throw new Error("Obstacle maps need at least 7 columns: " + width);
+    }
+    var layout = MapGenerator._layout(width, height);
+    var cy = Math.floor(height / 2);
+    var home = [2, cy];
+    var food = [width - 3, cy];
+    layout.home = home;
+
+    // Nest and food keep a free ring of cells
+    var open = {};
+    for (var dx = -1; dx <= 1; dx++) {
+        for (var dy = -1; dy <= 1; dy++) {
+            open[(home[0] + dx) + (home[1] + dy) * width] = true;
+            open[(food[0] + dx) + (food[1] + dy) * width] = true;
+        }
+    }
+    var blocked = {};
+    for (var x = 0; x < width; x++) {
+        for (var y = 0; y < height; y++) {
+            var key = x + y * width;
+            if (!open[key] && random.random() < density) {
+                blocked[key] = true;
+            }
+        }
+    }
+    if (!MapGenerator._reachable(width, height, blocked, home, food)) {
+        // Straight corridor along the middle row
+        for (var x = home[0]; x <= food[0]; x++) {
+            delete blocked[x + cy * width];
+        }
+    }
+    for (var key in blocked) {
+        layout.barriers.push([key % width, Math.floor(key / width)]);
+    }
+    layout.food.push(food);
+    return layout;
+};
+
+/**
+ * Breadth-first search over the 4-neighbourhood
+ */
+MapGenerator._reachable = function(width, height, blocked, from, to) {
+    var seen = {};
+    var queue = [from];
+    seen[from[0] + from[1] * width] = true;
+    var steps = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    while (queue.length > 0) {
+        var c = queue.shift();
+        if (c[0] === to[0] && c[1] === to[1]) return true;
+        for (var i = 0; i < steps.length; i++) {
+            var x = c[0] + steps[i][0];
+            var y = c[1] + steps[i][1];
+            var key = x + y * width;
+            if (x < 0 || y < 0 || x >= width || y >= height || seen[key] || blocked[key]) continue;
+            seen[key] = true;
+            queue.push([x, y]);
+        }
+    }
+    return false;
+};
+
+/**
+ * Perfect maze: rooms on odd coordinates, walls between them knocked
+ * down by a randomized depth-first search
+ * @param {number} width
+ * @param {number} height
+ * @param {Random} random
+ * @returns {Object} layout
+ */
+MapGenerator.maze = function(width, height, random) {
+    var layout = MapGenerator._layout(width, height);
+    var cols = Math.floor((width - 1) / 2);
+    var rows = Math.floor((height - 1) / 2);
+    var open = {};
+    var visited = {};
+    var steps = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    var stack = [[random.nextInt(cols), random.nextInt(rows)]];
+    visited[stack[0][0] + stack[0][1] * cols] = true;
+    open[(2 * stack[0][0] + 1) + (2 * stack[0][1] + 1) * width] = true;
+    while (stack.length > 0) {
+        var room = stack[stack.length - 1];
+        var next = [];
+        for (var i = 0; i < steps.length; i++) {
+            var x = room[0] + steps[i][0];
+            var y = room[1] + steps[i][1];
+            if (x >= 0 && y >= 0 && x < cols && y < rows && !visited[x + y * cols]) {
+                next.push([x, y]);
+            }
+        }
+        if (next.length === 0) {
+            stack.pop();
+            continue;
+        }
+        var n = next[random.nextInt(next.length)];
+        visited[n[0] + n[1] * cols] = true;
+        // The wall between both rooms, then the room
+        open[(room[0] + n[0] + 1) + (room[1] + n[1] + 1) * width] = true;
+        open[(2 * n[0] + 1) + (2 * n[1] + 1) * width] = true;
+        stack.push(n);
+    }
+
+    layout.home = [1, 1];
+    MapGenerator._fill(layout, open);
+    layout.food.push([2 * cols - 1, 2 * rows - 1]);
+    return layout;
+};
+
+/**
+ * Double bridge: nest -> fork -> two branches -> join -> food, all other
+ * cells are barriers. A branch bends away from the middle row by h
+ * cells, its length in 4-neighbourhood steps from fork to join is
+ * span + 2h; the shorter branch gets h = 1. The lengths are rounded down
+ * so that both differ by an even number of steps.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} upper - length of the upper branch (at least 3)
+ * @param {number} lower - length of the lower branch (at least 3)
+ * @returns {Object} layout
+ */
+MapGenerator.doubleBridge = function(width, height, upper, lower) {
+    var layout = MapGenerator._layout(width, height);
+    upper = Math.floor(upper);
+    lower = Math.floor(lower);
+    if (!(upper >= 3 && lower >= 3)) {
+        throw new Error("Bridge branches need at least 3 steps");
+    }
+    var cy = Math.floor(height / 2);
+    var span = Math.min(upper, lower) - 2;
+    var hUpper = Math.floor((upper - span) / 2);
+    var hLower = Math.floor((lower - span) / 2);
+    var fork = 4;
+    var join = fork + span;
+    if (join + 4 > width - 1 || hUpper > cy - 1 || hLower > height - cy - 2) {
+        throw new Error("A " + upper + "/" + lower + " bridge does not fit into " + width + "x" + height);
+    }
+
+    var open = {};
+    function line(x0, y0, x1, y1) {
+        for (var x = Math.min(x0, x1); x <= Math.max(x0, x1); x++) {
+            for (var y = Math.min(y0, y1); y <= Math.max(y0, y1); y++) {
+                open[x + y * width] = true;
+            }
+        }
+    }
+    line(2, cy, fork, cy);
+    line(fork, cy, fork, cy - hUpper);
+    line(fork, cy - hUpper, join, cy - hUpper);
+    line(join, cy - hUpper, join, cy);
+    line(fork, cy, fork, cy + hLower);
+    line(fork, cy + hLower, join, cy + hLower);
+    line(join, cy + hLower, join, cy);
+    line(join, cy, join + 3, cy);
+
+    layout.home = [2, cy];
+    MapGenerator._fill(layout, open);
+    layout.food.push([join + 3, cy]);
+    return layout;
+};
+
+/**
+ * Generate by name
+ * @param {string} type - MapGenerator.OBSTACLES / MAZE / DOUBLE_BRIDGE
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options - { density } / {} / { upper, lower }
+ * @param {Random} random
+ * @returns {Object} layout
+ */
+MapGenerator.generate = function(type, width, height, options, random) {
+    if (type === MapGenerator.OBSTACLES) {
+        return MapGenerator.obstacles(width, height, options.density, random);
+    }
+    if (type === MapGenerator.MAZE) {
+        return MapGenerator.maze(width, height, random);
+    }
+    if (type === MapGenerator.DOUBLE_BRIDGE) {
+        return MapGenerator.doubleBridge(width, height, options.upper, options.lower);
+    }
+    throw new Error("Unknown map generator: " + type);
+};
+
+module.exports = MapGenerator;
@@ -0,0 +1,107 @@
+/**
+ * PheromoneMatrix - The pheromone field of a world as matrices, for
+ * offline analysis (numpy, pandas, R)
+ *
+ * JSON: row-major matrices, matrix[y][x] (rows top to bottom):
+ *   { format: "aco-pheromone", version, tick, width, height,
+ *     types: { 0: "normal", ... },        legend of the type codes
+ *     type: [[0, -1, ...], ...],          Position.TYPE_* of every cell
+ *     colonies: [{ index, color, food: [[...]], home: [[...]] }, ...] }
+ *
+ * CSV: one line per cell, one food/home column pair per colony:
+ *   x,y,type,food_0,home_0,food_1,home_1,...
+ */
+
+var Position = require("../entity/Position.js");
+
+function PheromoneMatrix() {}
+
+PheromoneMatrix.FORMAT = "aco-pheromone";
+PheromoneMatrix.VERSION = 1;
+
+PheromoneMatrix.TYPE_NAMES = {};
+PheromoneMatrix.TYPE_NAMES[Position.TYPE_NORMAL] = "normal";
+PheromoneMatrix.TYPE_NAMES[Position.TYPE_BARRIER] = "barrier";
+PheromoneMatrix.TYPE_NAMES[Position.TYPE_FOOD] = "food";
+PheromoneMatrix.TYPE_NAMES[Position.TYPE_HOME] = "home";
+
+/**
+ * @param {World} world
+ * @param {number} [tick] - simulation time of the snapshot
+ * @returns {Object} the JSON object described above
+ */
+PheromoneMatrix.fromWorld = function(world, tick) {
+    var matrix = {
+        format: PheromoneMatrix.FORMAT,
+        version: PheromoneMatrix.VERSION,
+        tick: (tick != null) ? tick : null,
+        width: world.xl,
+        height: world.yl,
+        types: PheromoneMatrix.TYPE_NAMES,
+        type: [],
+        colonies: []
+    };
+    var colonies = world.colonies;
+    for (var i = 0; i < colonies.length; i++) {
+        matrix.colonies.push({ index: colonies[i].index, color: colonies[i].color, food: [], home: [] });
+    }
+    for (var y = 0; y < world.yl; y++) {
+        var types = [];
+        var food = [];
+        var home = [];
+        for (var i = 0; i < colonies.length; i++) {
+            food.push([]);
+            home.push([]);
+        }
+        for (var x = 0; x < world.xl; x++) {
+            var pos = world.map[x][y];
+            types.push(pos.type);
+            for (var i = 0; i < colonies.length; i++) {
+                food[i].push(pos.getP(colonies[i].channel(Position.P_TYPE_FOOD)));
+                home[i].push(pos.getP(colonies[i].channel(Position.P_TYPE_HOME)));
+            }
+        }
+        matrix.type.push(types);
+        for (var i = 0; i < colonies.length; i++) {
+            matrix.colonies[i].food.push(food[i]);
+            matrix.colonies[i].home.push(home[i]);
+        }
+    }
+    return matrix;
+};
+
+/**
+ * @param {World} world
+ * @param {number} [tick]
+ * @returns {string} JSON text
+ */
+PheromoneMatrix.toJSON = function(world, tick) {
+    return JSON.stringify(PheromoneMatrix.fromWorld(world, tick));
+};
+
+/**
+ * @param {World} world
+ * @returns {string} CSV text (type as its name, see TYPE_NAMES)
+ */
+PheromoneMatrix.toCSV = function(world) {
+    var colonies = world.colonies;
+    var header = ["x", "y", "type"];
+    for (var i = 0; i < colonies.length; i++) {
+        header.push("food_" + colonies[i].index, "home_" + colonies[i].index);
+    }
+    var lines = [header.join(",")];
+    for (var y = 0; y < world.yl; y++) {
+        for (var x = 0; x < world.xl; x++) {
+            var pos = world.map[x][y];
+            var row = [x, y, PheromoneMatrix.TYPE_NAMES[pos.type]];
+            for (var i = 0; i < colonies.length; i++) {
+                row.push(pos.getP(colonies[i].channel(Position.P_TYPE_FOOD)),
+                    pos.getP(colonies[i].channel(Position.P_TYPE_HOME)));
+            }
+            lines.push(row.join(","));
+        }
+    }
+    return lines.join("\n") + "\n";
+};
+
+module.exports = PheromoneMatrix;
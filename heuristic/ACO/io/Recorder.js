@@ -0,0 +1,179 @@
+/**
+ * Recorder - Record a simulation run for deterministic replay (see Replay)
+ *
+ * The run is fully determined by its start (map, parameters, seed) and the
+ * edits made between ticks, so a recording holds:
+ *   { format, version, seed, distance, ticks,
+ *     params:   World parameters at the start,
+ *     layout:   map at the start (WorldMap layout),
+ *     colonies: settings of every colony at the start,
+ *     ops:      [{ tick, op, ... }, ...] edits in order }
+ *
+ * An op with tick t happened after t ticks and is replayed before tick t + 1:
+ *   cell           x, y, type, amount   Position.changeType by the user
+ *   addColony      x, y, settings       new nest
+ *   removeColony   index
+ *   moveHome       index, x, y          nest moved
+ *   params         values               changed World parameters
+ *   colony         index, settings      changed colony settings
+ *   clearPheromone / resetAnts
+ *
+ * Cells changed during a tick (exhausted food) are not edits: the replay
+ * reproduces them by itself.
+ */
+
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var WorldMap = require("./WorldMap.js");
+
+function Recorder(simulation, distance) {
+    this.simulation = simulation;
+    this.world = simulation.world;
+    this.recording = null;
+    this._inTick = false;
+    this._params = null;       // last recorded World parameters
+    this._colonies = {};       // colony index -> last recorded settings (JSON)
+
+    this._init(distance);
+}
+
+Recorder.FORMAT = "aco-recording";
+Recorder.VERSION = 1;
+
+// World parameters that change the run (the view ones are left out)
+Recorder.PARAMS = Params.RUN;
+
+/**
+ * JSON has no Infinity (unlimited food): stored as the string "Infinity"
+ */
+Recorder.encode = function(value) {
+    return (value === Infinity) ? "Infinity" : value;
+};
+
+Recorder.decode = function(value) {
+    return (value === "Infinity") ? Infinity : value;
+};
+
+/**
+ * Current World parameters, encoded
+ */
+Recorder.params = function() {
+    var params = {};
+    for (var i = 0; i < Recorder.PARAMS.length; i++) {
+        params[Recorder.PARAMS[i]] = Recorder.encode(World[Recorder.PARAMS[i]]);
+    }
+    return params;
+};
+
+Recorder.prototype._init = function(distance) {
+    var that = this;
+    var world = this.world;
+
+    this._params = Recorder.params();
+    var colonies = [];
+    for (var i = 0; i < world.colonies.length; i++) {
+        var settings = world.colonies[i].settings();
+        this._colonies[world.colonies[i].index] = JSON.stringify(settings);
+        colonies.push(settings);
+    }
+    this.recording = {
+        format: Recorder.FORMAT,
+        version: Recorder.VERSION,
+        seed: world.seed,
+        distance: distance,
+        ticks: this.simulation.ticks,
+        params: this._params,
+        layout: WorldMap.fromWorld(world, false),
+        colonies: colonies,
+        ops: []
+    };
+
+    world.on("change", function(position, oldType) {
+        if (that._inTick) return;
+        // Nests are recorded as colony ops
+        if (position.type === Position.TYPE_HOME || oldType === Position.TYPE_HOME) return;
+        var op = { op: "cell", x: position.x, y: position.y, type: position.type };
+        if (position.type === Position.TYPE_FOOD) {
+            op.amount = Recorder.encode(position.food);
+        }
+        that._push(op);
+    });
+    world.on("colony", function(action, colony) {
+        if (action === "add") {
+            that._colonies[colony.index] = JSON.stringify(colony.settings());
+            that._push({
+                op: "addColony",
+                x: colony.homePosition.x,
+                y: colony.homePosition.y,
+                settings: colony.settings()
+            });
+        } else if (action === "move") {
+            that._push({ op: "moveHome", index: colony.index, x: colony.homePosition.x, y: colony.homePosition.y });
+        } else {
+            that._push({ op: "removeColony", index: colony.index });
+        }
+    });
+    world.on("clearPheromone", function() {
+        // Parameters first: the trails restart at the level they set
+        that._checkSettings();
+        that._push({ op: "clearPheromone" });
+    });
+    world.on("resetAnts", function() {
+        that._push({ op: "resetAnts" });
+    });
+    world.on("beforeTick", function() {
+        // Parameters edited since the last tick
+        that._checkSettings();
+        that._inTick = true;
+    });
+    world.on("tick", function(simulation) {
+        that._inTick = false;
+        that.recording.ticks = simulation.ticks;
+    });
+};
+
+Recorder.prototype._push = function(op) {
+    op.tick = this.simulation.ticks;
+    this.recording.ops.push(op);
+};
+
+/**
+ * Record World parameters and colony settings that changed
+ */
+Recorder.prototype._checkSettings = function() {
+    var params = Recorder.params();
+    var changed = {};
+    var isChanged = false;
+    for (var name in params) {
+        if (params[name] !== this._params[name]) {
+            changed[name] = params[name];
+            isChanged = true;
+        }
+    }
+    if (isChanged) {
+        this._push({ op: "params", values: changed });
+        this._params = params;
+    }
+
+    var colonies = this.world.colonies;
+    for (var i = 0; i < colonies.length; i++) {
+        var settings = colonies[i].settings();
+        var json = JSON.stringify(settings);
+        if (json !== this._colonies[colonies[i].index]) {
+            this._colonies[colonies[i].index] = json;
+            this._push({ op: "colony", index: colonies[i].index, settings: settings });
+        }
+    }
+};
+
+/**
+ * The recording as a file; pending edits are included
+ * @returns {string}
+ */
+Recorder.prototype.toJSON = function() {
+    this._checkSettings();
+    return JSON.stringify(this.recording);
+};
+
+module.exports = Recorder;
@@ -0,0 +1,201 @@
+/**
+ * Replay - Re-run a recording (see Recorder) tick by tick, with seeking
+ *
+ * The replay sets the recorded World parameters and seed, rebuilds the
+ * start map and applies every recorded edit before the tick it preceded,
+ * so the run reproduces the original exactly. Seeking backwards rebuilds
+ * the world and runs forward again.
+ *
+ * The World parameters and seed in place before the replay are kept and
+ * put back by restore(), so ending a replay leaves the user's settings.
+ */
+
+var World = require("../entity/World.js");
+var Simulation = require("../entity/Simulation.js");
+var WorldMap = require("./WorldMap.js");
+var Recorder = require("./Recorder.js");
+
+function Replay(recording) {
+    this.recording = recording;
+    this.world = null;
+    this.simulation = null;
+    this._next = 0;            // index of the next op to apply
+    this._saved = Replay.saveParams();
+
+    try {
+        this._build();
+    } catch (e) {
+        this.restore();
+        throw e;
+    }
+}
+
+/**
+ * @param {string} text - JSON written by Recorder.toJSON
+ * @returns {Object} recording
+ */
+Replay.parse = function(text) {
+    var recording = JSON.parse(text);
+    if (recording.format !== Recorder.FORMAT) {
+        throw new Error("Not a recording file");
+    }
+    if (recording.version > Recorder.VERSION) {
+        throw new Error("Unsupported recording version: " + recording.version);
+    }
+    WorldMap._check(recording.layout || {});
+    return recording;
+};
+
+/**
+ * Fresh world at tick 0
+ */
+Replay.prototype._build = function() {
+    var recording = this.recording;
+    Replay.setParams(recording.params);
+    World.seed = recording.seed;
+    this.world = WorldMap.createWorld(recording.layout, recording.distance);
+    for (var i = 0; i < recording.colonies.length && i < this.world.colonies.length; i++) {
+        Replay.setSettings(this.world.colonies[i], recording.colonies[i]);
+    }
+    this.simulation = new Simulation(this.world);
+    this._next = 0;
+    this._applyOps();
+};
+
+/**
+ * The recorded World parameters and the seed as they are now
+ */
+Replay.saveParams = function() {
+    var saved = { seed: World.seed, params: {} };
+    for (var i = 0; i < Recorder.PARAMS.length; i++) {
+        saved.params[Recorder.PARAMS[i]] = World[Recorder.PARAMS[i]];
+    }
+    return saved;
+};
+
+/**
+ * Put back the World parameters and seed from before the replay (once;
+ * later calls do nothing)
+ */
+Replay.prototype.restore = function() {
+    if (!this._saved) return;
+    for (var name in this._saved.params) {
+        World[name] = this._saved.params[name];
+    }
+    World.seed = this._saved.seed;
+    this._saved = null;
+};
+
+/**
+ * Set encoded World parameters
+ */
+Replay.setParams = function(params) {
+    for (var name in params) {
+        World[name] = Recorder.decode(params[name]);
+    }
+};
+
+/**
+ * Set colony settings (see Colony.settings)
+ */
+Replay.setSettings = function(colony, settings) {
+    colony.color = settings.color;
+    colony.params = {};
+    for (var name in settings.params) {
+        colony.params[name] = settings.params[name];
+    }
+    colony.foreignTrails = settings.foreignTrails;
+    colony.repulsion = settings.repulsion;
+};
+
+/**
+ * Apply the ops recorded after the ticks run so far
+ */
+Replay.prototype._applyOps = function() {
+    var ops = this.recording.ops;
+    var world = this.world;
+    while (this._next < ops.length && ops[this._next].tick <= this.simulation.ticks) {
+        var op = ops[this._next++];
+        if (op.op === "cell") {
+            var amount = (op.amount != null) ? Recorder.decode(op.amount) : undefined;
+            world.getPosition(op.x, op.y).changeType(op.type, amount);
+        } else if (op.op === "addColony") {
+            world.addColony(op.x, op.y, op.settings);
+        } else if (op.op === "removeColony") {
+            var colony = world.getColony(op.index);
+            if (colony) {
+                world.removeColony(colony);
+            }
+        } else if (op.op === "moveHome") {
+            var colony = world.getColony(op.index);
+            if (colony) {
+                world.moveHome(op.x, op.y, colony);
+            }
+        } else if (op.op === "params") {
+            Replay.setParams(op.values);
+        } else if (op.op === "colony") {
+            var colony = world.getColony(op.index);
+            if (colony) {
+                Replay.setSettings(colony, op.settings);
+            }
+        } else if (op.op === "clearPheromone") {
+            world.clearPheromone();
+        } else if (op.op === "resetAnts") {
+            this.simulation.resetAnts();
+        }
+    }
+};
+
+/**
+ * Current tick
+ */
+Replay.prototype.tick = function() {
+    return this.simulation.ticks;
+};
+
+/**
+ * @returns {boolean} true once the recorded ticks have all run
+ */
+Replay.prototype.ended = function() {
+    return this.simulation.ticks >= this.recording.ticks;
+};
+
+/**
+ * Run one tick (after the edits that preceded it)
+ */
+Replay.prototype.step = function() {
+    this._applyOps();
+    this.simulation.step();
+    this._applyOps();
+};
+
+/**
+ * Go to a tick; backwards rebuilds from the start
+ * Note: a new world and simulation are created when seeking backwards.
+ * @param {number} tick
+ */
+Replay.prototype.seek = function(tick) {
+    if (tick < this.simulation.ticks) {
+        this._build();
+    }
+    while (this.simulation.ticks < tick) {
+        this.step();
+    }
+};
+
+/**
+ * Visit the state every `every` ticks from tick `from` to tick `to`
+ * (frames for slides: the browser renders each one to an image)
+ * @param {number} from
+ * @param {number} to
+ * @param {number} every
+ * @param {Function} callback - called with (tick, replay)
+ */
+Replay.prototype.frames = function(from, to, every, callback) {
+    for (var tick = from; tick <= to; tick += every) {
+        this.seek(tick);
+        callback(tick, this);
+    }
+};
+
+module.exports = Replay;
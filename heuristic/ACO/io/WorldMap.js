@@ -0,0 +1,361 @@
+/**
+ * WorldMap - Save and load world layouts
+ *
+ * A layout is a plain object:
+ *   { width, height,              grid size in cells
+ *     home: [x, y],               nest of the first colony
+ *     nests: [{ home: [x, y], color, params, foreignTrails, repulsion }, ...],
+ *                                 further colonies (optional, see Colony)
+ *     food: [[x, y, amount], ...],   amount optional (default World.foodAmount)
+ *     barriers: [[x, y], ...],
+ *     pheromone: [[x, y, food_tau, home_tau, ...], ...]   (optional)
+ *                                 one food/home pair per colony, in order }
+ *
+ * Two text formats:
+ *   JSON  - the layout object plus a "format" tag
+ *   ASCII - one character per cell, one line per row, written by hand:
+ *             #  barrier     F  food     H  home     .  empty
+ *           lines starting with ";" are comments; the first H is the home,
+ *           further H's are nests of colonies with default parameters
+ */
+
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+
+function WorldMap() {}
+
+WorldMap.FORMAT = "aco-world-map";
+WorldMap.VERSION = 1;
+
+WorldMap.CHARS = {};
+WorldMap.CHARS[Position.TYPE_NORMAL] = ".";
+WorldMap.CHARS[Position.TYPE_BARRIER] = "#";
+WorldMap.CHARS[Position.TYPE_FOOD] = "F";
+WorldMap.CHARS[Position.TYPE_HOME] = "H";
+
+/**
+ * Extract the layout of a world
+ * @param {World} world
+ * @param {boolean} [withPheromone] - include the current pheromone field
+ * @returns {Object} layout
+ */
+WorldMap.fromWorld = function(world, withPheromone) {
+    var layout = {
+        width: world.xl,
+        height: world.yl,
+        home: [world.homePosition.x, world.homePosition.y],
+        nests: [],
+        food: [],
+        barriers: []
+    };
+    var colonies = world.colonies;
+    for (var i = 1; i < colonies.length; i++) {
+        var nest = colonies[i].settings();
+        nest.home = [colonies[i].homePosition.x, colonies[i].homePosition.y];
+        layout.nests.push(nest);
+    }
+    if (withPheromone) {
+        layout.pheromone = [];
+    }
+    for (var x = 0; x < world.xl; x++) {
+        for (var y = 0; y < world.yl; y++) {
+            var pos = world.map[x][y];
+            if (pos.type === Position.TYPE_FOOD) {
+                // Infinite sources are written without an amount (JSON has no Infinity)
+                layout.food.push(pos.food !== Infinity ? [x, y, pos.food] : [x, y]);
+            } else if (pos.type === Position.TYPE_BARRIER) {
+                layout.barriers.push([x, y]);
+            } else if (withPheromone && pos.type === Position.TYPE_NORMAL) {
+                var entry = [x, y];
+                var any = false;
+                for (var i = 0; i < colonies.length; i++) {
+                    var fp = pos.getP(colonies[i].channel(Position.P_TYPE_FOOD));
+                    var hp = pos.getP(colonies[i].channel(Position.P_TYPE_HOME));
+                    entry.push(fp, hp);
+                    any = any || fp > 0 || hp > 0;
+                }
+                if (any) {
+                    layout.pheromone.push(entry);
+                }
+            }
+        }
+    }
+    return layout;
+};
+
+/**
+ * Apply a layout to a world of the same size
+ * Extra colonies are removed and every cell is reset first, then home,
+ * nests, barriers, food and pheromone are set
+ * @param {World} world
+ * @param {Object} layout
+ */
+WorldMap.apply = function(world, layout) {
+    if (layout.width !== world.xl || layout.height !== world.yl) {
+        throw new Error("Map is " + layout.width + "x" + layout.height +
+            " but the world is " + world.xl + "x" + world.yl);
+    }
+    WorldMap._check(layout);
+
+    while (world.colonies.length > 1) {
+        world.removeColony(world.colonies[world.colonies.length - 1]);
+    }
+    world.moveHome(layout.home[0], layout.home[1]);
+    for (var x = 0; x < world.xl; x++) {
+        for (var y = 0; y < world.yl; y++) {
+            var pos = world.map[x][y];
+            if (pos !== world.homePosition && pos.type !== Position.TYPE_NORMAL) {
+                pos.changeType(Position.TYPE_NORMAL);
+            }
+        }
+    }
+    var nests = layout.nests || [];
+    for (var i = 0; i < nests.length; i++) {
+        world.addColony(nests[i].home[0], nests[i].home[1], nests[i]);
+    }
+    for (var i = 0; i < layout.barriers.length; i++) {
+        world.getPosition(layout.barriers[i][0], layout.barriers[i][1]).changeType(Position.TYPE_BARRIER);
+    }
+    for (var i = 0; i < layout.food.length; i++) {
+        var f = layout.food[i];
+        world.getPosition(f[0], f[1]).changeType(Position.TYPE_FOOD, f[2]);
+    }
+    if (layout.pheromone) {
+        for (var i = 0; i < layout.pheromone.length; i++) {
+            var p = layout.pheromone[i];
+            var pos = world.getPosition(p[0], p[1]);
+            if (pos.type !== Position.TYPE_NORMAL) continue;
+            for (var k = 0; k < world.colonies.length && 3 + 2 * k < p.length; k++) {
+                pos.pheromone[world.colonies[k].channel(Position.P_TYPE_FOOD)] = p[2 + 2 * k];
+                pos.pheromone[world.colonies[k].channel(Position.P_TYPE_HOME)] = p[3 + 2 * k];
+            }
+            world.addCheckList(pos);
+        }
+    }
+};
+
+/**
+ * Create a new world sized for a layout and apply it
+ * @param {Object} layout
+ * @param {number} distance - cell size in pixels
+ * @returns {World}
+ */
+WorldMap.createWorld = function(layout, distance) {
+    var world = new World(layout.width * distance, layout.height * distance, distance);
+    WorldMap.apply(world, layout);
+    return world;
+};
+
+/**
+ * Validate a layout: positive integer size, whole-cell coordinates inside
+ * the grid, nothing on a home cell
+ */
+WorldMap._check = function(layout) {
+    function isCount(n) {
+        return typeof n === "number" && n >= 1 && n === Math.floor(n);
+    }
+    if (!isCount(layout.width) || !isCount(layout.height)) {
+        throw new Error("Map size must be whole numbers of cells: " + layout.width + "x" + layout.height);
+    }
+    ["food", "barriers", "nests", "pheromone"].forEach(function(name) {
+        if (layout[name] != null && !Array.isArray(layout[name])) {
+            throw new Error("Map " + name + " must be a list");
+        }
+    });
+    function inside(c, what) {
+        if (!Array.isArray(c) || !(isCount(c[0] + 1) && isCount(c[1] + 1))) {
+            throw new Error("Map " + what + " needs whole-cell coordinates: " + JSON.stringify(c));
+        }
+        if (c[0] >= layout.width || c[1] >= layout.height) {
+            throw new Error("Map " + what + " outside the grid: " + JSON.stringify(c));
+        }
+    }
+    var homes = [layout.home];
+    var nests = layout.nests || [];
+    for (var i = 0; i < nests.length; i++) {
+        homes.push(nests[i] && nests[i].home);
+    }
+    function notHome(c, what, count) {
+        for (var k = 0; k < count; k++) {
+            if (c[0] === homes[k][0] && c[1] === homes[k][1]) {
+                throw new Error("Map " + what + " on a home cell: " + JSON.stringify(c));
+            }
+        }
+    }
+    inside(layout.home, "home");
+    for (var i = 0; i < nests.length; i++) {
+        inside(homes[i + 1], "nest");
+        notHome(homes[i + 1], "nest", i + 1);
+    }
+    for (var i = 0; i < layout.food.length; i++) {
+        inside(layout.food[i], "food");
+        if (layout.food[i][2] != null && !(layout.food[i][2] > 0)) {
+            throw new Error("Map food amount must be positive: " + JSON.stringify(layout.food[i]));
+        }
+        notHome(layout.food[i], "food", homes.length);
+    }
+    for (var i = 0; i < layout.barriers.length; i++) {
+        inside(layout.barriers[i], "barrier");
+        notHome(layout.barriers[i], "barrier", homes.length);
+    }
+    if (layout.pheromone) {
+        for (var i = 0; i < layout.pheromone.length; i++) {
+            inside(layout.pheromone[i], "pheromone");
+            for (var k = 2; k < layout.pheromone[i].length; k++) {
+                if (!(layout.pheromone[i][k] >= 0 && layout.pheromone[i][k] < Infinity)) {
+                    throw new Error("Map pheromone must be a non-negative number: " + JSON.stringify(layout.pheromone[i]));
+                }
+            }
+        }
+    }
+};
+
+// ========== JSON ==========
+
+/**
+ * @param {Object} layout
+ * @returns {string}
+ */
+WorldMap.toJSON = function(layout) {
+    var data = {
+        format: WorldMap.FORMAT,
+        version: WorldMap.VERSION,
+        width: layout.width,
+        height: layout.height,
+        home: layout.home,
+        food: layout.food,
+        barriers: layout.barriers
+    };
+    if (layout.nests && layout.nests.length > 0) {
+        data.nests = layout.nests;
+    }
+    if (layout.pheromone) {
+        data.pheromone = layout.pheromone;
+    }
+    return JSON.stringify(data);
+};
+
+/**
+ * @param {string} text
+ * @returns {Object} layout
+ */
+WorldMap.parseJSON = function(text) {
+    var data = JSON.parse(text);
+    if (data.format !== WorldMap.FORMAT) {
+        throw new Error("Not a world map file");
+    }
+    if (data.version > WorldMap.VERSION) {
+        throw new Error("Unsupported world map version: " + data.version);
+    }
+    var layout = {
+        width: data.width,
+        height: data.height,
+        home: data.home,
+        nests: data.nests || [],
+        food: data.food || [],
+        barriers: data.barriers || []
+    };
+    if (data.pheromone) {
+        layout.pheromone = data.pheromone;
+    }
+    WorldMap._check(layout);
+    return layout;
+};
+
+// ========== ASCII ==========
+
+/**
+ * @param {Object} layout
+ * @returns {string}
+ */
+WorldMap.toAscii = function(layout) {
+    var rows = [];
+    for (var y = 0; y < layout.height; y++) {
+        rows[y] = [];
+        for (var x = 0; x < layout.width; x++) {
+            rows[y][x] = WorldMap.CHARS[Position.TYPE_NORMAL];
+        }
+    }
+    for (var i = 0; i < layout.barriers.length; i++) {
+        rows[layout.barriers[i][1]][layout.barriers[i][0]] = WorldMap.CHARS[Position.TYPE_BARRIER];
+    }
+    for (var i = 0; i < layout.food.length; i++) {
+        rows[layout.food[i][1]][layout.food[i][0]] = WorldMap.CHARS[Position.TYPE_FOOD];
+    }
+    var homes = [layout.home].concat((layout.nests || []).map(function(nest) { return nest.home; }));
+    for (var i = 0; i < homes.length; i++) {
+        rows[homes[i][1]][homes[i][0]] = WorldMap.CHARS[Position.TYPE_HOME];
+    }
+
+    var lines = [];
+    for (var y = 0; y < rows.length; y++) {
+        lines.push(rows[y].join(""));
+    }
+    return lines.join("\n") + "\n";
+};
+
+/**
+ * Short rows are padded with empty cells; without an "H" the home is
+ * placed at the centre like a new world
+ * @param {string} text
+ * @returns {Object} layout
+ */
+WorldMap.parseAscii = function(text) {
+    var lines = text.split(/\r?\n/);
+    var rows = [];
+    var lineNumbers = [];      // row -> line of the file (comments are not rows)
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].replace(/\s+$/, "");
+        if (line.charAt(0) === ";") continue;
+        rows.push(line);
+        lineNumbers.push(i + 1);
+    }
+    // Drop trailing empty lines
+    while (rows.length > 0 && rows[rows.length - 1] === "") {
+        rows.pop();
+    }
+    if (rows.length === 0) {
+        throw new Error("Empty ASCII map");
+    }
+
+    var layout = { width: 0, height: rows.length, home: null, nests: [], food: [], barriers: [] };
+    for (var y = 0; y < rows.length; y++) {
+        layout.width = Math.max(layout.width, rows[y].length);
+        for (var x = 0; x < rows[y].length; x++) {
+            var c = rows[y].charAt(x);
+            if (c === WorldMap.CHARS[Position.TYPE_BARRIER]) {
+                layout.barriers.push([x, y]);
+            } else if (c === WorldMap.CHARS[Position.TYPE_FOOD]) {
+                layout.food.push([x, y]);
+            } else if (c === WorldMap.CHARS[Position.TYPE_HOME]) {
+                if (layout.home) {
+                    layout.nests.push({ home: [x, y] });
+                } else {
+                    layout.home = [x, y];
+                }
+            } else if (c !== WorldMap.CHARS[Position.TYPE_NORMAL]) {
+                throw new Error("Unknown map character '" + c + "' at line " + lineNumbers[y] +
+                    ", column " + (x + 1));
+            }
+        }
+    }
+    if (!layout.home) {
+        layout.home = [parseInt(layout.width / 2), parseInt(layout.height / 2)];
+    }
+    WorldMap._check(layout);
+    return layout;
+};
+
+/**
+ * Parse either format (JSON if the text starts with "{")
+ * @param {string} text
+ * @returns {Object} layout
+ */
+WorldMap.parse = function(text) {
+    if (/^\s*\{/.test(text)) {
+        return WorldMap.parseJSON(text);
+    }
+    return WorldMap.parseAscii(text);
+};
+
+module.exports = WorldMap;
@@ -0,0 +1,91 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Random = require("../entity/Random.js");
+var Ant = require("../entity/Ant.js");
+
+describe("Ant Colony System", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.algorithm = World.ALGORITHM_ACS;
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        World.seed = 1;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    function share(q0, values, draws) {
+        var random = new Random(3);
+        var counts = values.map(function() { return 0; });
+        for (var i = 0; i < draws; i++) {
+            counts[Ant.choose(values.slice(), random, q0)]++;
+        }
+        return counts.map(function(n) { return n / draws; });
+    }
+
+    it("exploits the best candidate with probability q0", function() {
+        // Proportional shares 0.1, 0.6, 0.3
+        var values = [1, 6, 3];
+        assert.deepEqual(share(1, values, 1000), [0, 1, 0]);
+        var as = share(null, values, 20000);
+        var acs = share(0.9, values, 20000);
+        // q0 + (1 - q0) * p: 0.01, 0.96, 0.03
+        [[as, [0.1, 0.6, 0.3]], [acs, [0.01, 0.96, 0.03]]].forEach(function(pair) {
+            for (var i = 0; i < 3; i++) {
+                assert.ok(Math.abs(pair[0][i] - pair[1][i]) < 0.015, pair[0] + " vs " + pair[1]);
+            }
+        });
+    });
+
+    it("starts trails at tau0 and pulls a cell an ant moves onto back towards it", function() {
+        World.q0 = 1;
+        World.xi = 0.25;
+        World.tau0 = 0.5;
+        var world = new World(10 * 20, 10 * 20, 20);
+        var colony = world.colonies[0];
+        var channel = colony.channel(Position.P_TYPE_FOOD);
+        var home = world.homePosition;
+        assert.strictEqual(world.getPosition(0, 0).getP(channel), 0.5);
+
+        var target = world.getPosition(home.x + 1, home.y);
+        target.pheromone[channel] = 4.5;
+        var ant = new Ant(world, colony);
+        ant.move();
+        assert.strictEqual(ant.getPosition(), target);
+        // (1 - xi) * 4.5 + xi * tau0
+        assert.strictEqual(target.getP(channel), 0.75 * 4.5 + 0.25 * 0.5);
+        // The other neighbours are untouched
+        assert.strictEqual(world.getPosition(home.x - 1, home.y).getP(channel), 0.5);
+    });
+
+    it("has no local update in AS", function() {
+        World.algorithm = World.ALGORITHM_AS;
+        var world = new World(10 * 20, 10 * 20, 20);
+        var position = world.getPosition(3, 3);
+        position.pheromone[world.colonies[0].channel(Position.P_TYPE_FOOD)] = 4;
+        new Ant(world)._localUpdate(position);
+        assert.strictEqual(position.getP(world.colonies[0].channel(Position.P_TYPE_FOOD)), 4);
+    });
+
+    it("reinforces only the best trip so far in the global update", function() {
+        World.rho = 0.1;
+        World.Q = 2;
+        World.tau0 = 0.5;
+        var world = new World(10 * 20, 10 * 20, 20);
+        var colony = world.colonies[0];
+        var channel = colony.channel(Position.P_TYPE_FOOD);
+        var best = [world.getPosition(1, 1), world.getPosition(2, 1)];
+        var worse = [world.getPosition(1, 3), world.getPosition(2, 3), world.getPosition(3, 3)];
+        colony.reportTrip(best, Position.P_TYPE_FOOD);
+        colony.reportTrip(worse, Position.P_TYPE_FOOD);
+        world.evaporate();
+        // (1 - rho) * tau0 + rho * Q / L_best, no evaporation elsewhere
+        assert.strictEqual(best[0].getP(channel), 0.9 * 0.5 + 0.1 * 2 / 1);
+        assert.strictEqual(worse[0].getP(channel), 0.5);
+    });
+});
@@ -0,0 +1,92 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Colony = require("../entity/Colony.js");
+var Ant = require("../entity/Ant.js");
+var Simulation = require("../entity/Simulation.js");
+
+describe("Colony", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        World.seed = 4;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    it("gives every colony its own pair of channels", function() {
+        var world = new World(20 * 20, 10 * 20, 20);
+        var second = world.addColony(2, 2);
+        var third = world.addColony(17, 7);
+        assert.deepEqual(world.colonies.map(function(colony) {
+            return [colony.channel(Position.P_TYPE_FOOD), colony.channel(Position.P_TYPE_HOME)];
+        }), [[1001, 1002], [1003, 1004], [1005, 1006]]);
+        // A nest is MAX_VALUE on its own home channel only
+        assert.strictEqual(second.homePosition.getP(second.channel(Position.P_TYPE_HOME)), Number.MAX_VALUE);
+        assert.strictEqual(second.homePosition.getP(third.channel(Position.P_TYPE_HOME)), 0);
+        // Indices are not reused after a removal
+        world.removeColony(second);
+        assert.strictEqual(world.addColony(5, 5).channel(Position.P_TYPE_FOOD), 1007);
+        assert.strictEqual(world.addColony(2, 2), world.getColony(4));
+        assert.strictEqual(world.addColony(2, 2), null);
+    });
+
+    it("lays trails on its own channels only", function() {
+        World.ANT_NUMBER = 10;
+        var world = new World(20 * 20, 10 * 20, 20);
+        world.moveHome(3, 5);
+        var second = world.addColony(16, 5, { params: { ANT_NUMBER: 10 } });
+        world.getPosition(10, 1).changeType(Position.TYPE_FOOD);
+        new Simulation(world).run(100);
+        var first = world.colonies[0];
+        assert.ok(first.deliveries > 0 && second.deliveries > 0, first.deliveries + " / " + second.deliveries);
+        // Both colonies' trails end on their own nests
+        var own = world.getPosition(4, 5);
+        var other = world.getPosition(15, 5);
+        assert.ok(own.getP(first.channel(Position.P_TYPE_HOME)) > own.getP(second.channel(Position.P_TYPE_HOME)));
+        assert.ok(other.getP(second.channel(Position.P_TYPE_HOME)) > other.getP(first.channel(Position.P_TYPE_HOME)));
+    });
+
+    it("falls back to the World parameters", function() {
+        var world = new World(20 * 20, 10 * 20, 20);
+        var colony = world.addColony(2, 2, { params: { alpha: 3, beta: null } });
+        assert.strictEqual(colony.param("alpha"), 3);
+        assert.strictEqual(colony.param("beta"), World.beta);
+        World.beta = 4;
+        assert.strictEqual(colony.param("beta"), 4);
+        assert.strictEqual(world.colonies[0].param("alpha"), World.alpha);
+    });
+
+    it("steers around foreign trails when repelled", function() {
+        var world = new World(20 * 20, 10 * 20, 20);
+        var rival = world.addColony(2, 2);
+        var home = world.homePosition;
+        var clean = world.getPosition(home.x + 1, home.y);
+        world.getNeighbors(home).forEach(function(position) {
+            if (position !== clean) {
+                position.pheromone[rival.channel(Position.P_TYPE_HOME)] = 10;
+            }
+        });
+        assert.strictEqual(world.colonies[0].foreignPheromone(clean), 0);
+        assert.strictEqual(world.colonies[0].foreignPheromone(world.getPosition(home.x - 1, home.y)), 10);
+
+        function cleanShare(colony) {
+            var n = 0;
+            for (var i = 0; i < 2000; i++) {
+                if (new Ant(world, colony)._selectNext(home) === clean) n++;
+            }
+            return n / 2000;
+        }
+        // Ignoring: all four alike; repelled with weight 3: 1 / (1 + 3 * 10) each
+        var colony = world.colonies[0];
+        assert.ok(Math.abs(cleanShare(colony) - 0.25) < 0.03);
+        colony.foreignTrails = Colony.FOREIGN_REPEL;
+        colony.repulsion = 3;
+        assert.ok(Math.abs(cleanShare(colony) - 1 / (1 + 3 / 31)) < 0.03);
+    });
+});
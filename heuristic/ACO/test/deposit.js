@@ -0,0 +1,99 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Ant = require("../entity/Ant.js");
+
+describe("Pheromone update models", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.neighbourhood = World.NEIGHBOURHOOD_8;
+        World.cornerCutting = true;
+        World.algorithm = World.ALGORITHM_AS;
+        World.Q = 10;
+        World.seed = 1;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    // 10 x 10 cells, nest at (5, 5) walled in but for the diagonal to (6, 6)
+    function world() {
+        var w = new World(10 * 20, 10 * 20, 20);
+        var home = w.homePosition;
+        w.getNeighbors(home).forEach(function(position) {
+            if (position !== w.getPosition(6, 6)) {
+                position.changeType(Position.TYPE_BARRIER);
+            }
+        });
+        assert.deepEqual([home.x, home.y], [5, 5]);
+        return w;
+    }
+
+    function home(w, position) {
+        return position.getP(w.colonies[0].channel(Position.P_TYPE_HOME));
+    }
+
+    it("lays nothing while moving in ant-cycle", function() {
+        World.depositModel = World.DEPOSIT_CYCLE;
+        var w = world();
+        new Ant(w).move();
+        assert.strictEqual(home(w, w.getPosition(6, 6)), 0);
+    });
+
+    it("lays Q on every cell moved onto in ant-density", function() {
+        World.depositModel = World.DEPOSIT_DENSITY;
+        var w = world();
+        var ant = new Ant(w);
+        ant.move();
+        assert.strictEqual(ant.getPosition(), w.getPosition(6, 6));
+        assert.strictEqual(home(w, w.getPosition(6, 6)), 10);
+    });
+
+    it("lays Q / d_ij in ant-quantity, so less on a diagonal", function() {
+        World.depositModel = World.DEPOSIT_QUANTITY;
+        var w = world();
+        new Ant(w).move();
+        assert.strictEqual(home(w, w.getPosition(6, 6)), 10 / Math.SQRT2);
+        var ant = new Ant(w);
+        ant._depositStep(w.getPosition(1, 1), w.getPosition(2, 1));
+        assert.strictEqual(home(w, w.getPosition(2, 1)), 10);
+    });
+
+    it("lays the trail leading back: home pheromone out, food pheromone back", function() {
+        World.depositModel = World.DEPOSIT_DENSITY;
+        var w = world();
+        var ant = new Ant(w);
+        ant.status = Ant.STATUS_CARRY_FOOD;
+        ant._depositStep(w.getPosition(1, 1), w.getPosition(2, 1));
+        assert.strictEqual(w.getPosition(2, 1).getP(w.colonies[0].channel(Position.P_TYPE_FOOD)), 10);
+        assert.strictEqual(home(w, w.getPosition(2, 1)), 0);
+    });
+
+    it("lays Q / L on the whole path when a trip ends in ant-cycle", function() {
+        World.depositModel = World.DEPOSIT_CYCLE;
+        var w = world();
+        var ant = new Ant(w);
+        [[6, 6], [7, 6], [8, 7]].forEach(function(c) {
+            ant._visit(w.getPosition(c[0], c[1]));
+        });
+        ant._completeTrip(Position.P_TYPE_FOOD);
+        // L = sqrt(2) + 1 + sqrt(2) in cells
+        var deltaTau = 10 / (1 + 2 * Math.SQRT2);
+        var channel = w.colonies[0].channel(Position.P_TYPE_FOOD);
+        assert.strictEqual(w.getPosition(7, 6).getP(channel), deltaTau);
+        assert.strictEqual(w.getPosition(8, 7).getP(channel), deltaTau);
+    });
+
+    it("keeps per-step deposits to AS", function() {
+        World.depositModel = World.DEPOSIT_DENSITY;
+        World.algorithm = World.ALGORITHM_MMAS;
+        var w = world();
+        var before = home(w, w.getPosition(6, 6));
+        new Ant(w).move();
+        assert.strictEqual(home(w, w.getPosition(6, 6)), before);
+    });
+});
@@ -0,0 +1,75 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+
+function totalPheromone(world, channel) {
+    var total = 0;
+    for (var x = 0; x < world.xl; x++) {
+        for (var y = 0; y < world.yl; y++) {
+            total += world.map[x][y].getP(channel);
+        }
+    }
+    return total;
+}
+
+describe("Diffusion", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    [World.NEIGHBOURHOOD_4, World.NEIGHBOURHOOD_8, World.NEIGHBOURHOOD_HEX].forEach(function(neighbourhood) {
+        it("keeps the total pheromone (" + neighbourhood + " neighbourhood)", function() {
+            World.neighbourhood = neighbourhood;
+            var world = new World(10 * 20, 10 * 20, 20);
+            var channel = Position.P_TYPE_FOOD;
+            // A barrier and the nest take nothing in
+            world.getPosition(4, 3).changeType(Position.TYPE_BARRIER);
+            [[3, 3, 16], [4, 4, 5], [0, 0, 2], [9, 9, 1]].forEach(function(c) {
+                var position = world.getPosition(c[0], c[1]);
+                position.pheromone[channel] = c[2];
+                world.addCheckList(position);
+            });
+            for (var i = 0; i < 10; i++) {
+                world.diffuse(channel, 0.3);
+                assert.ok(Math.abs(totalPheromone(world, channel) - 24) < 1e-9,
+                    "total " + totalPheromone(world, channel));
+            }
+            assert.strictEqual(world.getPosition(4, 3).getP(channel), 0);
+            assert.strictEqual(world.homePosition.getP(channel), 0);
+            assert.ok(world.getPosition(3, 3).getP(channel) < 16);
+        });
+    });
+
+    it("spreads rate / neighbours to each open neighbour", function() {
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        var world = new World(10 * 20, 10 * 20, 20);
+        var channel = Position.P_TYPE_FOOD;
+        var centre = world.getPosition(2, 2);
+        centre.pheromone[channel] = 8;
+        world.addCheckList(centre);
+        world.diffuse(channel, 0.5);
+        assert.strictEqual(centre.getP(channel), 4);
+        assert.strictEqual(world.getPosition(2, 1).getP(channel), 1);
+        assert.strictEqual(world.getPosition(3, 2).getP(channel), 1);
+        assert.strictEqual(world.getPosition(3, 3).getP(channel), 0);
+        // The new cells join the check list (they evaporate and render)
+        assert.ok(world.checkList.indexOf(world.getPosition(2, 1)) >= 0);
+    });
+
+    it("does nothing at rate 0", function() {
+        var world = new World(10 * 20, 10 * 20, 20);
+        var centre = world.getPosition(2, 2);
+        centre.pheromone[Position.P_TYPE_FOOD] = 8;
+        world.addCheckList(centre);
+        world.diffuse(Position.P_TYPE_FOOD, 0);
+        assert.strictEqual(centre.getP(Position.P_TYPE_FOOD), 8);
+        assert.strictEqual(world.checkList.length, 1);
+    });
+});
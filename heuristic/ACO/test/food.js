@@ -0,0 +1,72 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Simulation = require("../entity/Simulation.js");
+
+describe("Food sources", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        World.seed = 6;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    it("hold World.foodAmount units unless given an amount", function() {
+        var world = new World(10 * 20, 10 * 20, 20);
+        var source = world.getPosition(1, 1);
+        source.changeType(Position.TYPE_FOOD);
+        assert.strictEqual(source.food, Infinity);
+        World.foodAmount = 30;
+        source.changeType(Position.TYPE_FOOD);
+        assert.strictEqual(source.food, 30);
+        assert.strictEqual(source.foodCapacity, 30);
+        source.changeType(Position.TYPE_FOOD, 2);
+        assert.strictEqual(source.food, 2);
+    });
+
+    it("lose one unit per pickup and turn normal once empty", function() {
+        var world = new World(10 * 20, 10 * 20, 20);
+        var source = world.getPosition(1, 1);
+        source.changeType(Position.TYPE_FOOD, 2);
+        var events = [];
+        world.on("food", function(position) { events.push("food " + position.food); });
+        world.on("change", function(position, oldType) { events.push("change " + oldType + ">" + position.type); });
+
+        assert.strictEqual(source.takeFood(), true);
+        assert.strictEqual(source.type, Position.TYPE_FOOD);
+        assert.strictEqual(source.takeFood(), true);
+        assert.strictEqual(source.type, Position.TYPE_NORMAL);
+        assert.strictEqual(source.food, 0);
+        // Its food trail is gone: back to the initial level of a normal cell
+        assert.strictEqual(source.getP(Position.P_TYPE_FOOD), world.colonies[0].initialPheromone(Position.P_TYPE_FOOD));
+        assert.deepEqual(events, ["food 1", "food 0", "change " + Position.TYPE_FOOD + ">" + Position.TYPE_NORMAL]);
+        assert.strictEqual(source.takeFood(), false);
+    });
+
+    it("never run out when unlimited", function() {
+        var world = new World(10 * 20, 10 * 20, 20);
+        var source = world.getPosition(1, 1);
+        source.changeType(Position.TYPE_FOOD);
+        for (var i = 0; i < 100; i++) {
+            source.takeFood();
+        }
+        assert.strictEqual(source.type, Position.TYPE_FOOD);
+        assert.strictEqual(source.food, Infinity);
+    });
+
+    it("are used up by a running colony", function() {
+        World.ANT_NUMBER = 20;
+        var world = new World(10 * 20, 10 * 20, 20);
+        var source = world.getPosition(3, 5);
+        source.changeType(Position.TYPE_FOOD, 5);
+        new Simulation(world).run(300);
+        assert.strictEqual(source.type, Position.TYPE_NORMAL);
+        assert.ok(world.colonies[0].deliveries <= 5);
+    });
+});
@@ -0,0 +1,146 @@
+var assert = require("assert");
+var GifEncoder = require("../io/GifEncoder.js");
+var Random = require("../entity/Random.js");
+
+/**
+ * Minimal GIF89a reader: screen size, palette, loop count and the
+ * decoded palette indices and delay of every frame
+ */
+function decode(bytes) {
+    var at = 0;
+    function byte() { return bytes[at++]; }
+    function short() { at += 2; return bytes[at - 2] | (bytes[at - 1] << 8); }
+    function string(n) { at += n; return String.fromCharCode.apply(null, bytes.subarray(at - n, at)); }
+    function blocks() {
+        var data = [];
+        for (var n = byte(); n > 0; n = byte()) {
+            for (var i = 0; i < n; i++) data.push(byte());
+        }
+        return data;
+    }
+
+    var gif = { frames: [], loop: null };
+    assert.strictEqual(string(6), "GIF89a");
+    gif.width = short();
+    gif.height = short();
+    var flags = byte();
+    at += 2;
+    gif.palette = bytes.subarray(at, at + 3 * (2 << (flags & 7)));
+    at += gif.palette.length;
+    var delay = null;
+    for (;;) {
+        var type = byte();
+        if (type === 0x3b) return gif;
+        if (type === 0x21) {
+            var label = byte();
+            var data = blocks();
+            if (label === 0xf9) delay = (data[1] | (data[2] << 8)) * 10;
+            // NETSCAPE2.0: 11 bytes of name, then 1 and the loop count
+            if (label === 0xff) gif.loop = data[12] | (data[13] << 8);
+            continue;
+        }
+        assert.strictEqual(type, 0x2c);
+        at += 8;
+        byte();
+        var minCodeSize = byte();
+        gif.frames.push({ delay: delay, indices: lzw(blocks(), minCodeSize) });
+    }
+}
+
+function lzw(data, minCodeSize) {
+    var clearCode = 1 << minCodeSize;
+    var table, codeSize, prev;
+    var out = [];
+    var bits = 0, bitCount = 0, at = 0;
+    function reset() {
+        table = [];
+        for (var i = 0; i < clearCode; i++) table[i] = [i];
+        table.push(null, null);
+        codeSize = minCodeSize + 1;
+        prev = null;
+    }
+    reset();
+    for (;;) {
+        while (bitCount < codeSize) {
+            bits |= data[at++] << bitCount;
+            bitCount += 8;
+        }
+        var code = bits & ((1 << codeSize) - 1);
+        bits >>>= codeSize;
+        bitCount -= codeSize;
+        if (code === clearCode) { reset(); continue; }
+        if (code === clearCode + 1) return out;
+        var entry = (code < table.length) ? table[code] : prev.concat(prev[0]);
+        out.push.apply(out, entry);
+        if (prev && table.length < 4096) {
+            table.push(prev.concat(entry[0]));
+            if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+        }
+        prev = entry;
+    }
+}
+
+function frame(width, height, colour) {
+    var rgba = new Uint8Array(width * height * 4);
+    for (var i = 0; i < width * height; i++) {
+        var c = colour(i % width, Math.floor(i / width));
+        rgba.set([c[0], c[1], c[2], 255], i * 4);
+    }
+    return rgba;
+}
+
+describe("GifEncoder", function() {
+    it("maps colours onto its fixed palette", function() {
+        var palette = GifEncoder.palette();
+        assert.strictEqual(palette.length, 768);
+        [[0, 0, 0], [255, 255, 255], [255, 0, 0], [102, 170, 51]].forEach(function(c) {
+            var i = GifEncoder.index(c[0], c[1], c[2]);
+            assert.deepEqual([palette[3 * i], palette[3 * i + 1], palette[3 * i + 2]], c);
+        });
+        assert.strictEqual(GifEncoder.index(255, 255, 255), 6 * 7 * 6 - 1);
+        assert.strictEqual(GifEncoder.index(250, 5, 2), GifEncoder.index(255, 0, 0));
+    });
+
+    it("writes frames a GIF reader decodes back", function() {
+        var gif = new GifEncoder(7, 5, { delay: 250 });
+        var stripes = frame(7, 5, function(x) { return (x % 2) ? [255, 0, 0] : [0, 0, 255]; });
+        var plain = frame(7, 5, function() { return [255, 255, 255]; });
+        gif.addFrame(stripes);
+        gif.addFrame(plain);
+        assert.strictEqual(gif.frames, 2);
+
+        var decoded = decode(gif.finish());
+        assert.strictEqual(decoded.width, 7);
+        assert.strictEqual(decoded.height, 5);
+        assert.deepEqual(Array.prototype.slice.call(decoded.palette), Array.prototype.slice.call(GifEncoder.palette()));
+        assert.strictEqual(decoded.loop, 0);
+        assert.strictEqual(decoded.frames.length, 2);
+        assert.strictEqual(decoded.frames[0].delay, 250);
+        assert.deepEqual(decoded.frames[0].indices.slice(0, 3),
+            [GifEncoder.index(0, 0, 255), GifEncoder.index(255, 0, 0), GifEncoder.index(0, 0, 255)]);
+        assert.deepEqual(decoded.frames[1].indices, new Array(35).fill(GifEncoder.index(255, 255, 255)));
+    });
+
+    it("starts its code table over when it is full", function() {
+        var random = new Random(1);
+        var noise = frame(120, 100, function() {
+            return [random.nextInt(256), random.nextInt(256), random.nextInt(256)];
+        });
+        var gif = new GifEncoder(120, 100, { loop: null });
+        gif.addFrame(noise);
+        var decoded = decode(gif.finish());
+        assert.strictEqual(decoded.loop, null);
+        var expected = [];
+        for (var p = 0; p < noise.length; p += 4) {
+            expected.push(GifEncoder.index(noise[p], noise[p + 1], noise[p + 2]));
+        }
+        assert.deepEqual(decoded.frames[0].indices, expected);
+    });
+
+    it("rejects a frame of another size", function() {
+        var gif = new GifEncoder(4, 4);
+        assert.throws(function() {
+            gif.addFrame(new Uint8Array(4 * 3 * 4));
+        }, /Frame is not 4x4/);
+    });
+});
@@ -0,0 +1,160 @@
+var assert = require("assert");
+var path = require("path");
+var fs = require("fs");
+var os = require("os");
+var childProcess = require("child_process");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var GraphLoader = require("../graph/GraphLoader.js");
+var GraphColony = require("../graph/GraphColony.js");
+var GraphWorld = require("../graph/GraphWorld.js");
+var GridGraph = require("../graph/GridGraph.js");
+
+var GRAPH_BIN = path.join(__dirname, "..", "bin", "graph.js");
+
+// Shortest A -> F: A B D E F, 2 + 1 + sqrt(2) + 1
+var EDGE_LIST = {
+    format: "aco-graph",
+    nodes: [{ id: "A", x: 0, y: 0 }, { id: "B", x: 1, y: 1 }, { id: "C", x: 1, y: -1 },
+        { id: "D", x: 2, y: 0 }, { id: "E", x: 3, y: 1 }, { id: "F", x: 4, y: 0 }],
+    edges: [["A", "B", 2], ["A", "C", 1], ["B", "D", 1], ["C", "D", 3], ["D", "E"], ["E", "F", 1],
+        ["D", "F", 5], { from: "C", to: "F", weight: 6, directed: true }],
+    source: "A",
+    targets: ["F"]
+};
+
+function graph() {
+    return GraphLoader.fromEdgeList(EDGE_LIST);
+}
+
+describe("GraphColony", function() {
+    [World.ALGORITHM_AS, World.ALGORITHM_ACS, World.ALGORITHM_MMAS].forEach(function(algorithm) {
+        it("finds the shortest path with " + algorithm, function() {
+            var colony = new GraphColony(graph(), { params: { algorithm: algorithm, ANT_NUMBER: 10 }, seed: 2 });
+            colony.run(20);
+            assert.strictEqual(colony.bestLength, colony.optimum.length);
+            assert.deepEqual(colony.bestPath.map(function(node) { return node.id; }), ["A", "B", "D", "E", "F"]);
+        });
+    });
+
+    it("runs on its own parameters and leaves World alone", function() {
+        var algorithm = World.algorithm;
+        var ants = World.ANT_NUMBER;
+        var colony = new GraphColony(graph(), {
+            params: { algorithm: World.ALGORITHM_MMAS, rho: 0.2, Q: 2, ANT_NUMBER: 4 },
+            seed: 1
+        });
+        assert.ok(colony.iterate().arrived <= 4);
+        assert.strictEqual(World.algorithm, algorithm);
+        assert.strictEqual(World.ANT_NUMBER, ants);
+        // MMAS: tau_max = Q / (rho * L_best)
+        var bounds = colony.pheromoneBounds();
+        assert.ok(Math.abs(bounds.max - 2 / (0.2 * colony.bestLength)) < 1e-12);
+        colony.graph.edges.forEach(function(edge) {
+            var tau = edge.getP(colony.colony.channel(Position.P_TYPE_FOOD));
+            assert.ok(tau >= bounds.min - 1e-12 && tau <= bounds.max + 1e-12, "tau " + tau);
+        });
+    });
+
+    it("repeats a run with the same seed", function() {
+        var a = new GraphColony(graph(), { params: { ANT_NUMBER: 5 }, seed: 7 });
+        var b = new GraphColony(graph(), { params: { ANT_NUMBER: 5 }, seed: 7 });
+        a.run(10);
+        b.run(10);
+        assert.deepEqual(a.history, b.history);
+    });
+
+    it("routes through a grid world around a wall", function() {
+        World.seed = 1;
+        var world = new World(20 * 10, 20 * 10, 20);
+        World.seed = null;
+        for (var y = 1; y < 9; y++) {
+            world.getPosition(6, y).changeType(Position.TYPE_BARRIER);
+        }
+        world.getPosition(8, 5).changeType(Position.TYPE_FOOD);
+        var colony = new GraphColony(GridGraph.fromWorld(world), {
+            heuristic: GraphColony.towardsTarget,
+            params: { ANT_NUMBER: 10 },
+            seed: 1
+        });
+        colony.run(30);
+        assert.ok(colony.bestLength < colony.optimum.length * 1.2, colony.bestLength + " / " + colony.optimum.length);
+    });
+});
+
+describe("Graph input checks", function() {
+    it("rejects a source that is also a target", function() {
+        assert.throws(function() { new GraphColony(graph(), { targets: ["F", "A"] }); },
+            /The source node A is also a target/);
+    });
+
+    it("rejects a shortest path of length 0", function() {
+        var g = GraphLoader.fromEdgeList({
+            format: "aco-graph",
+            nodes: [{ id: "A" }, { id: "B" }, { id: "C" }],
+            edges: [["A", "B", 0], ["B", "C", 1]]
+        });
+        assert.throws(function() { new GraphColony(g, { source: "A", targets: ["B"] }); },
+            /The shortest path from A has length 0/);
+        assert.strictEqual(new GraphColony(g, { source: "A", targets: ["C"] }).optimum.length, 1);
+    });
+
+    it("rejects a length estimate that is not positive", function() {
+        [0, -1, Infinity, NaN].forEach(function(estimate) {
+            assert.throws(function() { new GraphWorld(graph(), { lengthEstimate: estimate }); },
+                /Graph length estimate must be a positive number/);
+        });
+        assert.strictEqual(new GraphWorld(graph(), { lengthEstimate: 2 }).lengthEstimate(), 2);
+    });
+
+    it("rejects nodes without an id", function() {
+        [{ x: 1, y: 1 }, { id: "" }].forEach(function(node) {
+            var data = JSON.parse(JSON.stringify(EDGE_LIST));
+            data.nodes.push(node);
+            assert.throws(function() { GraphLoader.fromEdgeList(data); }, /Graph node 6 has no id/);
+        });
+        var data = JSON.parse(JSON.stringify(EDGE_LIST));
+        data.nodes[0].id = 0;
+        data.edges[0][0] = 0;
+        data.edges[1][0] = 0;
+        data.source = 0;
+        assert.strictEqual(GraphLoader.fromEdgeList(data).find("0").id, "0");
+    });
+});
+
+describe("bin/graph.js", function() {
+    var file = path.join(os.tmpdir(), "aco-graph-test.json");
+
+    before(function() {
+        fs.writeFileSync(file, JSON.stringify(EDGE_LIST));
+    });
+
+    after(function() {
+        fs.unlinkSync(file);
+    });
+
+    function run(args) {
+        return childProcess.spawnSync(process.execPath, [GRAPH_BIN, file].concat(args), { encoding: "utf8" });
+    }
+
+    it("rejects an unknown algorithm", function() {
+        var result = run(["--algorithm", "FOO"]);
+        assert.strictEqual(result.status, 1);
+        assert.ok(/--algorithm/.test(result.stderr), result.stderr);
+    });
+
+    it("rejects a rho without evaporation", function() {
+        ["0", "-0.1", "1.5"].forEach(function(rho) {
+            var result = run(["--algorithm", "MMAS", "--rho", rho, "--iterations", "1"]);
+            assert.strictEqual(result.status, 1, rho);
+            assert.ok(/--rho must be a number in/.test(result.stderr), result.stderr);
+        });
+        assert.strictEqual(run(["--rho", "1", "--iterations", "1"]).status, 0);
+    });
+
+    it("routes with a known one", function() {
+        var result = run(["--algorithm", "ACS", "--iterations", "5", "--seed", "1"]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(/best path: A B D E F/.test(result.stdout), result.stdout);
+    });
+});
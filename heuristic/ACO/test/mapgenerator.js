@@ -0,0 +1,103 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Params = require("../entity/Params.js");
+var Random = require("../entity/Random.js");
+var ShortestPath = require("../entity/ShortestPath.js");
+var WorldMap = require("../io/WorldMap.js");
+var MapGenerator = require("../io/MapGenerator.js");
+
+describe("MapGenerator", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        World.seed = 1;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    function blocked(layout) {
+        var cells = {};
+        layout.barriers.forEach(function(b) {
+            cells[b[0] + b[1] * layout.width] = true;
+        });
+        return cells;
+    }
+
+    // Shortest nest -> food length in 4-neighbourhood steps
+    function shortest(layout) {
+        var world = WorldMap.createWorld(layout, 20);
+        var food = world.getPosition(layout.food[0][0], layout.food[0][1]);
+        return new ShortestPath(world).length(world.colonies[0], food);
+    }
+
+    it("gives the same map for the same seed", function() {
+        [
+            function(random) { return MapGenerator.obstacles(30, 20, 0.3, random); },
+            function(random) { return MapGenerator.maze(31, 21, random); }
+        ].forEach(function(generate) {
+            assert.deepEqual(generate(new Random(7)), generate(new Random(7)));
+            assert.notDeepEqual(generate(new Random(7)), generate(new Random(8)));
+        });
+    });
+
+    it("keeps the food of obstacle maps reachable", function() {
+        for (var seed = 1; seed <= 5; seed++) {
+            var layout = MapGenerator.obstacles(20, 11, 0.9, new Random(seed));
+            assert.deepEqual(layout.home, [2, 5]);
+            assert.deepEqual(layout.food, [[17, 5]]);
+            assert.ok(MapGenerator._reachable(20, 11, blocked(layout), layout.home, layout.food[0]), "seed " + seed);
+        }
+        assert.strictEqual(MapGenerator.obstacles(7, 5, 0, new Random(1)).food[0][0], 4);
+        assert.throws(function() { MapGenerator.obstacles(6, 10, 0.2, new Random(1)); },
+            /Obstacle maps need at least 7 columns: 6/);
+        assert.throws(function() { MapGenerator.obstacles(20, 10, 1, new Random(1)); },
+            /Obstacle density must be in \[0, 1\)/);
+    });
+
+    it("builds perfect mazes from the nest corner to the food corner", function() {
+        var layout = MapGenerator.maze(21, 15, new Random(3));
+        var walls = blocked(layout);
+        assert.deepEqual(layout.home, [1, 1]);
+        assert.deepEqual(layout.food, [[19, 13]]);
+        assert.ok(MapGenerator._reachable(21, 15, walls, layout.home, layout.food[0]));
+        // One way between any two cells: the open cells form a tree
+        var cells = 0;
+        var links = 0;
+        for (var x = 0; x < 21; x++) {
+            for (var y = 0; y < 15; y++) {
+                if (walls[x + y * 21]) continue;
+                cells++;
+                if (x + 1 < 21 && !walls[(x + 1) + y * 21]) links++;
+                if (y + 1 < 15 && !walls[x + (y + 1) * 21]) links++;
+            }
+        }
+        assert.strictEqual(links, cells - 1);
+        assert.ok(shortest(layout) < Infinity);
+    });
+
+    it("gives the double bridge branches their lengths", function() {
+        var layout = MapGenerator.doubleBridge(40, 30, 20, 40);
+        // Nest to fork 2 steps, branch, join to food 3 steps
+        assert.strictEqual(shortest(layout), 2 + 20 + 3);
+        // Close the short upper branch just after the fork
+        layout.barriers.push([5, 14]);
+        assert.strictEqual(shortest(layout), 2 + 40 + 3);
+        // Lengths are rounded down to an even difference
+        layout = MapGenerator.doubleBridge(40, 30, 41, 20);
+        assert.strictEqual(shortest(layout), 2 + 20 + 3);
+        layout.barriers.push([5, 16]);
+        assert.strictEqual(shortest(layout), 2 + 40 + 3);
+        assert.throws(function() { MapGenerator.doubleBridge(40, 30, 2, 20); }, /at least 3 steps/);
+        assert.throws(function() { MapGenerator.doubleBridge(20, 30, 20, 40); }, /does not fit into 20x30/);
+    });
+
+    it("generates by name", function() {
+        var layout = MapGenerator.generate(MapGenerator.DOUBLE_BRIDGE, 40, 30, { upper: 20, lower: 40 });
+        assert.deepEqual(layout, MapGenerator.doubleBridge(40, 30, 20, 40));
+        assert.throws(function() { MapGenerator.generate("spiral", 40, 30, {}); }, /Unknown map generator: spiral/);
+    });
+});
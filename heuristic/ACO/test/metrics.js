@@ -0,0 +1,107 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Simulation = require("../entity/Simulation.js");
+var Metrics = require("../entity/Metrics.js");
+
+describe("Metrics", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        World.ANT_NUMBER = 20;
+        World.seed = 2;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    // 10 x 10 cells, nest at (5, 5), food three cells to its left
+    function simulation(food) {
+        var sim = new Simulation(new World(10 * 20, 10 * 20, 20));
+        sim.world.getPosition(2, 5).changeType(Position.TYPE_FOOD, food || 50);
+        return sim;
+    }
+
+    function row(world, from, to) {
+        var path = [];
+        for (var x = from; from <= to ? x <= to : x >= to; x += (from <= to ? 1 : -1)) {
+            path.push(world.getPosition(x, 5));
+        }
+        return path;
+    }
+
+    it("samples the trips of a tick", function() {
+        var sim = simulation();
+        var world = sim.world;
+        var colony = world.colonies[0];
+        var metrics = new Metrics(sim);
+        // An optimal trip out, a detour back
+        world.emit("trip", row(world, 5, 2), Position.P_TYPE_FOOD, colony);
+        var back = [world.getPosition(2, 5), world.getPosition(2, 4), world.getPosition(3, 4),
+            world.getPosition(4, 4), world.getPosition(5, 4), world.getPosition(5, 5)];
+        world.emit("trip", back, Position.P_TYPE_HOME, colony);
+        var record = metrics.sample();
+        assert.strictEqual(record.trips, 2);
+        assert.strictEqual(record.deliveries, 1);
+        assert.strictEqual(record.totalDeliveries, 1);
+        assert.strictEqual(record.meanTripLength, 4);
+        assert.strictEqual(record.minTripLength, 3);
+        assert.strictEqual(record.meanTripRatio, (1 + 5 / 3) / 2);
+        assert.strictEqual(record.optimalityGap, (1 + 5 / 3) / 2 - 1);
+        assert.deepEqual(record.colonyDeliveries, [1]);
+        assert.strictEqual(record.foodSources, 1);
+        assert.strictEqual(record.foodLeft, 50);
+
+        // A quiet tick: no trips, the running gap and the totals stay
+        record = metrics.sample();
+        assert.strictEqual(record.trips, 0);
+        assert.strictEqual(record.meanTripLength, null);
+        assert.strictEqual(record.meanTripRatio, null);
+        assert.strictEqual(record.totalDeliveries, 1);
+        assert.strictEqual(record.optimalityGap, (1 + 5 / 3) / 2 - 1);
+        assert.strictEqual(metrics.last(), record);
+        assert.strictEqual(metrics.history.length, 2);
+    });
+
+    it("averages the gap over the last GAP_WINDOW trips", function() {
+        var sim = simulation();
+        var world = sim.world;
+        var metrics = new Metrics(sim);
+        var detour = [world.getPosition(5, 5), world.getPosition(5, 4), world.getPosition(4, 4),
+            world.getPosition(3, 4), world.getPosition(2, 4), world.getPosition(2, 5)];
+        world.emit("trip", detour, Position.P_TYPE_FOOD, world.colonies[0]);
+        for (var i = 0; i < Metrics.GAP_WINDOW; i++) {
+            world.emit("trip", row(world, 5, 2), Position.P_TYPE_FOOD, world.colonies[0]);
+        }
+        assert.strictEqual(metrics.sample().optimalityGap, 0);
+    });
+
+    it("follows a running simulation tick by tick", function() {
+        var sim = simulation(1000);
+        var metrics = new Metrics(sim);
+        var pickups = 0;
+        sim.world.on("trip", function(path, pType) {
+            if (pType === Position.P_TYPE_FOOD) pickups++;
+        });
+        sim.run(200);
+        assert.strictEqual(metrics.history.length, 200);
+        var record = metrics.last();
+        assert.strictEqual(record.tick, 200);
+        assert.strictEqual(record.searching + record.carrying, sim.ants.length);
+        assert.strictEqual(record.activeCells, sim.world.checkList.length);
+        assert.ok(record.totalDeliveries > 0, "no food delivered");
+        assert.strictEqual(record.totalDeliveries, sim.world.colonies[0].deliveries);
+        // One unit per trip that reached the food
+        assert.strictEqual(record.foodLeft, 1000 - pickups);
+        assert.ok(record.foodMax > 0 && record.foodTotal >= record.foodMax);
+    });
+
+    it("averages lists", function() {
+        assert.strictEqual(Metrics.mean([]), null);
+        assert.strictEqual(Metrics.mean([1, 2, 6]), 3);
+    });
+});
@@ -0,0 +1,82 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Simulation = require("../entity/Simulation.js");
+
+describe("MAX-MIN Ant System", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.algorithm = World.ALGORITHM_MMAS;
+        World.ANT_NUMBER = 20;
+        World.seed = 3;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    function simulation() {
+        var world = new World(30 * 20, 20 * 20, 20);
+        world.getPosition(3, 3).changeType(Position.TYPE_FOOD);
+        return new Simulation(world);
+    }
+
+    it("starts every trail at tau_max of the estimated length", function() {
+        var world = simulation().world;
+        var colony = world.colonies[0];
+        var bounds = colony.pheromoneBounds(Position.P_TYPE_FOOD);
+        // No trip yet: L is estimated as xl + yl
+        assert.strictEqual(bounds.max, World.Q / (World.rho * (30 + 20)));
+        assert.strictEqual(bounds.min, bounds.max / World.mmasA);
+        assert.strictEqual(world.getPosition(10, 10).getP(colony.channel(Position.P_TYPE_FOOD)), bounds.max);
+    });
+
+    it("keeps every trail within tau_min and tau_max", function() {
+        var sim = simulation();
+        var colony = sim.world.colonies[0];
+        for (var tick = 0; tick < 150; tick++) {
+            sim.step();
+            var checkList = sim.world.checkList;
+            [Position.P_TYPE_FOOD, Position.P_TYPE_HOME].forEach(function(pType) {
+                var bounds = colony.pheromoneBounds(pType);
+                assert.ok(Math.abs(bounds.max / bounds.min - World.mmasA) < 1e-9);
+                for (var i = 0; i < checkList.length; i++) {
+                    if (checkList[i].type !== Position.TYPE_NORMAL) continue;
+                    var tau = checkList[i].getP(colony.channel(pType));
+                    assert.ok(tau >= bounds.min && tau <= bounds.max,
+                        "tick " + tick + ": tau " + tau + " outside [" + bounds.min + ", " + bounds.max + "]");
+                }
+            });
+        }
+        var best = colony.bestTrips[Position.P_TYPE_FOOD];
+        assert.ok(best, "no trip to the food");
+        // tau_max = Q / (rho * L_best)
+        assert.strictEqual(colony.pheromoneBounds(Position.P_TYPE_FOOD).max, World.Q / (World.rho * best.length));
+    });
+
+    it("lets only the best trip of the tick deposit", function() {
+        var world = simulation().world;
+        var colony = world.colonies[0];
+        var channel = colony.channel(Position.P_TYPE_FOOD);
+        var short = [world.getPosition(10, 10), world.getPosition(11, 10)];
+        var long = [world.getPosition(10, 12), world.getPosition(11, 12), world.getPosition(12, 12)];
+        short.concat(long).forEach(function(position) {
+            world.addCheckList(position);
+        });
+        colony.reportTrip(long, Position.P_TYPE_FOOD);
+        colony.reportTrip(short, Position.P_TYPE_FOOD);
+        var before = short[0].getP(channel);
+        colony.update();
+        // Evaporation on every trail, Q / L on the short trip's cells only,
+        // then the bounds of the new L_best
+        var bounds = colony.pheromoneBounds(Position.P_TYPE_FOOD);
+        var evaporated = before * (1 - World.rho);
+        assert.strictEqual(bounds.max, World.Q / (World.rho * world.pathLength(short)));
+        assert.strictEqual(short[0].getP(channel), evaporated + World.Q / world.pathLength(short));
+        assert.strictEqual(long[0].getP(channel), Math.max(evaporated, bounds.min));
+        assert.ok(long[0].getP(channel) < short[0].getP(channel));
+    });
+});
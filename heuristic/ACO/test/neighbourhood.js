@@ -0,0 +1,88 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+
+describe("Neighbourhoods", function() {
+    var saved;
+    var world;
+
+    function cells(positions) {
+        return positions.map(function(p) { return p.x + "," + p.y; }).sort();
+    }
+
+    function neighbors(x, y) {
+        return cells(world.getNeighbors(world.getPosition(x, y)));
+    }
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.seed = 1;
+        world = new World(10 * 20, 10 * 20, 20);  // nest at (5,5)
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    it("steps straight only with 4 neighbours", function() {
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        assert.deepEqual(neighbors(3, 3), ["2,3", "3,2", "3,4", "4,3"]);
+        assert.deepEqual(neighbors(0, 0), ["0,1", "1,0"]);
+    });
+
+    it("adds the diagonals with 8 neighbours", function() {
+        World.neighbourhood = World.NEIGHBOURHOOD_8;
+        assert.deepEqual(neighbors(3, 3), ["2,2", "2,3", "2,4", "3,2", "3,4", "4,2", "4,3", "4,4"]);
+        assert.deepEqual(neighbors(9, 9), ["8,8", "8,9", "9,8"]);
+    });
+
+    it("shifts odd hex rows half a cell right", function() {
+        World.neighbourhood = World.NEIGHBOURHOOD_HEX;
+        assert.deepEqual(neighbors(3, 4), ["2,3", "2,4", "2,5", "3,3", "3,5", "4,4"]);
+        assert.deepEqual(neighbors(3, 3), ["2,3", "3,2", "3,4", "4,2", "4,3", "4,4"]);
+    });
+
+    it("never steps onto barriers", function() {
+        World.neighbourhood = World.NEIGHBOURHOOD_8;
+        world.getPosition(4, 4).changeType(Position.TYPE_BARRIER);
+        world.getPosition(3, 2).changeType(Position.TYPE_BARRIER);
+        assert.deepEqual(neighbors(3, 3), ["2,2", "2,3", "2,4", "3,4", "4,2", "4,3"]);
+    });
+
+    it("keeps diagonal steps off barrier corners without cornerCutting", function() {
+        World.neighbourhood = World.NEIGHBOURHOOD_8;
+        // A diagonal wall: (4,3) and (3,4) leave a gap between (3,3) and (4,4)
+        world.getPosition(4, 3).changeType(Position.TYPE_BARRIER);
+        world.getPosition(3, 4).changeType(Position.TYPE_BARRIER);
+        World.cornerCutting = true;
+        assert.ok(neighbors(3, 3).indexOf("4,4") >= 0);
+        World.cornerCutting = false;
+        assert.deepEqual(neighbors(3, 3), ["2,2", "2,3", "3,2"]);
+        // One barrier next to the corner is enough to block it
+        world.getPosition(3, 4).changeType(Position.TYPE_NORMAL);
+        assert.deepEqual(neighbors(3, 3), ["2,2", "2,3", "2,4", "3,2", "3,4"]);
+    });
+
+    it("costs sqrt(2) per diagonal step on the square grid", function() {
+        World.neighbourhood = World.NEIGHBOURHOOD_8;
+        var a = world.getPosition(3, 3);
+        assert.strictEqual(world.cellDistance(a, world.getPosition(4, 3)), 1);
+        assert.strictEqual(world.cellDistance(a, world.getPosition(4, 4)), Math.SQRT2);
+        assert.strictEqual(world.cellDistance(a, world.getPosition(6, 7)), 5);
+        var path = [a, world.getPosition(4, 4), world.getPosition(5, 4)];
+        assert.strictEqual(world.pathLength(path), Math.SQRT2 + 1);
+    });
+
+    it("costs 1 per hex step", function() {
+        World.neighbourhood = World.NEIGHBOURHOOD_HEX;
+        [[3, 4], [3, 3]].forEach(function(cell) {
+            var a = world.getPosition(cell[0], cell[1]);
+            world.getNeighbors(a).forEach(function(b) {
+                assert.ok(Math.abs(world.cellDistance(a, b) - 1) < 1e-12, cell + " -> " + b.x + "," + b.y);
+            });
+        });
+        // Two rows down is sqrt(3) rows apart, straight below
+        assert.ok(Math.abs(world.cellDistance(world.getPosition(3, 3), world.getPosition(3, 5)) - Math.sqrt(3)) < 1e-12);
+    });
+});
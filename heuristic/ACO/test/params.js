@@ -0,0 +1,112 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Params = require("../entity/Params.js");
+var Colony = require("../entity/Colony.js");
+var Recorder = require("../io/Recorder.js");
+
+describe("Params", function() {
+    it("takes the World values as its defaults", function() {
+        var defaults = Params.defaults();
+        assert.strictEqual(defaults.alpha, World.alpha);
+        assert.strictEqual(defaults.algorithm, World.algorithm);
+        assert.strictEqual(defaults.foodAmount, Infinity);
+        assert.deepEqual(Params.validate(defaults), {});
+        // Presets leave the world size alone
+        Params.PRESETS.forEach(function(preset, i) {
+            var values = Params.preset(i);
+            assert.ok(!("columns" in values), preset.name);
+            for (var name in values) {
+                assert.strictEqual(Params.check(Params.BY_NAME[name], values[name]), null, preset.name + ": " + name);
+            }
+        });
+    });
+
+    it("lists the parameters that change a run and those a colony overrides", function() {
+        ["seed", "columns", "rows", "cellSize", "showPheromoneType"].forEach(function(name) {
+            assert.ok(Params.RUN.indexOf(name) < 0, name);
+        });
+        assert.strictEqual(Params.RUN.length, Params.SCHEMA.length - 5);
+        assert.deepEqual(Recorder.PARAMS, Params.RUN);
+        assert.deepEqual(Colony.PARAMS.slice().sort(),
+            ["ANT_NUMBER", "Q", "alpha", "beta", "mmasA", "q0", "rho", "tau0", "xi"]);
+        Colony.PARAMS.forEach(function(name) {
+            assert.ok(Params.RUN.indexOf(name) >= 0, name);
+        });
+    });
+
+    it("parses field text by type", function() {
+        var by = Params.BY_NAME;
+        assert.deepEqual(Params.parse(by.alpha, " 1.5 "), { value: 1.5 });
+        assert.deepEqual(Params.parse(by.alpha, "1e-1"), { value: 0.1 });
+        assert.deepEqual(Params.parse(by.alpha, "1.5x"), { error: "请输入数字" });
+        assert.deepEqual(Params.parse(by.ANT_NUMBER, "2.5"), { error: "请输入整数" });
+        assert.deepEqual(Params.parse(by.algorithm, "MMAS"), { value: World.ALGORITHM_MMAS });
+        assert.deepEqual(Params.parse(by.algorithm, "FOO"), { error: "无效选项" });
+        assert.deepEqual(Params.parse(by.cornerCutting, "false"), { value: false });
+        assert.deepEqual(Params.parse(by.cornerCutting, "no"), { error: "应为 true 或 false" });
+        assert.deepEqual(Params.parse(by.seed, ""), { value: null });
+        assert.deepEqual(Params.parse(by.foodAmount, ""), { value: Infinity });
+        assert.deepEqual(Params.parse(by.foodAmount, "Infinity"), { value: Infinity });
+        assert.deepEqual(Params.parse(by.alpha, ""), { error: "请输入数字" });
+    });
+
+    it("checks ranges, including exclusive bounds and rules across parameters", function() {
+        var by = Params.BY_NAME;
+        assert.strictEqual(Params.check(by.alpha, 0), null);
+        assert.strictEqual(Params.check(by.alpha, -0.1), "不能小于 0");
+        assert.strictEqual(Params.check(by.alpha, 11), "不能大于 10");
+        assert.strictEqual(Params.check(by.rho, 0), "必须大于 0");
+        assert.strictEqual(Params.check(by.rho, 1), "必须小于 1");
+        assert.strictEqual(Params.check(by.rho, NaN), "请输入数字");
+        assert.strictEqual(Params.check(by.seed, null), null);
+
+        var values = Params.defaults();
+        values.rho = 1;
+        values.maxPathLength = 3000;
+        var errors = Params.validate(values);
+        assert.deepEqual(Object.keys(errors).sort(), ["maxPathLengthMax", "rho"]);
+        assert.strictEqual(errors.maxPathLengthMax, "不能小于下限 3000");
+    });
+
+    it("carries a configuration through a URL hash", function() {
+        var values = Params.defaults();
+        values.alpha = 2.5;
+        values.algorithm = World.ALGORITHM_ACS;
+        values.seed = 42;
+        values.cornerCutting = false;
+        var decoded = Params.fromHash(Params.toHash(values, { map: "a b&c" }));
+        assert.deepEqual(decoded.values, values);
+        assert.deepEqual(decoded.errors, {});
+        assert.deepEqual(decoded.extra, { map: "a b&c" });
+    });
+
+    it("falls back to the defaults for broken hash values", function() {
+        var decoded = Params.fromHash("#alpha=abc&rho=2&beta=%E0%A4%A&maxPathLength=3000&Q=50");
+        assert.strictEqual(decoded.values.alpha, Params.DEFAULTS.alpha);
+        assert.strictEqual(decoded.values.rho, Params.DEFAULTS.rho);
+        assert.strictEqual(decoded.values.beta, Params.DEFAULTS.beta);
+        assert.strictEqual(decoded.values.Q, 50);
+        // The pair breaking maxPathLength <= maxPathLengthMax goes back together
+        assert.strictEqual(decoded.values.maxPathLength, Params.DEFAULTS.maxPathLength);
+        assert.strictEqual(decoded.values.maxPathLengthMax, Params.DEFAULTS.maxPathLengthMax);
+        assert.deepEqual(Object.keys(decoded.errors).sort(), ["alpha", "beta", "maxPathLengthMax", "rho"]);
+        assert.strictEqual(decoded.errors.beta, "链接编码无效");
+        assert.deepEqual(Params.validate(decoded.values), {});
+    });
+
+    it("sets a configuration on World and reads it back", function() {
+        var saved = Params.current();
+        try {
+            var values = Params.defaults();
+            values.beta = 4;
+            values.unknown = 1;
+            Params.apply(values);
+            assert.strictEqual(World.beta, 4);
+            assert.ok(!("unknown" in World));
+            delete values.unknown;
+            assert.deepEqual(Params.current(), values);
+        } finally {
+            Params.apply(saved);
+        }
+    });
+});
@@ -0,0 +1,90 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Random = require("../entity/Random.js");
+var Simulation = require("../entity/Simulation.js");
+var WorldMap = require("../io/WorldMap.js");
+
+// 30 x 20 cells, nest in the middle, food in a corner
+function run(ticks) {
+    var world = new World(30 * 20, 20 * 20, 20);
+    world.getPosition(3, 3).changeType(Position.TYPE_FOOD);
+    var simulation = new Simulation(world);
+    simulation.run(ticks);
+    return simulation;
+}
+
+function positions(simulation) {
+    return simulation.ants.map(function(ant) {
+        return ant.getPosition().x + "," + ant.getPosition().y;
+    });
+}
+
+describe("Random", function() {
+    it("draws the same sequence from the same seed", function() {
+        var a = new Random(42);
+        var b = new Random(42);
+        var c = new Random(43);
+        var sa = [], sb = [], sc = [];
+        for (var i = 0; i < 100; i++) {
+            sa.push(a.random());
+            sb.push(b.random());
+            sc.push(c.random());
+        }
+        assert.deepEqual(sb, sa);
+        assert.notDeepEqual(sc, sa);
+        assert.strictEqual(a.seed, 42);
+    });
+
+    it("stays within its ranges", function() {
+        var random = new Random(1);
+        var counts = [0, 0, 0, 0, 0];
+        for (var i = 0; i < 5000; i++) {
+            var x = random.random();
+            assert.ok(x >= 0 && x < 1);
+            counts[random.nextInt(5)]++;
+        }
+        counts.forEach(function(n) {
+            assert.ok(n > 850 && n < 1150, "count " + n);
+        });
+    });
+
+    it("picks a whole 32-bit seed when none is given", function() {
+        var seed = new Random(null).seed;
+        assert.strictEqual(seed, seed >>> 0);
+    });
+});
+
+describe("Seeded runs", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.ANT_NUMBER = 20;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    [World.ALGORITHM_AS, World.ALGORITHM_ACS, World.ALGORITHM_MMAS].forEach(function(algorithm) {
+        it("repeat with the same seed (" + algorithm + ")", function() {
+            World.algorithm = algorithm;
+            World.seed = 7;
+            var a = run(100);
+            var b = run(100);
+            assert.strictEqual(a.world.seed, 7);
+            assert.deepEqual(WorldMap.fromWorld(b.world, true), WorldMap.fromWorld(a.world, true));
+            assert.deepEqual(positions(b), positions(a));
+        });
+    });
+
+    it("differ with another seed", function() {
+        World.seed = 7;
+        var a = run(50);
+        World.seed = 8;
+        var b = run(50);
+        assert.notDeepEqual(WorldMap.fromWorld(b.world, true), WorldMap.fromWorld(a.world, true));
+    });
+});
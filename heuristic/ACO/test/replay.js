@@ -0,0 +1,105 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Simulation = require("../entity/Simulation.js");
+var WorldMap = require("../io/WorldMap.js");
+var Recorder = require("../io/Recorder.js");
+var Replay = require("../io/Replay.js");
+
+function state(world) {
+    return JSON.stringify(WorldMap.fromWorld(world, true));
+}
+
+describe("Replay", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.ANT_NUMBER = 10;
+        World.seed = 5;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    // A run with edits between ticks: cells, a colony, parameters
+    function record() {
+        var simulation = new Simulation(new World(20 * 20, 12 * 20, 20));
+        var world = simulation.world;
+        var recorder = new Recorder(simulation, 20);
+        world.getPosition(2, 2).changeType(Position.TYPE_FOOD);
+        simulation.run(20);
+        World.alpha = 2;
+        world.getPosition(8, 4).changeType(Position.TYPE_BARRIER);
+        var colony = world.addColony(16, 9, { params: { ANT_NUMBER: 4 } });
+        simulation.run(20);
+        colony.params.beta = 3;
+        world.moveHome(9, 9);
+        simulation.run(20);
+        return { simulation: simulation, text: recorder.toJSON() };
+    }
+
+    it("reproduces a recorded run", function() {
+        var original = record();
+        var replay = new Replay(Replay.parse(original.text));
+        assert.strictEqual(replay.tick(), 0);
+        assert.ok(!replay.ended());
+        replay.seek(60);
+        assert.ok(replay.ended());
+        assert.strictEqual(state(replay.world), state(original.simulation.world));
+        assert.strictEqual(replay.world.colonies[1].param("beta"), 3);
+        replay.restore();
+    });
+
+    it("seeks backwards to the same state", function() {
+        var original = record();
+        var replay = new Replay(Replay.parse(original.text));
+        replay.seek(30);
+        var at30 = state(replay.world);
+        replay.seek(50);
+        replay.seek(30);
+        assert.strictEqual(replay.tick(), 30);
+        assert.strictEqual(state(replay.world), at30);
+        var ticks = [];
+        replay.frames(10, 30, 10, function(tick, r) {
+            ticks.push(tick + ":" + r.tick());
+        });
+        assert.deepEqual(ticks, ["10:10", "20:20", "30:30"]);
+        replay.restore();
+    });
+
+    it("puts the user's parameters and seed back once", function() {
+        var original = record();
+        World.alpha = 0.5;
+        World.seed = null;
+        var replay = new Replay(Replay.parse(original.text));
+        assert.strictEqual(World.alpha, 1);
+        assert.strictEqual(World.seed, 5);
+        replay.seek(60);
+        assert.strictEqual(World.alpha, 2);
+        replay.restore();
+        assert.strictEqual(World.alpha, 0.5);
+        assert.strictEqual(World.seed, null);
+        World.alpha = 3;
+        replay.restore();
+        assert.strictEqual(World.alpha, 3);
+    });
+
+    it("rejects files that are not recordings", function() {
+        var recording = JSON.parse(record().text);
+        assert.throws(function() {
+            Replay.parse(JSON.stringify({ format: WorldMap.FORMAT }));
+        }, /Not a recording file/);
+        recording.version = Recorder.VERSION + 1;
+        assert.throws(function() {
+            Replay.parse(JSON.stringify(recording));
+        }, /Unsupported recording version/);
+        recording.version = Recorder.VERSION;
+        recording.layout.barriers.push([20, 0]);
+        assert.throws(function() {
+            Replay.parse(JSON.stringify(recording));
+        }, /Map barrier outside the grid/);
+    });
+});
@@ -0,0 +1,129 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Simulation = require("../entity/Simulation.js");
+var Schedule = require("../experiment/Schedule.js");
+
+describe("Schedule", function() {
+    var saved;
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.ANT_NUMBER = 5;
+        World.seed = 1;
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    it("reads a text script", function() {
+        var events = Schedule.parse([
+            "; a wall, then food",
+            "5  barrier 10 2 10 8   ; x = 10",
+            "",
+            "3  food 1 1 2 2 40",
+            "8  blockTrail 1",
+            "9  moveNest 4 4"
+        ].join("\n"), 20, 10);
+        assert.deepEqual(events, [
+            { tick: 5, action: "barrier", x: 10, y: 2, x2: 10, y2: 8 },
+            { tick: 3, action: "food", x: 1, y: 1, x2: 2, y2: 2, amount: 40 },
+            { tick: 8, action: "blockTrail", colony: 1 },
+            { tick: 9, action: "moveNest", x: 4, y: 4 }
+        ]);
+        assert.deepEqual(Schedule.parse(JSON.stringify(events), 20, 10), events);
+    });
+
+    it("rejects events it cannot apply", function() {
+        function check(text, error) {
+            assert.throws(function() { Schedule.parse(text, 20, 10); }, error);
+        }
+        check("x barrier 1 1", /Event without a valid tick at line 1: x/);
+        check("1 food 1 1\n5.5 barrier 1 1", /Event without a valid tick at line 2: 5.5/);
+        check("5 barrier 10abc 1", /Event barrier at line 1: x must be a number, not 10abc/);
+        check("5 food 1 1 1 1 4O", /amount must be a number, not 4O/);
+        check("5 moveNest 1 1 0 7", /Event moveNest at line 1 takes at most 3 arguments/);
+        check("5 flood 1 1", /Unknown event action at line 1: flood/);
+        check("5 barrier 1", /Event barrier at tick 5 needs x and y/);
+        check("5 barrier 1.5 2", /x must be a whole cell number, not 1.5/);
+        check("5 clear 0 0 20 3", /x2 = 20 is outside the 20x10 grid/);
+        check("5 moveNest 1 1 -1", /invalid colony -1/);
+        check("5 food 1 1 1 1 0", /invalid food amount 0/);
+        // Without a grid size only the bounds are left unchecked
+        assert.strictEqual(Schedule.parse("5 clear 0 0 20 3").length, 1);
+    });
+
+    it("checks single events", function() {
+        assert.doesNotThrow(function() { Schedule.check({ tick: 0, action: "blockTrail" }, 20, 10); });
+        assert.throws(function() { Schedule.check({ tick: 2.5, action: "blockTrail" }); },
+            /Event without a valid tick/);
+        assert.throws(function() { Schedule.check({ tick: "5", action: "blockTrail" }); },
+            /Event without a valid tick/);
+        assert.throws(function() { Schedule.check({ tick: 5, action: "barrier", x: 3, y: 10 }, 20, 10); },
+            /y = 10 is outside the 20x10 grid/);
+    });
+
+    it("applies each event once its tick has run", function() {
+        var simulation = new Simulation(new World(20 * 20, 10 * 20, 20));
+        var world = simulation.world;
+        var applied = [];
+        world.on("scheduled", function(event) {
+            applied.push(event.tick + " " + event.action);
+        });
+        var schedule = new Schedule(simulation, Schedule.parse([
+            "4 clear 3 3 3 4",
+            "0 barrier 3 2 3 4",
+            "2 food 15 1 15 1 7",
+            "4 moveNest 5 8"
+        ].join("\n"), 20, 10));
+
+        assert.deepEqual(applied, ["0 barrier"]);
+        assert.strictEqual(world.getPosition(3, 3).type, Position.TYPE_BARRIER);
+        simulation.run(2);
+        assert.deepEqual(applied, ["0 barrier", "2 food"]);
+        assert.strictEqual(world.getPosition(15, 1).type, Position.TYPE_FOOD);
+        assert.strictEqual(world.getPosition(15, 1).food, 7);
+        assert.strictEqual(schedule.pending().length, 2);
+        simulation.run(2);
+        assert.strictEqual(schedule.pending().length, 0);
+        assert.strictEqual(world.getPosition(3, 2).type, Position.TYPE_BARRIER);
+        assert.strictEqual(world.getPosition(3, 3).type, Position.TYPE_NORMAL);
+        assert.strictEqual(world.homePosition, world.getPosition(5, 8));
+    });
+
+    it("keeps nests when a rectangle is cleared or walled", function() {
+        var simulation = new Simulation(new World(20 * 20, 10 * 20, 20));
+        var home = simulation.world.homePosition;
+        new Schedule(simulation, [{ tick: 0, action: "barrier", x: 0, y: 0, x2: 19, y2: 9 }]);
+        assert.strictEqual(home.type, Position.TYPE_HOME);
+        assert.strictEqual(simulation.world.getPosition(0, 0).type, Position.TYPE_BARRIER);
+    });
+
+    it("blocks the middle of the dominant trail", function() {
+        this.timeout(20000);
+        var simulation = new Simulation(new World(20 * 20, 10 * 20, 20));
+        var world = simulation.world;
+        world.getPosition(17, 2).changeType(Position.TYPE_FOOD);
+        var barriers = 0;
+        world.on("scheduled", function() {
+            for (var x = 0; x < world.xl; x++) {
+                for (var y = 0; y < world.yl; y++) {
+                    if (world.map[x][y].type === Position.TYPE_BARRIER) barriers++;
+                }
+            }
+        });
+        World.ANT_NUMBER = 20;
+        new Schedule(simulation, [{ tick: 300, action: "blockTrail" }]);
+        simulation.run(300);
+        assert.ok(barriers > 0, "no barrier on the trail");
+    });
+
+    it("rejects events outside its world", function() {
+        var simulation = new Simulation(new World(20 * 20, 10 * 20, 20));
+        assert.throws(function() {
+            new Schedule(simulation, [{ tick: 1, action: "food", x: 20, y: 0 }]);
+        }, /outside the 20x10 grid/);
+    });
+});
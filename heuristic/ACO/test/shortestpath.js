@@ -0,0 +1,111 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Simulation = require("../entity/Simulation.js");
+var ShortestPath = require("../entity/ShortestPath.js");
+var Metrics = require("../entity/Metrics.js");
+var WorldMap = require("../io/WorldMap.js");
+
+// Nest at (4,2), food at (0,2) behind a second source at (2,2), a wall
+// above and a second nest below the way round
+var MAP = [
+    ".......",
+    ".###...",
+    "F.F.H..",
+    "..H...."
+].join("\n");
+
+describe("ShortestPath", function() {
+    var saved;
+    var world;
+    var colony;
+    var shortest;
+
+    function cell(x, y) {
+        return world.getPosition(x, y);
+    }
+
+    function cells(path) {
+        return path.map(function(p) { return p.x + "," + p.y; });
+    }
+
+    beforeEach(function() {
+        saved = Params.current();
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        World.seed = 1;
+        world = WorldMap.createWorld(WorldMap.parseAscii(MAP), 20);
+        colony = world.colonies[0];
+        shortest = new ShortestPath(world);
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    it("goes round food on the way out and over it on the way back", function() {
+        // A searching ant would stop on (2,2): round it, over the other nest
+        assert.strictEqual(shortest.length(colony, cell(0, 2)), 6);
+        var out = cells(shortest.path(colony, cell(0, 2)));
+        assert.strictEqual(out.length, 7);
+        assert.ok(out.indexOf("2,3") > 0 && out.indexOf("2,2") < 0, out.join(" "));
+        // Carrying food it walks straight over the other source
+        assert.strictEqual(shortest.length(colony, cell(0, 2), true), 4);
+        assert.deepEqual(cells(shortest.path(colony, cell(0, 2), true)),
+            ["4,2", "3,2", "2,2", "1,2", "0,2"]);
+        assert.strictEqual(shortest.length(colony, cell(2, 2)), 2);
+    });
+
+    it("never crosses barriers", function() {
+        assert.strictEqual(shortest.length(colony, cell(2, 1)), Infinity);
+        assert.strictEqual(shortest.path(colony, cell(2, 1)), null);
+        // Over the top of the wall once the way below is closed
+        cell(2, 3).changeType(Position.TYPE_BARRIER);
+        assert.strictEqual(shortest.length(colony, cell(0, 2)), 8);
+        cells(shortest.path(colony, cell(0, 2))).forEach(function(key) {
+            assert.ok(["1,1", "2,1", "3,1", "2,3"].indexOf(key) < 0, key);
+        });
+        // The way back is unchanged
+        assert.strictEqual(shortest.length(colony, cell(0, 2), true), 4);
+    });
+
+    it("rebuilds the way out when food is used up or the nest moves", function() {
+        assert.strictEqual(shortest.length(colony, cell(0, 2)), 6);
+        cell(2, 2).changeType(Position.TYPE_NORMAL);
+        assert.strictEqual(shortest.length(colony, cell(0, 2)), 4);
+        world.moveHome(6, 2, colony);
+        assert.strictEqual(shortest.length(colony, cell(0, 2)), 6);
+        assert.strictEqual(shortest.length(colony, cell(4, 2)), 2);
+    });
+
+    it("lists the shortest path to each food cell", function() {
+        var paths = shortest.foodPaths(colony).map(function(p) {
+            return [p.food.x, p.food.y, p.length, p.cells.length];
+        });
+        assert.deepEqual(paths, [[0, 2, 6, 7], [2, 2, 2, 3]]);
+    });
+
+    it("grades trips against the optimum of their direction", function() {
+        var out = [cell(4, 2), cell(4, 3), cell(3, 3), cell(2, 3), cell(1, 3), cell(0, 3), cell(0, 2)];
+        assert.strictEqual(shortest.ratio(out, Position.P_TYPE_FOOD, colony), 1);
+        // The same cells are a detour on the way back
+        var back = out.slice().reverse();
+        assert.strictEqual(shortest.ratio(back, Position.P_TYPE_HOME, colony), 6 / 4);
+        // No optimum to a cell the nest cannot reach
+        cell(0, 1).changeType(Position.TYPE_BARRIER);
+        cell(1, 2).changeType(Position.TYPE_BARRIER);
+        cell(0, 3).changeType(Position.TYPE_BARRIER);
+        assert.strictEqual(shortest.ratio([cell(4, 2), cell(0, 2)], Position.P_TYPE_FOOD, colony), null);
+    });
+
+    it("gives Metrics the ratio of each trip", function() {
+        var simulation = new Simulation(world);
+        var metrics = new Metrics(simulation);
+        var out = [cell(4, 2), cell(4, 3), cell(3, 3), cell(2, 3), cell(1, 3), cell(0, 3), cell(0, 2)];
+        world.emit("trip", out, Position.P_TYPE_FOOD, colony);
+        world.emit("trip", out.slice().reverse(), Position.P_TYPE_HOME, colony);
+        var record = metrics.sample();
+        assert.strictEqual(record.meanTripRatio, (1 + 6 / 4) / 2);
+        assert.strictEqual(record.optimalityGap, (1 + 6 / 4) / 2 - 1);
+    });
+});
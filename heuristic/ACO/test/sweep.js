@@ -0,0 +1,143 @@
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var childProcess = require("child_process");
+var World = require("../entity/World.js");
+var WorldMap = require("../io/WorldMap.js");
+var Sweep = require("../experiment/Sweep.js");
+
+var SWEEP_BIN = path.join(__dirname, "..", "bin", "sweep.js");
+
+// 12 x 7 cells: nest left, food right
+var MAP = [
+    "............",
+    "............",
+    "............",
+    "..H......F..",
+    "............",
+    "............",
+    "............"
+].join("\n");
+
+function spec(changes) {
+    var data = { ticks: 50, seeds: 2, params: { alpha: [0, 1] }, fixed: { ANT_NUMBER: 10 } };
+    for (var name in changes) {
+        data[name] = changes[name];
+    }
+    return JSON.stringify(data);
+}
+
+describe("Sweep", function() {
+    it("reads a spec", function() {
+        var parsed = Sweep.parseSpec(spec({ events: "20 barrier 5 0 5 2" }));
+        assert.deepEqual(parsed.params, { alpha: [0, 1] });
+        assert.deepEqual(parsed.events, [{ tick: 20, action: "barrier", x: 5, y: 0, x2: 5, y2: 2 }]);
+        assert.deepEqual(Sweep.seeds(parsed), [1, 2]);
+        assert.deepEqual(Sweep.seeds({ seeds: [7, 0] }), [7, 0]);
+        assert.deepEqual(Sweep.seeds({}), [1]);
+    });
+
+    it("rejects specs it cannot run", function() {
+        function check(changes, error) {
+            assert.throws(function() { Sweep.parseSpec(spec(changes)); }, error);
+        }
+        check({ params: { ALGORITHM_AS: ["x"] } }, /Unknown sweep parameter: ALGORITHM_AS/);
+        check({ params: { HEX_ROW: [1] } }, /Unknown sweep parameter: HEX_ROW/);
+        check({ params: { seed: [1, 2] } }, /Unknown sweep parameter: seed/);
+        check({ params: { cellSize: [10, 20] } }, /Unknown sweep parameter: cellSize/);
+        check({ fixed: { showPheromoneType: 1002 } }, /Unknown sweep parameter: showPheromoneType/);
+        check({ fixed: { constructor: 1 } }, /Unknown sweep parameter: constructor/);
+        check({ params: { alpha: [] } }, /alpha needs a list of values/);
+        check({ params: { rho: [0.5, 1] } }, /Invalid value 1 for rho/);
+        check({ fixed: { algorithm: "FOO" } }, /Invalid value FOO for algorithm/);
+        check({ ticks: 0 }, /positive whole number of ticks/);
+        check({ ticks: 2.5 }, /positive whole number of ticks/);
+        check({ seeds: -2 }, /Sweep seeds must be a list or a whole number >= 1/);
+        check({ seeds: 1.5 }, /Sweep seeds must be a list or a whole number >= 1/);
+        check({ seeds: [] }, /Sweep seeds must be whole numbers >= 0/);
+        check({ seeds: [1, -1] }, /Sweep seeds must be whole numbers >= 0/);
+        check({ events: "5 flood 1 1" }, /Unknown event action/);
+    });
+
+    it("runs every combination for every seed and leaves World alone", function() {
+        var alpha = World.alpha;
+        var ants = World.ANT_NUMBER;
+        var calls = [];
+        var rows = Sweep.run(WorldMap.parse(MAP), Sweep.parseSpec(spec()), function(row, index, total) {
+            calls.push(index + "/" + total);
+        });
+        assert.deepEqual(calls, ["1/4", "2/4", "3/4", "4/4"]);
+        assert.deepEqual(rows.map(function(row) { return row.alpha + ":" + row.seed; }), ["0:1", "0:2", "1:1", "1:2"]);
+        rows.forEach(function(row) {
+            Sweep.OUTCOMES.forEach(function(outcome) {
+                assert.ok(outcome in row, outcome);
+            });
+            assert.strictEqual(row.deliveriesPer1000, row.totalDeliveries * 1000 / 50);
+        });
+        assert.strictEqual(World.alpha, alpha);
+        assert.strictEqual(World.ANT_NUMBER, ants);
+        // Same seed, same values: the same row
+        var again = Sweep.run(WorldMap.parse(MAP), Sweep.parseSpec(spec({ seeds: [2], params: { alpha: [1] } })));
+        assert.deepEqual(again[0], rows[3]);
+    });
+
+    it("rejects events outside the map before running", function() {
+        assert.throws(function() {
+            Sweep.run(WorldMap.parse(MAP), Sweep.parseSpec(spec({ events: "5 barrier 20 1" })));
+        }, /outside the 12x7 grid/);
+    });
+
+    it("writes CSV lines", function() {
+        var columns = Sweep.columns(Sweep.parseSpec(spec()));
+        assert.deepEqual(columns, ["alpha", "seed"].concat(Sweep.OUTCOMES));
+        var row = { alpha: 0.5, seed: 3, firstDelivery: null, deliveriesPer1000: 12.34567, meanTripLength: 10,
+            trailLength: 8.5, trailRatio: 1.0625, optimalityGap: 0.0001, totalDeliveries: 25 };
+        assert.strictEqual(Sweep.csvLine(row, columns), "0.5,3,,12.346,10,8.500,1.063,0.000,25");
+    });
+
+    it("combines parameter lists with the first varying slowest", function() {
+        assert.deepEqual(Sweep.combinations({ a: [1, 2], b: ["x", "y"] }),
+            [{ a: 1, b: "x" }, { a: 1, b: "y" }, { a: 2, b: "x" }, { a: 2, b: "y" }]);
+        assert.deepEqual(Sweep.combinations({}), [{}]);
+    });
+});
+
+describe("bin/sweep.js", function() {
+    var dir = os.tmpdir();
+    var mapFile = path.join(dir, "aco-sweep-map.txt");
+    var specFile = path.join(dir, "aco-sweep.json");
+
+    before(function() {
+        fs.writeFileSync(mapFile, MAP);
+        fs.writeFileSync(specFile, spec({ seeds: 1, params: { alpha: [1] } }));
+    });
+
+    after(function() {
+        fs.unlinkSync(mapFile);
+        fs.unlinkSync(specFile);
+    });
+
+    function run(args) {
+        return childProcess.spawnSync(process.execPath, [SWEEP_BIN, mapFile, specFile].concat(args), { encoding: "utf8" });
+    }
+
+    it("writes a header and one row per run", function() {
+        var result = run(["--ticks", "20"]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        var lines = result.stdout.trim().split("\n");
+        assert.strictEqual(lines[0], "alpha,seed," + Sweep.OUTCOMES.join(","));
+        assert.strictEqual(lines.length, 2);
+        assert.ok(!/NaN/.test(result.stdout));
+    });
+
+    it("rejects a tick count that is not a positive whole number", function() {
+        ["abc", "0", "2.5", ""].forEach(function(value) {
+            var result = run(["--ticks", value]);
+            assert.strictEqual(result.status, 1, value);
+            assert.ok(/--ticks must be an integer/.test(result.stderr), result.stderr);
+            assert.ok(/Usage: node bin\/sweep.js/.test(result.stderr), result.stderr);
+            assert.strictEqual(result.stdout, "");
+        });
+    });
+});
@@ -0,0 +1,118 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Params = require("../entity/Params.js");
+var Trail = require("../entity/Trail.js");
+
+describe("Trail", function() {
+    var saved;
+    var world;
+    var colony;
+
+    function lay(cells, pType, p) {
+        cells.forEach(function(cell) {
+            world.getPosition(cell[0], cell[1]).pheromone[colony.channel(pType)] = p;
+        });
+    }
+
+    function cells(path) {
+        return path ? path.map(function(p) { return p.x + "," + p.y; }).join(" ") : null;
+    }
+
+    // 10 x 10 cells, nest at (5,5), food at (1,5)
+    beforeEach(function() {
+        saved = Params.current();
+        World.neighbourhood = World.NEIGHBOURHOOD_4;
+        World.seed = 1;
+        world = new World(10 * 20, 10 * 20, 20);
+        colony = world.colonies[0];
+        world.getPosition(1, 5).changeType(Position.TYPE_FOOD);
+    });
+
+    afterEach(function() {
+        Params.apply(saved);
+    });
+
+    it("follows the strongest food pheromone from the nest to the food", function() {
+        assert.strictEqual(Trail.extract(world), null);
+        lay([[4, 5], [3, 5], [2, 5]], Position.P_TYPE_FOOD, 1);
+        lay([[5, 4], [5, 6]], Position.P_TYPE_FOOD, 0.5);
+        assert.strictEqual(cells(Trail.extract(world, colony)), "5,5 4,5 3,5 2,5 1,5");
+        // A stronger branch is taken even where it leads nowhere
+        lay([[3, 4]], Position.P_TYPE_FOOD, 2);
+        assert.strictEqual(Trail.extract(world, colony), null);
+    });
+
+    it("reads the way back along the home pheromone", function() {
+        lay([[4, 5], [3, 5], [2, 5]], Position.P_TYPE_FOOD, 1);
+        var route = Trail.route(world, colony);
+        assert.strictEqual(route.length, 4);
+        assert.strictEqual(route.back, null);
+        assert.strictEqual(route.backLength, null);
+
+        lay([[2, 5], [2, 4], [3, 4], [4, 4], [5, 4]], Position.P_TYPE_HOME, 1);
+        route = Trail.route(world, colony);
+        assert.strictEqual(cells(route.back), "1,5 2,5 2,4 3,4 4,4 5,4 5,5");
+        assert.strictEqual(route.backLength, 6);
+    });
+
+    it("never walks onto a cell twice", function() {
+        // Round the nest, then past the stronger cell it came from
+        lay([[4, 5]], Position.P_TYPE_FOOD, 1);
+        lay([[4, 4]], Position.P_TYPE_FOOD, 0.9);
+        lay([[5, 4]], Position.P_TYPE_FOOD, 0.8);
+        lay([[6, 4]], Position.P_TYPE_FOOD, 0.1);
+        world.getPosition(7, 4).changeType(Position.TYPE_FOOD);
+        assert.strictEqual(cells(Trail.extract(world, colony)), "5,5 4,5 4,4 5,4 6,4 7,4");
+        // With nowhere new to go the walk fails
+        lay([[6, 4]], Position.P_TYPE_FOOD, 0);
+        assert.strictEqual(Trail.extract(world, colony), null);
+    });
+
+    it("gives up on walks longer than World.maxPathLengthMax", function() {
+        lay([[4, 5], [3, 5], [2, 5]], Position.P_TYPE_FOOD, 1);
+        World.maxPathLengthMax = 4;
+        assert.strictEqual(cells(Trail.extract(world, colony)), "5,5 4,5 3,5 2,5 1,5");
+        World.maxPathLengthMax = 3;
+        assert.strictEqual(Trail.extract(world, colony), null);
+    });
+
+    it("emits a trail event only when the route changes", function() {
+        var tracker = new Trail(world);
+        var events = [];
+        world.on("trail", function(c, trail) {
+            events.push(c.index + ": " + (trail ? cells(trail.cells) : "none"));
+        });
+
+        tracker.update();
+        assert.deepEqual(events, []);
+
+        lay([[4, 5], [3, 5], [2, 5]], Position.P_TYPE_FOOD, 1);
+        world.emit("tick");
+        world.emit("tick");
+        assert.deepEqual(events, ["0: 5,5 4,5 3,5 2,5 1,5"]);
+        assert.strictEqual(tracker.trails[colony.index].length, 4);
+
+        // A new way back is a change as well
+        lay([[2, 5], [3, 5], [4, 5]], Position.P_TYPE_HOME, 1);
+        tracker.update();
+        assert.strictEqual(events.length, 2);
+        assert.strictEqual(cells(tracker.trails[colony.index].back), "1,5 2,5 3,5 4,5 5,5");
+
+        lay([[3, 5]], Position.P_TYPE_FOOD, 0);
+        tracker.update();
+        assert.deepEqual(events.slice(2), ["0: none"]);
+        assert.strictEqual(tracker.trails[colony.index], null);
+    });
+
+    it("forgets the trails of removed colonies", function() {
+        var tracker = new Trail(world);
+        var other = world.addColony(8, 5);
+        world.getPosition(8, 4).pheromone[other.channel(Position.P_TYPE_FOOD)] = 1;
+        world.getPosition(8, 3).changeType(Position.TYPE_FOOD);
+        tracker.update();
+        assert.strictEqual(cells(tracker.trails[other.index].cells), "8,5 8,4 8,3");
+        world.removeColony(other);
+        assert.ok(!(other.index in tracker.trails));
+    });
+});
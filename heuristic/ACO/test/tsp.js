@@ -0,0 +1,101 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var childProcess = require("child_process");
+var World = require("../entity/World.js");
+var Tsplib = require("../tsp/Tsplib.js");
+var TspColony = require("../tsp/TspColony.js");
+
+var BERLIN52 = path.join(__dirname, "data", "berlin52.tsp");
+var TSP_BIN = path.join(__dirname, "..", "bin", "tsp.js");
+
+// berlin52.opt.tour from TSPLIB 95
+var BERLIN52_TOUR = [1, 49, 32, 45, 19, 41, 8, 9, 10, 43, 33, 51, 11, 52, 14, 13, 47, 26, 27, 28,
+    12, 25, 4, 6, 15, 5, 24, 48, 38, 37, 40, 39, 36, 35, 34, 44, 46, 16, 29, 50, 20, 23, 30, 2, 7,
+    42, 21, 17, 3, 18, 31, 22];
+
+describe("TspColony", function() {
+    var instance = Tsplib.parse(fs.readFileSync(BERLIN52, "utf8"));
+
+    it("measures the published optimal tour of berlin52 as its known optimum", function() {
+        var colony = new TspColony(instance, { seed: 1 });
+        var tour = BERLIN52_TOUR.map(function(id) { return id - 1; });
+        assert.strictEqual(colony.tourLength(tour), Tsplib.optimum(instance));
+        assert.strictEqual(Tsplib.optimum(instance), 7542);
+    });
+
+    it("comes within 5% of the berlin52 optimum in 100 iterations", function() {
+        this.timeout(20000);
+        var colony = new TspColony(instance, { seed: 1 });
+        colony.run(100);
+        assert.strictEqual(colony.bestTour.length, 52);
+        assert.strictEqual(colony.tourLength(colony.bestTour), colony.bestLength);
+        assert.ok(colony.bestLength <= 7542 * 1.05, "best " + colony.bestLength);
+    });
+
+    it("takes its parameters from the options and leaves World alone", function() {
+        var alpha = World.alpha;
+        var ants = World.ANT_NUMBER;
+        var colony = new TspColony(instance, { alpha: 2, Q: 10, ants: 3, seed: 5 });
+        assert.strictEqual(colony.params.alpha, 2);
+        assert.strictEqual(colony.params.beta, TspColony.DEFAULTS.beta);
+        assert.strictEqual(colony.params.Q, 10);
+        assert.strictEqual(colony.seed, 5);
+        colony.iterate();
+        assert.strictEqual(World.alpha, alpha);
+        assert.strictEqual(World.ANT_NUMBER, ants);
+        assert.strictEqual(new TspColony(instance).params.ants, 52);
+    });
+
+    it("repeats a run with the same seed", function() {
+        var a = new TspColony(instance, { seed: 3, ants: 10 });
+        var b = new TspColony(instance, { seed: 3, ants: 10 });
+        a.run(5);
+        b.run(5);
+        assert.deepEqual(a.history, b.history);
+        assert.deepEqual(a.bestTour, b.bestTour);
+    });
+
+    it("rejects options outside their ranges", function() {
+        [
+            [{ rho: 5 }, /rho must be a number in \[0, 1\]: 5/],
+            [{ alpha: -1 }, /alpha must be a number/],
+            [{ beta: NaN }, /beta must be a number/],
+            [{ Q: "100" }, /Q must be a number/],
+            [{ ants: -3 }, /ants must be an integer in \[1, Infinity\]: -3/],
+            [{ ants: 2.5 }, /ants must be an integer/],
+            [{ seed: -1 }, /seed must be an integer/]
+        ].forEach(function(bad) {
+            assert.throws(function() { new TspColony(instance, bad[0]); }, bad[1]);
+        });
+        assert.strictEqual(new TspColony(instance, { rho: 1, alpha: 0, ants: 1, seed: null }).params.rho, 1);
+    });
+});
+
+describe("bin/tsp.js", function() {
+    function run(args) {
+        return childProcess.spawnSync(process.execPath, [TSP_BIN, BERLIN52].concat(args), { encoding: "utf8" });
+    }
+
+    it("runs zero iterations without a tour", function() {
+        var result = run(["--iterations", "0"]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(/best tour: none/.test(result.stdout));
+    });
+
+    it("rejects an iteration count that is not a whole number", function() {
+        ["abc", "-1", "2.5"].forEach(function(value) {
+            var result = run(["--iterations", value]);
+            assert.strictEqual(result.status, 1);
+            assert.ok(/--iterations/.test(result.stderr), result.stderr);
+        });
+    });
+
+    it("rejects colony options outside the ranges of TspColony", function() {
+        [["--rho", "5"], ["--alpha", "-1"], ["--ants", "0"], ["--seed", "x"]].forEach(function(option) {
+            var result = run(option.concat(["--iterations", "0"]));
+            assert.strictEqual(result.status, 1, option.join(" "));
+            assert.ok(result.stderr.indexOf(option[0] + " must be") === 0, result.stderr);
+        });
+    });
+});
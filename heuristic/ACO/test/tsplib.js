@@ -0,0 +1,69 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var Tsplib = require("../tsp/Tsplib.js");
+
+var BERLIN52 = path.join(__dirname, "data", "berlin52.tsp");
+
+function instance(type, coords) {
+    return [
+        "NAME : test",
+        "TYPE : TSP",
+        "DIMENSION : " + coords.length,
+        "EDGE_WEIGHT_TYPE : " + type,
+        "NODE_COORD_SECTION"
+    ].concat(coords.map(function(c, i) { return (i + 1) + " " + c[0] + " " + c[1]; }), ["EOF", ""]).join("\n");
+}
+
+describe("Tsplib", function() {
+    it("reads the header and the cities of berlin52", function() {
+        var berlin = Tsplib.parse(fs.readFileSync(BERLIN52, "utf8"));
+        assert.strictEqual(berlin.name, "berlin52");
+        assert.strictEqual(berlin.comment, "52 locations in Berlin (Groetschel)");
+        assert.strictEqual(berlin.edgeWeightType, "EUC_2D");
+        assert.strictEqual(berlin.dimension, 52);
+        assert.strictEqual(berlin.cities.length, 52);
+        assert.deepEqual(berlin.cities[0], { id: 1, x: 565, y: 575 });
+        assert.deepEqual(berlin.cities[51], { id: 52, x: 1740, y: 245 });
+        assert.strictEqual(Tsplib.optimum(berlin), 7542);
+    });
+
+    it("reads Windows line ends, a trailing section and no spaces around the colon", function() {
+        var text = "NAME:tiny\r\nTYPE:TSP\r\nEDGE_WEIGHT_TYPE:euc_2d\r\nNODE_COORD_SECTION\r\n" +
+            "1 0 0\r\n2 3 4\r\n3 0 4\r\nDISPLAY_DATA_SECTION\r\n1 0 0\r\nEOF\r\n";
+        var tiny = Tsplib.parse(text);
+        assert.strictEqual(tiny.name, "tiny");
+        assert.strictEqual(tiny.edgeWeightType, "EUC_2D");
+        assert.strictEqual(tiny.dimension, 3);
+        assert.deepEqual(Tsplib.distanceMatrix(tiny), [[0, 5, 4], [5, 0, 3], [4, 3, 0]]);
+        assert.strictEqual(Tsplib.optimum(tiny), null);
+    });
+
+    it("rounds distances the TSPLIB way", function() {
+        // EUC_2D nint, CEIL_2D up, ATT pseudo-Euclidean, GEO on the earth in km
+        assert.strictEqual(Tsplib.distanceMatrix(Tsplib.parse(instance("EUC_2D", [[0, 0], [1, 1]])))[0][1], 1);
+        assert.strictEqual(Tsplib.distanceMatrix(Tsplib.parse(instance("EUC_2D", [[0, 0], [1.5, 2]])))[0][1], 3);
+        assert.strictEqual(Tsplib.distanceMatrix(Tsplib.parse(instance("CEIL_2D", [[0, 0], [1, 1]])))[0][1], 2);
+        // sqrt((4501^2 + 1443^2) / 10) = 1494.70.. -> 1495
+        assert.strictEqual(Tsplib.distanceMatrix(Tsplib.parse(instance("ATT", [[6734, 1453], [2233, 10]])))[0][1],
+            1495);
+        // One degree of latitude: 6378.388 * pi / 180 = 111.3.. -> 112
+        var geo = Tsplib.distanceMatrix(Tsplib.parse(instance("GEO", [[0, 0], [1, 0]])));
+        assert.deepEqual(geo, [[0, 112], [112, 0]]);
+    });
+
+    it("rejects files it cannot read", function() {
+        assert.throws(function() {
+            Tsplib.parse("NAME: x\nTYPE: ATSP\nNODE_COORD_SECTION\n1 0 0\n");
+        }, /Unsupported TSPLIB type: ATSP/);
+        assert.throws(function() {
+            Tsplib.parse(instance("EXPLICIT", [[0, 0], [1, 1]]));
+        }, /Unsupported EDGE_WEIGHT_TYPE: EXPLICIT/);
+        assert.throws(function() {
+            Tsplib.parse("NAME: x\nTYPE: TSP\nDIMENSION: 2\n");
+        }, /No NODE_COORD_SECTION/);
+        assert.throws(function() {
+            Tsplib.parse(instance("EUC_2D", [[0, 0], [1, 1]]).replace("DIMENSION : 2", "DIMENSION : 3"));
+        }, /DIMENSION is 3 but 2 cities were read/);
+    });
+});
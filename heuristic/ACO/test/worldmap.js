@@ -0,0 +1,87 @@
+var assert = require("assert");
+var World = require("../entity/World.js");
+var Position = require("../entity/Position.js");
+var Colony = require("../entity/Colony.js");
+var WorldMap = require("../io/WorldMap.js");
+
+// 12 x 8 cells: a wall, food with and without an amount, a second nest
+function world() {
+    var w = new World(12 * 20, 8 * 20, 20);
+    w.moveHome(2, 4);
+    w.addColony(9, 6, { params: { alpha: 2, ANT_NUMBER: 5 }, foreignTrails: Colony.FOREIGN_REPEL, repulsion: 3 });
+    for (var y = 0; y < 6; y++) {
+        w.getPosition(5, y).changeType(Position.TYPE_BARRIER);
+    }
+    w.getPosition(10, 6).changeType(Position.TYPE_FOOD);
+    w.getPosition(11, 7).changeType(Position.TYPE_FOOD, 25);
+    var p = w.getPosition(3, 4);
+    p.pheromone[w.colonies[0].channel(Position.P_TYPE_FOOD)] = 1.5;
+    p.pheromone[w.colonies[1].channel(Position.P_TYPE_HOME)] = 0.25;
+    w.addCheckList(p);
+    return w;
+}
+
+describe("WorldMap", function() {
+    it("saves and loads a world as JSON", function() {
+        var layout = WorldMap.fromWorld(world(), true);
+        var loaded = WorldMap.parse(WorldMap.toJSON(layout));
+        assert.deepEqual(loaded, layout);
+
+        var copy = WorldMap.createWorld(loaded, 20);
+        assert.deepEqual(WorldMap.fromWorld(copy, true), layout);
+        assert.strictEqual(copy.getPosition(11, 7).food, 25);
+        assert.strictEqual(copy.getPosition(10, 6).food, Infinity);
+        assert.strictEqual(copy.colonies[1].param("alpha"), 2);
+        assert.strictEqual(copy.colonies[1].foreignTrails, Colony.FOREIGN_REPEL);
+        assert.strictEqual(copy.getPosition(3, 4).getP(copy.colonies[1].channel(Position.P_TYPE_HOME)), 0.25);
+    });
+
+    it("saves and loads a world as ASCII", function() {
+        var layout = WorldMap.fromWorld(world(), false);
+        var text = WorldMap.toAscii(layout);
+        assert.strictEqual(text.split("\n")[6], ".........HF.");
+        var loaded = WorldMap.parse(text);
+        assert.deepEqual(loaded.barriers, layout.barriers);
+        assert.deepEqual(loaded.food, [[10, 6], [11, 7]]);  // ASCII keeps no amounts
+        assert.deepEqual(loaded.home, [2, 4]);
+        assert.deepEqual(loaded.nests, [{ home: [9, 6] }]);
+        assert.strictEqual(WorldMap.toAscii(loaded), text);
+    });
+
+    it("applies a layout onto a world of the same size only", function() {
+        var layout = WorldMap.fromWorld(world(), false);
+        var target = new World(12 * 20, 8 * 20, 20);
+        target.getPosition(0, 0).changeType(Position.TYPE_BARRIER);
+        WorldMap.apply(target, layout);
+        assert.deepEqual(WorldMap.fromWorld(target, false), layout);
+        assert.throws(function() {
+            WorldMap.apply(new World(10 * 20, 8 * 20, 20), layout);
+        }, /Map is 12x8 but the world is 10x8/);
+    });
+
+    it("rejects layouts it cannot apply", function() {
+        function check(text, error) {
+            assert.throws(function() { WorldMap.parse(text); }, error);
+        }
+        function json(changes) {
+            var data = { format: WorldMap.FORMAT, version: 1, width: 4, height: 3, home: [1, 1], food: [], barriers: [] };
+            for (var name in changes) {
+                data[name] = changes[name];
+            }
+            return JSON.stringify(data);
+        }
+        check(json({ format: "x" }), /Not a world map file/);
+        check(json({ version: 2 }), /Unsupported world map version/);
+        check(json({ width: 2.5 }), /Map size must be whole numbers/);
+        check(json({ food: [[4, 0]] }), /Map food outside the grid/);
+        check(json({ barriers: [[0.5, 0]] }), /Map barrier needs whole-cell coordinates/);
+        check(json({ barriers: [[1, 1]] }), /Map barrier on a home cell/);
+        check(json({ food: [[0, 0, 0]] }), /Map food amount must be positive/);
+        check(json({ pheromone: [[0, 0, -1, 0]] }), /Map pheromone must be a non-negative number/);
+        check(json({ nests: [{ home: [1, 1] }] }), /Map nest on a home cell/);
+        check("..X\n", /Unknown map character 'X' at line 1, column 3/);
+        // Comment lines count: the error names the line of the file
+        check("; a map\n;\n....\n.X..\n", /Unknown map character 'X' at line 4, column 2/);
+        check("; only a comment\n", /Empty ASCII map/);
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * TspColony - Ant System (ant-cycle) on a complete weighted graph of cities
+ * Dorigo, Maniezzo & Colorni (1996), the original TSP formulation
+ *
+ * The cities form a complete Graph and the ants are the grid's own Ant
+ * and Colony on a GraphWorld: Ant._selectNext with its tabu list builds
+ * the tours, Ant._completeTrip lays Q / L_k and Colony.update evaporates.
+ *
+ * One iteration: every ant builds a closed tour from a random city, then
+ *   tau_ij = (1 - rho) * (tau_ij + SUM_k Q / L_k)  (edges of tour k)
+ * (the grid's order: deposit, then evaporate), choosing with tau_ij + tau0.
+ *
+ * The parameters are the colony's own (options), so a TSP run leaves the
+ * grid's World parameters alone. They are checked against
+ * TspColony.RANGES, which bin/tsp.js and the TSP panel share.
+ */
+
+var World = require("../entity/World.js");
+var Ant = require("../entity/Ant.js");
+var Position = require("../entity/Position.js");
+var Graph = require("../graph/Graph.js");
+var GraphWorld = require("../graph/GraphWorld.js");
+var Tsplib = require("./Tsplib.js");
+
+/**
+ * @param {Object} instance - see Tsplib.parse
+ * @param {Object} [options] alpha, beta, rho, Q, tau0 (default
+ *   TspColony.DEFAULTS), ants (default: one per city), seed (default random)
+ * @throws {Error} on an option outside TspColony.RANGES
+ */
+function TspColony(instance, options) {
+    options = options || {};
+    for (var name in TspColony.RANGES) {
+        var error = (options[name] != null) ? TspColony.check(name, options[name]) : null;
+        if (error) {
+            throw new Error(error);
+        }
+    }
+    this.instance = instance;
+    this.n = instance.cities.length;
+    this.params = {};
+    for (var name in TspColony.DEFAULTS) {
+        this.params[name] = (options[name] != null) ? options[name] : TspColony.DEFAULTS[name];
+    }
+    this.params.ants = (options.ants != null) ? options.ants : this.n;
+    this.distances = Tsplib.distanceMatrix(instance);
+    this.graph = this._graph();
+    this.world = new GraphWorld(this.graph, { seed: (options.seed != null) ? options.seed : null });
+    this.colony = this.world.addColony(this.graph.nodes[0], {
+        params: {
+            algorithm: World.ALGORITHM_AS,
+            depositModel: World.DEPOSIT_CYCLE,
+            alpha: this.params.alpha,
+            beta: this.params.beta,
+            rho: this.params.rho,
+            Q: this.params.Q,
+            tau0: this.params.tau0,
+            ANT_NUMBER: this.params.ants
+        }
+    });
+    this.random = this.world.random;
+    this.seed = this.world.seed;
+    this.iteration = 0;
+    this.bestTour = null;      // city indices, closed implicitly
+    this.bestLength = Infinity;
+    this.history = [];         // per iteration { iteration, best, iterationBest, mean }
+}
+
+// Dorigo, Maniezzo & Colorni (1996): alpha = 1, beta = 5, rho = 0.5, Q = 100
+TspColony.DEFAULTS = {
+    alpha: 1,
+    beta: 5,
+    rho: 0.5,
+    Q: 100,
+    tau0: 0.01
+};
+
+// Valid options: inclusive bounds, whole numbers where integer
+TspColony.RANGES = {
+    alpha: { min: 0, max: Infinity },
+    beta: { min: 0, max: Infinity },
+    rho: { min: 0, max: 1 },
+    Q: { min: 0, max: Infinity },
+    tau0: { min: 0, max: Infinity },
+    ants: { min: 1, max: Infinity, integer: true },
+    seed: { min: 0, max: Infinity, integer: true }
+};
+
+/**
+ * Check one option against TspColony.RANGES
+ * @param {string} name
+ * @param {*} value
+ * @returns {string|null} error message
+ */
+TspColony.check = function(name, value) {
+    var range = TspColony.RANGES[name];
+    if (typeof value !== "number" || isNaN(value) || value < range.min || value > range.max ||
+        (range.integer && value !== Math.floor(value))) {
+        return name + " must be " + (range.integer ? "an integer" : "a number") +
+            " in [" + range.min + ", " + range.max + "]: " + value;
+    }
+    return null;
+};
+
+/**
+ * Complete graph of the cities (node i is city i), weights d_ij
+ */
+TspColony.prototype._graph = function() {
+    var graph = new Graph();
+    var cities = this.instance.cities;
+    for (var i = 0; i < this.n; i++) {
+        graph.addNode(String(i), cities[i].x, cities[i].y, cities[i]);
+    }
+    for (var i = 0; i < this.n; i++) {
+        for (var j = i + 1; j < this.n; j++) {
+            graph.addEdge(String(i), String(j), this.distances[i][j]);
+        }
+    }
+    return graph;
+};
+
+/**
+ * Closed tour length
+ * @param {number[]} tour - city indices
+ */
+TspColony.prototype.tourLength = function(tour) {
+    var L = 0;
+    for (var i = 0; i < tour.length; i++) {
+        L += this.distances[tour[i]][tour[(i + 1) % tour.length]];
+    }
+    return L;
+};
+
+/**
+ * One ant builds a closed tour with the AS random-proportional rule
+ * (its path ends with the edge back to the first city)
+ * @returns {Ant}
+ */
+TspColony.prototype._buildTour = function() {
+    var ant = new Ant(this.world, this.colony);
+    var start = this.graph.nodes[this.random.nextInt(this.n)];
+    ant._startPath(this.world.start(start));
+    for (var i = 1; i < this.n; i++) {
+        var next = ant._selectNext(ant.getPosition());
+        ant._localUpdate(next);
+        ant._visit(next);
+    }
+    if (this.n > 1) {
+        ant._visit(this.world.arc(ant.getPosition().node, start));
+    }
+    return ant;
+};
+
+/**
+ * Run one iteration: m tours, ant-cycle deposit, evaporation
+ * @returns {{iteration: number, best: number, iterationBest: number, mean: number}}
+ */
+TspColony.prototype.iterate = function() {
+    var ants = [];
+    for (var k = 0; k < this.params.ants; k++) {
+        ants.push(this._buildTour());
+    }
+
+    var iterationBest = Infinity;
+    var total = 0;
+    for (var k = 0; k < ants.length; k++) {
+        var L = this.world.pathLength(ants[k].path);
+        total += L;
+        if (L < iterationBest) { iterationBest = L; }
+        if (L < this.bestLength) {
+            this.bestLength = L;
+            this.bestTour = ants[k].path.slice(0, this.n).map(function(arc) {
+                return arc.node.index;
+            });
+        }
+        ants[k]._completeTrip(Position.P_TYPE_FOOD);
+    }
+    this.world.evaporate();
+
+    this.iteration++;
+    var record = {
+        iteration: this.iteration,
+        best: this.bestLength,
+        iterationBest: iterationBest,
+        mean: total / ants.length
+    };
+    this.history.push(record);
+    return record;
+};
+
+/**
+ * Run several iterations in a row
+ * @param {number} n - number of iterations
+ */
+TspColony.prototype.run = function(n) {
+    for (var i = 0; i < n; i++) {
+        this.iterate();
+    }
+};
+
+module.exports = TspColony;
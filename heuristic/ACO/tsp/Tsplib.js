@@ -0,0 +1,158 @@
+/**
+ * Tsplib - Parser for TSPLIB .tsp files (symmetric TSP, NODE_COORD_SECTION)
+ *
+ * Supported EDGE_WEIGHT_TYPE: EUC_2D, CEIL_2D, ATT, GEO
+ * Distances follow the TSPLIB 95 definitions (nint rounding), so tour
+ * lengths are directly comparable with the published optima.
+ */
+
+function Tsplib() {}
+
+// Known optimal tour lengths (TSPLIB 95)
+Tsplib.OPTIMA = {
+    eil51: 426,
+    berlin52: 7542,
+    st70: 675,
+    eil76: 538,
+    pr76: 108159,
+    kroA100: 21282,
+    kroB100: 22141,
+    eil101: 629,
+    ch130: 6110,
+    ch150: 6528,
+    att48: 10628,
+    ulysses16: 6859,
+    ulysses22: 7013
+};
+
+/**
+ * Parse the text of a .tsp file
+ * @param {string} text - file content
+ * @returns {{name: string, comment: string, dimension: number,
+ *            edgeWeightType: string, cities: {id: number, x: number, y: number}[]}}
+ */
+Tsplib.parse = function(text) {
+    var lines = text.split(/\r?\n/);
+    var instance = {
+        name: "",
+        comment: "",
+        dimension: 0,
+        edgeWeightType: "EUC_2D",
+        cities: []
+    };
+    var inCoords = false;
+
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (line === "" || line === "EOF") continue;
+
+        if (inCoords) {
+            var parts = line.split(/\s+/);
+            if (parts.length >= 3 && !isNaN(parseFloat(parts[1]))) {
+                instance.cities.push({
+                    id: parseInt(parts[0]),
+                    x: parseFloat(parts[1]),
+                    y: parseFloat(parts[2])
+                });
+                continue;
+            }
+            // Another section starts
+            inCoords = false;
+        }
+
+        if (line.indexOf("NODE_COORD_SECTION") === 0) {
+            inCoords = true;
+            continue;
+        }
+        var sep = line.indexOf(":");
+        if (sep < 0) continue;
+        var key = line.substring(0, sep).trim().toUpperCase();
+        var value = line.substring(sep + 1).trim();
+        if (key === "NAME") { instance.name = value; }
+        if (key === "COMMENT") { instance.comment = value; }
+        if (key === "DIMENSION") { instance.dimension = parseInt(value); }
+        if (key === "EDGE_WEIGHT_TYPE") { instance.edgeWeightType = value.toUpperCase(); }
+        if (key === "TYPE" && value.toUpperCase() !== "TSP") {
+            throw new Error("Unsupported TSPLIB type: " + value);
+        }
+    }
+
+    if (!Tsplib.DISTANCES[instance.edgeWeightType]) {
+        throw new Error("Unsupported EDGE_WEIGHT_TYPE: " + instance.edgeWeightType);
+    }
+    if (instance.cities.length === 0) {
+        throw new Error("No NODE_COORD_SECTION found");
+    }
+    if (instance.dimension && instance.dimension !== instance.cities.length) {
+        throw new Error("DIMENSION is " + instance.dimension +
+            " but " + instance.cities.length + " cities were read");
+    }
+    instance.dimension = instance.cities.length;
+    return instance;
+};
+
+function nint(x) {
+    return Math.floor(x + 0.5);
+}
+
+// GEO: coordinates are DDD.MM (degrees.minutes)
+function geoRadians(x) {
+    var deg = (x >= 0) ? Math.floor(x) : Math.ceil(x);
+    var min = x - deg;
+    return Math.PI * (deg + 5.0 * min / 3.0) / 180.0;
+}
+
+Tsplib.DISTANCES = {
+    EUC_2D: function(a, b) {
+        var dx = a.x - b.x;
+        var dy = a.y - b.y;
+        return nint(Math.sqrt(dx * dx + dy * dy));
+    },
+    CEIL_2D: function(a, b) {
+        var dx = a.x - b.x;
+        var dy = a.y - b.y;
+        return Math.ceil(Math.sqrt(dx * dx + dy * dy));
+    },
+    ATT: function(a, b) {
+        var dx = a.x - b.x;
+        var dy = a.y - b.y;
+        var r = Math.sqrt((dx * dx + dy * dy) / 10.0);
+        var t = nint(r);
+        return (t < r) ? t + 1 : t;
+    },
+    GEO: function(a, b) {
+        var RRR = 6378.388;
+        var latA = geoRadians(a.x), lonA = geoRadians(a.y);
+        var latB = geoRadians(b.x), lonB = geoRadians(b.y);
+        var q1 = Math.cos(lonA - lonB);
+        var q2 = Math.cos(latA - latB);
+        var q3 = Math.cos(latA + latB);
+        return Math.floor(RRR * Math.acos(0.5 * ((1.0 + q1) * q2 - (1.0 - q1) * q3)) + 1.0);
+    }
+};
+
+/**
+ * Full symmetric distance matrix of an instance
+ * @returns {number[][]}
+ */
+Tsplib.distanceMatrix = function(instance) {
+    var fn = Tsplib.DISTANCES[instance.edgeWeightType];
+    var n = instance.cities.length;
+    var d = [];
+    for (var i = 0; i < n; i++) {
+        d[i] = [];
+        for (var j = 0; j < n; j++) {
+            d[i][j] = (i === j) ? 0 : fn(instance.cities[i], instance.cities[j]);
+        }
+    }
+    return d;
+};
+
+/**
+ * Known optimum of an instance by name, or null
+ */
+Tsplib.optimum = function(instance) {
+    return Tsplib.OPTIMA.hasOwnProperty(instance.name) ? Tsplib.OPTIMA[instance.name] : null;
+};
+
+module.exports = Tsplib;
@@ -0,0 +1,593 @@
+/**
+ * CanvasRenderer - Browser view of a World drawn on a single <canvas>
+ *
+ * Two layers:
+ *   - static layer (offscreen): grid lines, barriers, food and nests;
+ *     redrawn only when the world emits "change" or "food"
+ *   - every frame: static layer, pheromone heatmap of checkList cells
+ *     (one layer per colony in its color, or food and home pheromone in
+ *     two color channels with World.SHOW_BOTH), shortest paths and
+ *     routes when those overlays are set (ShortestPath, Trail), ants,
+ *     cells previewed by a drawing tool (MapEditor)
+ *
+ * The canvas fills the window and shows the world through a view
+ * transform: the wheel zooms around the pointer, dragging with the right
+ * or middle button (or the left one when no drawing tool is active) pans.
+ *
+ * Clicking the canvas maps the pointer to a cell and opens the
+ * food/barrier/nest popup (unless a drawing tool is active); hovering
+ * shows the cell in the inspector.
+ *
+ * On the hex grid (World.NEIGHBOURHOOD_HEX) odd rows are drawn half a
+ * cell to the right, each cell touching its six neighbours.
+ */
+
+var World = require("../entity/World.js");
+var Ant = require("../entity/Ant.js");
+var Position = require("../entity/Position.js");
+
+function CanvasRenderer(world, canvas, inspector) {
+    this.world = world;
+    this.canvas = canvas;
+    this.inspector = inspector;   // Zepto element of the hover tooltip (optional)
+    this.hoverPosition = null;
+    this.ctx = canvas.getContext("2d");
+    this.staticLayer = document.createElement("canvas");
+    this.isStaticDirty = true;
+    this.selectedPosition = null;
+    this.popup = true;            // click opens the popup (off while MapEditor draws)
+    this.preview = null;          // cells previewed by MapEditor (null: none)
+    this.isHex = null;            // layout the static layer was sized for
+    this.zoom = 1;                // view transform: screen = world pixels * zoom + pan
+    this.panX = 0;
+    this.panY = 0;
+    this.onView = null;           // called after the view was zoomed or panned (optional)
+    this._pan = null;             // drag in progress: { x, y, panX, panY, moved }
+    this._panned = false;         // the last drag panned: its click is ignored
+    this.shortestPath = null;     // ShortestPath drawn as an overlay (null: none)
+    this.trail = null;            // Trail whose routes are highlighted (null: none)
+
+    this._init();
+}
+
+// Colors (same palette as aco.css); pheromone and ant outlines use the colony color
+CanvasRenderer.COLORS = {
+    background: "#16a085",
+    outside: "#117a65",         // canvas around the world
+    grid: "#fff",
+    ant: "#fff",
+    antCarrying: "#abc123",
+    pheromoneFood: "#ff0000",   // World.SHOW_BOTH: added to the background
+    pheromoneHome: "#0000ff",
+    shortestPath: "#fff",
+    trail: "#f1c40f",
+    preview: "rgba(255, 255, 255, 0.5)"
+};
+CanvasRenderer.COLORS[Position.TYPE_HOME] = "#407D94";
+CanvasRenderer.COLORS[Position.TYPE_FOOD] = "#abc123";
+CanvasRenderer.COLORS[Position.TYPE_BARRIER] = "#637342";
+
+CanvasRenderer.ZOOM_MIN = 0.05;
+CanvasRenderer.ZOOM_MAX = 8;
+CanvasRenderer.PAN_THRESHOLD = 3;  // pixels a press moves before it pans
+
+CanvasRenderer.prototype._init = function() {
+    var world = this.world;
+    var that = this;
+
+    this._layout();
+    this.resize();
+    this.fit(true);
+
+    world.on("change", function() {
+        that.isStaticDirty = true;
+    });
+    world.on("food", function() {
+        that.isStaticDirty = true;
+    });
+
+    // UI: click-to-place food/barrier/nest
+    $(this.canvas).on("click", function(e) {
+        if (that._panned) {
+            that._panned = false;
+            return;
+        }
+        var position = that.positionAt(e.clientX, e.clientY);
+        if (position && that.popup) {
+            that.clickPosition(position);
+        }
+    });
+    // UI: hover inspector, refreshed every frame (see render)
+    $(this.canvas).on("mousemove", function(e) {
+        if (that._pan) {
+            that._dragPan(e);
+        }
+        that.hoverPosition = that.positionAt(e.clientX, e.clientY);
+        if (that.inspector) {
+            that.inspector.css({ left: e.clientX + 14, top: e.clientY + 14 });
+        }
+        that._renderInspector();
+    });
+    $(this.canvas).on("mouseleave", function() {
+        that.hoverPosition = null;
+        that._renderInspector();
+    });
+    // UI: zoom and pan
+    $(this.canvas).on("wheel", function(e) {
+        e.preventDefault();
+        var rect = that.canvas.getBoundingClientRect();
+        that.zoomAt(Math.pow(1.1, -e.deltaY / 100), e.clientX - rect.left, e.clientY - rect.top);
+    });
+    $(this.canvas).on("mousedown", function(e) {
+        if (e.button === 1 || e.button === 2 || (e.button === 0 && that.popup)) {
+            that._pan = { x: e.clientX, y: e.clientY, panX: that.panX, panY: that.panY, moved: false };
+        }
+    });
+    $(this.canvas).on("contextmenu", function(e) {
+        e.preventDefault();
+    });
+    // On the document: a drag may end outside the canvas
+    this._onUp = function() {
+        if (that._pan) {
+            that._panned = that._pan.moved;
+            that._pan = null;
+        }
+    };
+    $(document).on("mouseup", this._onUp);
+    $("#selectPlane").on("click", function() {
+        $("#innerSelectPlane").removeClass("scaleOutAnim");
+        $("#selectPlane").css({ display: "none" });
+    });
+    $("#innerSelectPlane .food").on("click", function() {
+        if (that.selectedPosition != null) {
+            that.selectedPosition.changeType(Position.TYPE_FOOD);
+        }
+    });
+    $("#innerSelectPlane .barrier").on("click", function() {
+        if (that.selectedPosition != null) {
+            that.selectedPosition.changeType(Position.TYPE_BARRIER);
+        }
+    });
+    $("#innerSelectPlane .nest").on("click", function() {
+        if (that.selectedPosition != null) {
+            world.addColony(that.selectedPosition.x, that.selectedPosition.y);
+        }
+    });
+};
+
+/**
+ * Size the static layer for the current neighbourhood (hex rows stick out
+ * half a cell); it holds the whole world at zoom 100%
+ */
+CanvasRenderer.prototype._layout = function() {
+    var world = this.world;
+    this.isHex = World.neighbourhood === World.NEIGHBOURHOOD_HEX;
+    this.staticLayer.width = world.xl * world.distance + (this.isHex ? world.distance / 2 : 0);
+    this.staticLayer.height = world.yl * world.distance;
+    this.isStaticDirty = true;
+};
+
+/**
+ * Fit the canvas to the window (call when the window was resized)
+ */
+CanvasRenderer.prototype.resize = function() {
+    this.canvas.width = window.innerWidth;
+    this.canvas.height = window.innerHeight;
+};
+
+/**
+ * Show the whole world, centred
+ * @param {boolean} [shrinkOnly] - keep zoom 100% at the top left corner
+ *   when the world fits the canvas
+ */
+CanvasRenderer.prototype.fit = function(shrinkOnly) {
+    var width = this.staticLayer.width;
+    var height = this.staticLayer.height;
+    var zoom = Math.min(this.canvas.width / width, this.canvas.height / height);
+    if (shrinkOnly && zoom >= 1) {
+        this.setView(1, 0, 0);
+    } else {
+        this.setView(zoom, (this.canvas.width - width * zoom) / 2, (this.canvas.height - height * zoom) / 2);
+    }
+};
+
+/**
+ * @param {number} zoom - clamped to [ZOOM_MIN, ZOOM_MAX]
+ * @param {number} panX - screen position of the world's top left corner
+ * @param {number} panY
+ */
+CanvasRenderer.prototype.setView = function(zoom, panX, panY) {
+    this.zoom = Math.min(CanvasRenderer.ZOOM_MAX, Math.max(CanvasRenderer.ZOOM_MIN, zoom));
+    this.panX = panX;
+    this.panY = panY;
+    if (this.onView) {
+        this.onView(this);
+    }
+};
+
+/**
+ * Zoom by a factor, keeping the world point under (x, y) in place
+ * @param {number} factor
+ * @param {number} x - canvas pixels
+ * @param {number} y
+ */
+CanvasRenderer.prototype.zoomAt = function(factor, x, y) {
+    var zoom = Math.min(CanvasRenderer.ZOOM_MAX, Math.max(CanvasRenderer.ZOOM_MIN, this.zoom * factor));
+    var k = zoom / this.zoom;
+    this.setView(zoom, x - (x - this.panX) * k, y - (y - this.panY) * k);
+};
+
+CanvasRenderer.prototype._dragPan = function(e) {
+    var dx = e.clientX - this._pan.x;
+    var dy = e.clientY - this._pan.y;
+    if (!this._pan.moved && Math.abs(dx) + Math.abs(dy) < CanvasRenderer.PAN_THRESHOLD) return;
+    this._pan.moved = true;
+    this.setView(this.zoom, this._pan.panX + dx, this._pan.panY + dy);
+};
+
+/**
+ * Left edge of a cell in pixels
+ */
+CanvasRenderer.prototype._left = function(x, y) {
+    var d = this.world.distance;
+    return x * d + ((this.isHex && (y & 1)) ? d / 2 : 0);
+};
+
+/**
+ * Detach UI handlers (before attaching a new world)
+ */
+CanvasRenderer.prototype.destroy = function() {
+    $(this.canvas).off("click");
+    $(this.canvas).off("mousemove");
+    $(this.canvas).off("mouseleave");
+    $(this.canvas).off("wheel");
+    $(this.canvas).off("mousedown");
+    $(this.canvas).off("contextmenu");
+    $(document).off("mouseup", this._onUp);
+    if (this.inspector) {
+        this.inspector.hide();
+    }
+    $("#selectPlane").off("click");
+    $("#innerSelectPlane .food").off("click");
+    $("#innerSelectPlane .barrier").off("click");
+    $("#innerSelectPlane .nest").off("click");
+};
+
+/**
+ * Map a pointer position (client coordinates) to a cell
+ * @returns {Position|null}
+ */
+CanvasRenderer.prototype.positionAt = function(clientX, clientY) {
+    var rect = this.canvas.getBoundingClientRect();
+    var px = (clientX - rect.left - this.panX) / this.zoom;
+    var py = (clientY - rect.top - this.panY) / this.zoom;
+    var y = Math.floor(py / this.world.distance);
+    var x = Math.floor((px - this._left(0, y)) / this.world.distance);
+    return this.world.getPosition(x, y);
+};
+
+/**
+ * Show position selection popup
+ */
+CanvasRenderer.prototype.clickPosition = function(position) {
+    // Top left corner of the cell on the screen
+    var x = this.panX + this._left(position.x, position.y) * this.zoom;
+    var y = this.panY + position.y * this.world.distance * this.zoom;
+    this.selectedPosition = position;
+    var height = 30;
+    var width = 90;
+    var left = 0;
+    var top = 0;
+    if (y > height * 1.5) {
+        top = y - height;
+    } else {
+        top = y + height;
+    }
+    if (x > width / 2) {
+        left = x - width / 2 + 10;
+    } else if (this.canvas.width - x < width / 2) {
+        left = x - width;
+    } else {
+        left = 0;
+    }
+    $("#selectPlane").css({ display: "block" });
+    $("#innerSelectPlane").css({ top: top, left: left });
+    $("#innerSelectPlane").addClass("scaleOutAnim");
+};
+
+/**
+ * Redraw grid lines and non-normal cells into the static layer
+ */
+CanvasRenderer.prototype._drawStatic = function() {
+    var world = this.world;
+    var d = world.distance;
+    var ctx = this.staticLayer.getContext("2d");
+
+    ctx.fillStyle = CanvasRenderer.COLORS.background;
+    ctx.fillRect(0, 0, this.staticLayer.width, this.staticLayer.height);
+    if (this.isHex) {
+        // Brick layout: the outline of every cell
+        ctx.lineWidth = 0.5;
+        ctx.strokeStyle = CanvasRenderer.COLORS.grid;
+        for (var j = 0; j < world.yl; j++) {
+            for (var i = 0; i < world.xl; i++) {
+                ctx.strokeRect(this._left(i, j), j * d, d, d);
+            }
+        }
+    } else {
+        new Grid({
+            distance: d,
+            lineWidth: 0.5,
+            gridColor: CanvasRenderer.COLORS.grid,
+            caption: false
+        }).draw(ctx);
+    }
+
+    for (var i = 0; i < world.xl; i++) {
+        for (var j = 0; j < world.yl; j++) {
+            var pos = world.map[i][j];
+            if (pos.type === Position.TYPE_NORMAL) continue;
+            ctx.fillStyle = CanvasRenderer.COLORS[pos.type];
+            if (pos.type === Position.TYPE_FOOD && pos.foodCapacity !== Infinity) {
+                // Finite source: square shrinks with the food left (area ~ amount)
+                var s = Math.max(2, d * Math.sqrt(pos.food / pos.foodCapacity));
+                ctx.fillRect(this._left(i, j) + (d - s) / 2, j * d + (d - s) / 2, s, s);
+            } else {
+                ctx.fillRect(this._left(i, j), j * d, d, d);
+            }
+        }
+    }
+
+    // Nest outlines in the colony color
+    ctx.lineWidth = 2;
+    for (var i = 0; i < world.colonies.length; i++) {
+        var home = world.colonies[i].homePosition;
+        ctx.strokeStyle = world.colonies[i].color;
+        ctx.strokeRect(this._left(home.x, home.y) + 1, home.y * d + 1, d - 2, d - 2);
+    }
+    this.isStaticDirty = false;
+};
+
+/**
+ * Render one frame
+ * @param {Ant[]} ants
+ */
+CanvasRenderer.prototype.render = function(ants) {
+    if (this.isHex !== (World.neighbourhood === World.NEIGHBOURHOOD_HEX)) {
+        this._layout();
+    }
+    if (this.isStaticDirty) {
+        this._drawStatic();
+    }
+    var ctx = this.ctx;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = CanvasRenderer.COLORS.outside;
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.setTransform(this.zoom, 0, 0, this.zoom, this.panX, this.panY);
+    ctx.imageSmoothingEnabled = this.zoom < 1;
+    ctx.drawImage(this.staticLayer, 0, 0);
+    this._renderPheromone();
+    if (this.shortestPath) {
+        this._renderShortestPaths();
+    }
+    if (this.trail) {
+        this._renderTrails();
+    }
+    this._renderAnts(ants);
+    if (this.preview) {
+        this._renderPreview();
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this._renderInspector();
+};
+
+/**
+ * Pheromone heatmap: alpha of each visited cell, with dynamic max normalization,
+ * one pass per colony over its channel of World.showPheromoneType.
+ * World.SHOW_BOTH adds food pheromone in red and home pheromone in blue,
+ * so a cell on both trails turns magenta (colonies are not told apart).
+ */
+CanvasRenderer.prototype._renderPheromone = function() {
+    var colonies = this.world.colonies;
+    if (World.showPheromoneType === World.SHOW_BOTH) {
+        this.ctx.globalCompositeOperation = "lighter";
+        for (var i = 0; i < colonies.length; i++) {
+            this._renderChannel(colonies[i].channel(Position.P_TYPE_FOOD), CanvasRenderer.COLORS.pheromoneFood);
+            this._renderChannel(colonies[i].channel(Position.P_TYPE_HOME), CanvasRenderer.COLORS.pheromoneHome);
+        }
+        this.ctx.globalCompositeOperation = "source-over";
+        return;
+    }
+    for (var i = 0; i < colonies.length; i++) {
+        this._renderChannel(colonies[i].channel(World.showPheromoneType), colonies[i].color);
+    }
+};
+
+CanvasRenderer.prototype._renderChannel = function(channel, color) {
+    var ctx = this.ctx;
+    var d = this.world.distance;
+    var checkList = this.world.checkList;
+    var maxP = 0;
+    for (var i = 0; i < checkList.length; i++) {
+        var p = checkList[i].getP(channel);
+        if (checkList[i].type === Position.TYPE_NORMAL && p > maxP) {
+            maxP = p;
+        }
+    }
+    if (maxP <= 0) return;
+
+    ctx.fillStyle = color;
+    for (var i = 0; i < checkList.length; i++) {
+        var pos = checkList[i];
+        if (pos.type !== Position.TYPE_NORMAL) continue;
+        var a = pos.getP(channel) / maxP;
+        if (a <= 0) continue;
+        ctx.globalAlpha = (a > 1) ? 1 : a;
+        ctx.fillRect(this._left(pos.x, pos.y), pos.y * d, d, d);
+    }
+    ctx.globalAlpha = 1;
+};
+
+/**
+ * Shortest path from every nest to every reachable food cell, dashed
+ */
+CanvasRenderer.prototype._renderShortestPaths = function() {
+    var ctx = this.ctx;
+    var colonies = this.world.colonies;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeStyle = CanvasRenderer.COLORS.shortestPath;
+    ctx.beginPath();
+    for (var k = 0; k < colonies.length; k++) {
+        var paths = this.shortestPath.foodPaths(colonies[k]);
+        for (var p = 0; p < paths.length; p++) {
+            this._tracePath(paths[p].cells);
+        }
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+};
+
+/**
+ * Latest route of every colony (see Trail): solid there, dashed back
+ */
+CanvasRenderer.prototype._renderTrails = function() {
+    var ctx = this.ctx;
+    var colonies = this.world.colonies;
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = CanvasRenderer.COLORS.trail;
+    for (var k = 0; k < colonies.length; k++) {
+        var trail = this.trail.trails[colonies[k].index];
+        if (!trail) continue;
+        ctx.beginPath();
+        this._tracePath(trail.cells);
+        ctx.stroke();
+        if (trail.back) {
+            ctx.setLineDash([2, 4]);
+            ctx.beginPath();
+            this._tracePath(trail.back);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+};
+
+/**
+ * Cells a drawing tool will change
+ */
+CanvasRenderer.prototype._renderPreview = function() {
+    var ctx = this.ctx;
+    var d = this.world.distance;
+    ctx.fillStyle = CanvasRenderer.COLORS.preview;
+    for (var i = 0; i < this.preview.length; i++) {
+        var cell = this.preview[i];
+        ctx.fillRect(this._left(cell.x, cell.y), cell.y * d, d, d);
+    }
+};
+
+/**
+ * Add a line through the centres of the cells to the current path
+ */
+CanvasRenderer.prototype._tracePath = function(cells) {
+    var ctx = this.ctx;
+    var d = this.world.distance;
+    for (var i = 0; i < cells.length; i++) {
+        var x = this._left(cells[i].x, cells[i].y) + d / 2;
+        var y = cells[i].y * d + d / 2;
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+};
+
+/**
+ * Hover inspector: coordinates, type, both pheromones of every colony, visits
+ */
+CanvasRenderer.prototype._renderInspector = function() {
+    if (!this.inspector) return;
+    var pos = this.hoverPosition;
+    if (!pos) {
+        this.inspector.hide();
+        return;
+    }
+    var colonies = this.world.colonies;
+    var lines = ["(" + pos.x + ", " + pos.y + ") " + this._typeName(pos)];
+    for (var i = 0; i < colonies.length; i++) {
+        lines.push("蚁群 #" + colonies[i].index
+            + " 食物 " + CanvasRenderer.formatTau(pos.getP(colonies[i].channel(Position.P_TYPE_FOOD)))
+            + " 家 " + CanvasRenderer.formatTau(pos.getP(colonies[i].channel(Position.P_TYPE_HOME))));
+    }
+    lines.push("访问 " + pos.visits);
+    this.inspector.html(lines.join("<br>")).show();
+};
+
+/**
+ * Cell type as shown in the inspector
+ */
+CanvasRenderer.prototype._typeName = function(pos) {
+    if (pos.type === Position.TYPE_FOOD) {
+        return (pos.food === Infinity) ? "食物" : "食物 (剩余 " + pos.food + ")";
+    }
+    if (pos.type === Position.TYPE_BARRIER) return "障碍";
+    if (pos.type === Position.TYPE_HOME) {
+        var colony = this.world.colonyAt(pos);
+        return "巢穴" + (colony ? " #" + colony.index : "");
+    }
+    return "空地";
+};
+
+/**
+ * Pheromone value for display; sources and nests hold Number.MAX_VALUE
+ */
+CanvasRenderer.formatTau = function(p) {
+    return (p >= Number.MAX_VALUE) ? "max" : p.toFixed(3);
+};
+
+/**
+ * Ants as dots filled by status and, with several colonies, outlined in
+ * the colony color; batched by color
+ */
+CanvasRenderer.prototype._renderAnts = function(ants) {
+    var ctx = this.ctx;
+    var d = this.world.distance;
+    var r = Math.max(1, d / 2 - 1);
+    var colonies = this.world.colonies;
+    var statuses = [Ant.STATUS_FIND_FOOD, Ant.STATUS_CARRY_FOOD];
+    for (var s = 0; s < statuses.length; s++) {
+        ctx.fillStyle = (statuses[s] === Ant.STATUS_CARRY_FOOD)
+            ? CanvasRenderer.COLORS.antCarrying
+            : CanvasRenderer.COLORS.ant;
+        ctx.beginPath();
+        this._traceAnts(ants, r, function(ant) { return ant.status === statuses[s]; });
+        ctx.fill();
+    }
+    if (colonies.length < 2) return;
+
+    ctx.lineWidth = 1.5;
+    for (var k = 0; k < colonies.length; k++) {
+        ctx.strokeStyle = colonies[k].color;
+        ctx.beginPath();
+        this._traceAnts(ants, r, function(ant) { return ant.colony === colonies[k]; });
+        ctx.stroke();
+    }
+};
+
+/**
+ * Add a circle per matching ant to the current path
+ */
+CanvasRenderer.prototype._traceAnts = function(ants, r, filter) {
+    var ctx = this.ctx;
+    var d = this.world.distance;
+    for (var i = 0; i < ants.length; i++) {
+        if (!filter(ants[i])) continue;
+        var pos = ants[i].getPosition();
+        var cx = this._left(pos.x, pos.y) + d / 2;
+        var cy = pos.y * d + d / 2;
+        ctx.moveTo(cx + r, cy);
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    }
+};
+
+module.exports = CanvasRenderer;
@@ -0,0 +1,144 @@
+/**
+ * ColonyPanel - Side panel editing the colonies of a World
+ *
+ * One card per colony: size, color, alpha/beta/rho/Q overrides, reaction
+ * to foreign trails, live delivery count and route length (from the
+ * world's "trail" events, see Trail); colonies other than the first
+ * can be removed. New nests are placed from the cell popup.
+ */
+
+var Colony = require("../entity/Colony.js");
+
+function ColonyPanel(container, world) {
+    this.container = container;   // Zepto element
+    this.world = world;
+    this._shown = "";             // colony indexes the cards were built for
+    this._trails = {};            // colony index -> latest route (see Trail)
+
+    this._init();
+}
+
+// Editable parameters: colony param name, label, input step
+ColonyPanel.FIELDS = [
+    { name: "ANT_NUMBER", label: "蚂蚁数量", step: 1 },
+    { name: "alpha", label: "&alpha;", step: 0.1 },
+    { name: "beta", label: "&beta;", step: 0.1 },
+    { name: "rho", label: "&rho;", step: 0.01 },
+    { name: "Q", label: "Q", step: 10 }
+];
+
+ColonyPanel.prototype._init = function() {
+    var that = this;
+    // A nest was placed or removed
+    this.world.on("change", function() {
+        that.render();
+    });
+    this.world.on("trail", function(colony, trail) {
+        that._trails[colony.index] = trail;
+    });
+    this.render();
+};
+
+/**
+ * Rebuild the cards when the colonies changed, else refresh the counters
+ */
+ColonyPanel.prototype.render = function() {
+    var colonies = this.world.colonies;
+    var shown = colonies.map(function(c) { return c.index; }).join(",");
+    if (shown !== this._shown) {
+        this._shown = shown;
+        this.container.empty();
+        this.container.append('<p class="summary">点击单元格选择“巢穴”可添加蚁群</p>');
+        for (var i = 0; i < colonies.length; i++) {
+            this.container.append(this._card(colonies[i]));
+        }
+    }
+    for (var i = 0; i < colonies.length; i++) {
+        this.container.find('.colony[data-index="' + colonies[i].index + '"] .deliveries')
+            .text("送达 " + colonies[i].deliveries);
+        this.container.find('.colony[data-index="' + colonies[i].index + '"] .trail')
+            .text(ColonyPanel.describeTrail(this._trails[colonies[i].index]));
+    }
+};
+
+/**
+ * Card of one colony, inputs bound to its parameters
+ * @param {Colony} colony
+ */
+ColonyPanel.prototype._card = function(colony) {
+    var world = this.world;
+    var card = $('<div class="colony" data-index="' + colony.index + '"></div>');
+    var head = $('<div class="colony-head"></div>');
+    var color = $('<input type="color" />').val(colony.color);
+    color.on("change", function() {
+        colony.color = $(this).val();
+        // Nest outline lives in the static layer
+        world.emit("change", colony.homePosition, colony.homePosition.type);
+    });
+    head.append(color);
+    head.append('<span>蚁群 #' + colony.index + ' (' + colony.homePosition.x + ',' + colony.homePosition.y + ')</span>');
+    head.append('<span class="deliveries"></span>');
+    if (colony !== world.colonies[0]) {
+        var remove = $('<span class="remove">删除</span>');
+        remove.on("click", function() {
+            world.removeColony(colony);
+        });
+        head.append(remove);
+    }
+    card.append(head);
+    card.append('<div class="trail"></div>');
+
+    for (var i = 0; i < ColonyPanel.FIELDS.length; i++) {
+        card.append(this._field(colony, ColonyPanel.FIELDS[i]));
+    }
+
+    var foreign = $('<select>' +
+        '<option value="' + Colony.FOREIGN_IGNORE + '">忽略</option>' +
+        '<option value="' + Colony.FOREIGN_REPEL + '">排斥</option>' +
+        '</select>').val(colony.foreignTrails);
+    foreign.on("change", function() {
+        colony.foreignTrails = $(this).val();
+    });
+    var repulsion = $('<input type="number" min="0" step="0.5" />').val(colony.repulsion);
+    repulsion.on("change", function() {
+        var value = parseFloat($(this).val());
+        if (!isNaN(value) && value >= 0) {
+            colony.repulsion = value;
+        }
+    });
+    var row = $('<label>他群信息素</label>');
+    card.append($('<div class="colony-field"></div>').append(row).append(foreign).append(repulsion));
+    return card;
+};
+
+/**
+ * Route lengths as shown on a card
+ * @param {Object} [trail] - see Trail.route
+ */
+ColonyPanel.describeTrail = function(trail) {
+    if (!trail) return "主路径：未形成";
+    return "主路径：去 " + trail.length.toFixed(1)
+        + "，回 " + (trail.back ? trail.backLength.toFixed(1) : "未形成");
+};
+
+/**
+ * Number input for one parameter; empty means the World default
+ */
+ColonyPanel.prototype._field = function(colony, field) {
+    var input = $('<input type="number" min="0" step="' + field.step + '" />')
+        .attr("placeholder", colony.param(field.name))
+        .val(colony.params[field.name] != null ? colony.params[field.name] : "");
+    input.on("change", function() {
+        var value = parseFloat($(this).val());
+        if (isNaN(value)) {
+            delete colony.params[field.name];
+        } else {
+            colony.params[field.name] = value;
+        }
+    });
+    return $('<div class="colony-field"></div>')
+        .append('<label>' + field.label + '</label>')
+        .append(input);
+};
+
+module.exports = ColonyPanel;
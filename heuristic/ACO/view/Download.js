@@ -0,0 +1,63 @@
+/**
+ * Download - Save generated content as a file from the browser
+ */
+
+function Download() {}
+
+/**
+ * Save text content
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [mime] - defaults to text/plain
+ */
+Download.text = function(filename, text, mime) {
+    Download.blob(filename, new Blob([text], { type: (mime || "text/plain") + ";charset=utf-8" }));
+};
+
+/**
+ * Save binary content
+ * @param {string} filename
+ * @param {Uint8Array} bytes
+ * @param {string} mime
+ */
+Download.bytes = function(filename, bytes, mime) {
+    Download.blob(filename, new Blob([bytes], { type: mime }));
+};
+
+/**
+ * Save a Blob through a temporary object URL
+ */
+Download.blob = function(filename, blob) {
+    var url = URL.createObjectURL(blob);
+    Download.url(filename, url);
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 1000);
+};
+
+/**
+ * Save from a URL (object URL or data URL)
+ */
+Download.url = function(filename, url) {
+    var a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+};
+
+/**
+ * Read a File chosen in an <input type="file">
+ * @param {File} file
+ * @param {Function} callback - called with the text content
+ */
+Download.readText = function(file, callback) {
+    var reader = new FileReader();
+    reader.onload = function() {
+        callback(reader.result);
+    };
+    reader.readAsText(file);
+};
+
+module.exports = Download;
@@ -0,0 +1,55 @@
+/**
+ * FrameCapture - Record what a canvas shows into an animated GIF
+ *
+ * Each capture() copies the canvas, scaled down to at most MAX_WIDTH
+ * pixels, into the next frame; the size is fixed by the first capture.
+ */
+
+var GifEncoder = require("../io/GifEncoder.js");
+
+/**
+ * @param {HTMLCanvasElement} canvas - the canvas to record
+ * @param {Object} [options] { maxWidth, delay } (ms between frames)
+ */
+function FrameCapture(canvas, options) {
+    options = options || {};
+    var scale = Math.min(1, (options.maxWidth || FrameCapture.MAX_WIDTH) / canvas.width);
+    this.source = canvas;
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = Math.max(1, Math.round(canvas.width * scale));
+    this.canvas.height = Math.max(1, Math.round(canvas.height * scale));
+    this.ctx = this.canvas.getContext("2d");
+    this.encoder = new GifEncoder(this.canvas.width, this.canvas.height, {
+        delay: (options.delay != null) ? options.delay : FrameCapture.DELAY
+    });
+}
+
+FrameCapture.MAX_WIDTH = 800;          // px, keeps long recordings small
+FrameCapture.DELAY = 100;              // ms per frame when played back
+
+/**
+ * Add the current canvas content as a frame
+ */
+FrameCapture.prototype.capture = function() {
+    var w = this.canvas.width;
+    var h = this.canvas.height;
+    this.ctx.drawImage(this.source, 0, 0, w, h);
+    this.encoder.addFrame(this.ctx.getImageData(0, 0, w, h).data);
+};
+
+/**
+ * @returns {number} frames captured so far
+ */
+FrameCapture.prototype.frames = function() {
+    return this.encoder.frames;
+};
+
+/**
+ * End the recording
+ * @returns {Uint8Array} the GIF file
+ */
+FrameCapture.prototype.finish = function() {
+    return this.encoder.finish();
+};
+
+module.exports = FrameCapture;
@@ -0,0 +1,109 @@
+/**
+ * LineChart - Minimal auto-scaled line chart on a canvas
+ *
+ * Series: [{ label, color, values }], null values leave a gap.
+ */
+
+function LineChart(canvas, title) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.title = title;
+}
+
+LineChart.PADDING_LEFT = 40;
+LineChart.PADDING_TOP = 18;
+LineChart.PADDING_BOTTOM = 6;
+
+/**
+ * Redraw the chart
+ * @param {{label: string, color: string, values: Array}[]} series
+ */
+LineChart.prototype.draw = function(series) {
+    var ctx = this.ctx;
+    var w = this.canvas.width;
+    var h = this.canvas.height;
+    var left = LineChart.PADDING_LEFT;
+    var top = LineChart.PADDING_TOP;
+    var plotW = w - left - 4;
+    var plotH = h - top - LineChart.PADDING_BOTTOM;
+
+    // Value range over all series
+    var max = -Infinity;
+    var min = Infinity;
+    var length = 0;
+    for (var s = 0; s < series.length; s++) {
+        var values = series[s].values;
+        length = Math.max(length, values.length);
+        for (var i = 0; i < values.length; i++) {
+            if (values[i] == null) continue;
+            if (values[i] > max) { max = values[i]; }
+            if (values[i] < min) { min = values[i]; }
+        }
+    }
+    if (max === -Infinity) {
+        max = 1;
+        min = 0;
+    }
+    if (min > 0) { min = 0; }
+    if (max === min) { max = min + 1; }
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = "10px Verdana";
+    ctx.fillStyle = "#333";
+    ctx.fillText(this.title, left, 11);
+    ctx.fillStyle = "#999";
+    ctx.fillText(LineChart.format(max), 2, top + 8);
+    ctx.fillText(LineChart.format(min), 2, top + plotH);
+
+    ctx.strokeStyle = "#ddd";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left + 0.5, top + 0.5, plotW, plotH);
+
+    // Legend with latest values, right aligned in the title row
+    var legendX = w - 4;
+    for (var s = series.length - 1; s >= 0; s--) {
+        var last = series[s].values[series[s].values.length - 1];
+        var text = series[s].label + (last != null ? " " + LineChart.format(last) : "");
+        legendX -= ctx.measureText(text).width;
+        ctx.fillStyle = series[s].color;
+        ctx.fillText(text, legendX, 11);
+        legendX -= 8;
+    }
+
+    var stepX = (length > 1) ? plotW / (length - 1) : 0;
+    for (var s = 0; s < series.length; s++) {
+        var values = series[s].values;
+        ctx.strokeStyle = series[s].color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        var drawing = false;
+        for (var i = 0; i < values.length; i++) {
+            if (values[i] == null) {
+                drawing = false;
+                continue;
+            }
+            var x = left + i * stepX;
+            var y = top + plotH - (values[i] - min) / (max - min) * plotH;
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        }
+        ctx.stroke();
+    }
+};
+
+/**
+ * Short number label (1234 -> 1.2k)
+ */
+LineChart.format = function(v) {
+    var a = Math.abs(v);
+    if (a >= 1e6) { return (v / 1e6).toFixed(1) + "M"; }
+    if (a >= 1e3) { return (v / 1e3).toFixed(1) + "k"; }
+    if (a >= 10 || v === Math.round(v)) { return String(Math.round(v)); }
+    return v.toFixed(2);
+};
+
+module.exports = LineChart;
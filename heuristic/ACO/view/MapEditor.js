@@ -0,0 +1,184 @@
+/**
+ * MapEditor - Mouse drawing tools on the canvas of a CanvasRenderer
+ *
+ *   select   click opens the food/barrier/nest popup (CanvasRenderer)
+ *   barrier  drag to paint barriers
+ *   food     drag to paint food sources
+ *   eraser   drag to turn cells back into normal cells
+ *   line     drag a straight line of barriers
+ *   rect     drag a filled rectangle of barriers
+ *   home     drag a nest to another cell (elsewhere: moves the first nest)
+ *
+ * Nests are never painted over. Every edit goes through
+ * Position.changeType / World.moveHome, so it is recorded (Recorder) and
+ * the views follow the "change" events.
+ */
+
+var Position = require("../entity/Position.js");
+
+function MapEditor(world, renderer) {
+    this.world = world;
+    this.renderer = renderer;
+    this.tool = MapEditor.TOOL_SELECT;
+    this.start = null;         // cell the drag started on (null: no drag)
+    this.last = null;          // last cell painted by a brush
+    this.colony = null;        // colony moved by the home tool
+
+    this._init();
+}
+
+MapEditor.TOOL_SELECT = "select";
+MapEditor.TOOL_BARRIER = "barrier";
+MapEditor.TOOL_FOOD = "food";
+MapEditor.TOOL_ERASER = "eraser";
+MapEditor.TOOL_LINE = "line";
+MapEditor.TOOL_RECT = "rect";
+MapEditor.TOOL_HOME = "home";
+
+// Cell type each painting tool sets
+MapEditor.PAINT = {};
+MapEditor.PAINT[MapEditor.TOOL_BARRIER] = Position.TYPE_BARRIER;
+MapEditor.PAINT[MapEditor.TOOL_FOOD] = Position.TYPE_FOOD;
+MapEditor.PAINT[MapEditor.TOOL_ERASER] = Position.TYPE_NORMAL;
+MapEditor.PAINT[MapEditor.TOOL_LINE] = Position.TYPE_BARRIER;
+MapEditor.PAINT[MapEditor.TOOL_RECT] = Position.TYPE_BARRIER;
+
+MapEditor.prototype._init = function() {
+    var that = this;
+    var canvas = this.renderer.canvas;
+    $(canvas).on("mousedown", function(e) {
+        if (e.button === 0 && that.tool !== MapEditor.TOOL_SELECT) {
+            e.preventDefault();
+            that._down(that.renderer.positionAt(e.clientX, e.clientY));
+        }
+    });
+    $(canvas).on("mousemove", function(e) {
+        if (that.start) {
+            that._move(that.renderer.positionAt(e.clientX, e.clientY));
+        }
+    });
+    // On the document: a drag may end outside the canvas
+    this._onUp = function(e) {
+        if (that.start) {
+            that._up(that.renderer.positionAt(e.clientX, e.clientY));
+        }
+    };
+    $(document).on("mouseup", this._onUp);
+};
+
+/**
+ * Detach UI handlers, together with the renderer's (before attaching a new world)
+ */
+MapEditor.prototype.destroy = function() {
+    $(this.renderer.canvas).off("mousedown");
+    $(this.renderer.canvas).off("mousemove");
+    $(document).off("mouseup", this._onUp);
+    this.renderer.preview = null;
+};
+
+/**
+ * @param {string} tool - one of MapEditor.TOOL_*
+ */
+MapEditor.prototype.setTool = function(tool) {
+    this.tool = tool;
+    this.start = null;
+    this.renderer.popup = (tool === MapEditor.TOOL_SELECT);
+    this.renderer.preview = null;
+};
+
+MapEditor.prototype._down = function(position) {
+    if (!position) return;
+    this.start = position;
+    if (this.tool === MapEditor.TOOL_HOME) {
+        this.colony = this.world.colonyAt(position) || this.world.colonies[0];
+        this.renderer.preview = [position];
+    } else if (this.tool === MapEditor.TOOL_LINE || this.tool === MapEditor.TOOL_RECT) {
+        this.renderer.preview = [position];
+    } else {
+        this.last = position;
+        this._paint(position);
+    }
+};
+
+MapEditor.prototype._move = function(position) {
+    if (!position) return;
+    if (this.tool === MapEditor.TOOL_HOME) {
+        this.renderer.preview = [position];
+    } else if (this.tool === MapEditor.TOOL_LINE) {
+        this.renderer.preview = MapEditor.line(this.world, this.start, position);
+    } else if (this.tool === MapEditor.TOOL_RECT) {
+        this.renderer.preview = MapEditor.rect(this.world, this.start, position);
+    } else if (position !== this.last) {
+        // Fill the gap when the pointer skipped cells
+        var cells = MapEditor.line(this.world, this.last, position);
+        for (var i = 0; i < cells.length; i++) {
+            this._paint(cells[i]);
+        }
+        this.last = position;
+    }
+};
+
+MapEditor.prototype._up = function(position) {
+    if (this.tool === MapEditor.TOOL_HOME) {
+        if (position) {
+            this.world.moveHome(position.x, position.y, this.colony);
+        }
+    } else if (this.tool === MapEditor.TOOL_LINE || this.tool === MapEditor.TOOL_RECT) {
+        var cells = this.renderer.preview || [];
+        for (var i = 0; i < cells.length; i++) {
+            this._paint(cells[i]);
+        }
+    }
+    this.start = null;
+    this.last = null;
+    this.colony = null;
+    this.renderer.preview = null;
+};
+
+/**
+ * Set a cell to the type of the current tool (nests are left alone)
+ */
+MapEditor.prototype._paint = function(position) {
+    var type = MapEditor.PAINT[this.tool];
+    if (position.type === type || position.type === Position.TYPE_HOME) return;
+    position.changeType(type);
+};
+
+/**
+ * Cells of a straight line between two cells (Bresenham)
+ * @returns {Position[]}
+ */
+MapEditor.line = function(world, a, b) {
+    var cells = [];
+    var x = a.x;
+    var y = a.y;
+    var dx = Math.abs(b.x - a.x);
+    var dy = -Math.abs(b.y - a.y);
+    var sx = (a.x < b.x) ? 1 : -1;
+    var sy = (a.y < b.y) ? 1 : -1;
+    var err = dx + dy;
+    while (true) {
+        cells.push(world.map[x][y]);
+        if (x === b.x && y === b.y) break;
+        var e2 = 2 * err;
+        if (e2 >= dy) { err += dy; x += sx; }
+        if (e2 <= dx) { err += dx; y += sy; }
+    }
+    return cells;
+};
+
+/**
+ * Cells of the rectangle spanned by two corner cells
+ * @returns {Position[]}
+ */
+MapEditor.rect = function(world, a, b) {
+    var cells = [];
+    for (var x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x++) {
+        for (var y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y++) {
+            cells.push(world.map[x][y]);
+        }
+    }
+    return cells;
+};
+
+module.exports = MapEditor;
@@ -0,0 +1,164 @@
+/**
+ * MetricsPanel - Side panel with live line charts of a Metrics history
+ * and the current route of every colony (Trail)
+ */
+
+var LineChart = require("./LineChart.js");
+
+/**
+ * @param {Zepto} container
+ * @param {Metrics} metrics
+ * @param {Trail} [trail] - routes to list under the summary
+ */
+function MetricsPanel(container, metrics, trail) {
+    this.container = container;   // Zepto element
+    this.metrics = metrics;
+    this.trail = trail || null;
+    this.charts = [];
+    this._changed = {};           // colony index -> tick its route last changed
+
+    this._init();
+}
+
+// Number of most recent ticks shown
+MetricsPanel.WINDOW = 500;
+
+// Chart definitions: title and series (sample field, label, color);
+// "colonies" charts draw one series per colony from an array field
+MetricsPanel.CHARTS = [
+    { title: "送达食物 / tick", series: [
+        { field: "deliveries", label: "送达", color: "#e67e22" }
+    ] },
+    { title: "各蚁群累计送达", colonies: "colonyDeliveries" },
+    { title: "完成路径长度", series: [
+        { field: "meanTripLength", label: "平均", color: "#2980b9" },
+        { field: "minTripLength", label: "最短", color: "#27ae60" }
+    ] },
+    { title: "路径 / 最短路径", series: [
+        { field: "meanTripRatio", label: "本 tick", color: "#2980b9" },
+        { field: "optimalityGap", label: "差距 (近 100 次)", color: "#c0392b" }
+    ] },
+    { title: "蚂蚁状态", series: [
+        { field: "searching", label: "觅食", color: "#7f8c8d" },
+        { field: "carrying", label: "携带", color: "#abc123" }
+    ] },
+    { title: "信息素总量", series: [
+        { field: "foodTotal", label: "食物", color: "#e67e22" },
+        { field: "homeTotal", label: "巢穴", color: "#2980b9" }
+    ] },
+    { title: "信息素最大值", series: [
+        { field: "foodMax", label: "食物", color: "#e67e22" },
+        { field: "homeMax", label: "巢穴", color: "#2980b9" }
+    ] },
+    { title: "剩余食物", series: [
+        { field: "foodLeft", label: "食物量", color: "#abc123" },
+        { field: "foodSources", label: "食物源", color: "#637342" }
+    ] },
+    { title: "活跃单元格 (checkList)", series: [
+        { field: "activeCells", label: "", color: "#8e44ad" }
+    ] }
+];
+
+MetricsPanel.prototype._init = function() {
+    this.container.empty();
+    this.summary = $('<p class="summary"></p>');
+    this.container.append(this.summary);
+    this.routes = $('<p class="routes"></p>');
+    this.container.append(this.routes);
+    if (this.trail) {
+        var that = this;
+        var simulation = this.metrics.simulation;
+        simulation.world.on("trail", function(colony) {
+            that._changed[colony.index] = simulation.ticks;
+        });
+    }
+    for (var i = 0; i < MetricsPanel.CHARTS.length; i++) {
+        var canvas = $('<canvas width="280" height="110"></canvas>');
+        this.container.append(canvas);
+        this.charts.push(new LineChart(canvas[0], MetricsPanel.CHARTS[i].title));
+    }
+};
+
+/**
+ * Redraw all charts from the latest samples
+ */
+MetricsPanel.prototype.render = function() {
+    var history = this.metrics.history;
+    var samples = history.slice(Math.max(0, history.length - MetricsPanel.WINDOW));
+    var last = this.metrics.last();
+    if (last) {
+        var gap = (last.optimalityGap !== null)
+            ? "，最优差距 " + (last.optimalityGap * 100).toFixed(1) + "%"
+            : "";
+        this.summary.text("tick " + last.tick + "，累计送达 " + last.totalDeliveries + gap);
+    }
+    if (this.trail) {
+        this._renderRoutes();
+    }
+
+    for (var c = 0; c < MetricsPanel.CHARTS.length; c++) {
+        var def = MetricsPanel.CHARTS[c];
+        if (def.colonies) {
+            this.charts[c].draw(this._colonySeries(samples, def.colonies));
+            continue;
+        }
+        var series = [];
+        for (var s = 0; s < def.series.length; s++) {
+            var values = [];
+            for (var i = 0; i < samples.length; i++) {
+                values.push(samples[i][def.series[s].field]);
+            }
+            series.push({ label: def.series[s].label, color: def.series[s].color, values: values });
+        }
+        this.charts[c].draw(series);
+    }
+};
+
+/**
+ * One line per colony: route there / back next to the shortest path, and
+ * the tick the route last changed
+ */
+MetricsPanel.prototype._renderRoutes = function() {
+    var colonies = this.metrics.simulation.world.colonies;
+    this.routes.empty();
+    for (var k = 0; k < colonies.length; k++) {
+        var index = colonies[k].index;
+        var route = this.trail.trails[index];
+        var text;
+        if (!route) {
+            text = "#" + index + " 暂无主路径";
+        } else {
+            var food = route.cells[route.cells.length - 1];
+            text = "#" + index + " 主路径 " + route.length.toFixed(2) +
+                "，回程 " + (route.back ? route.backLength.toFixed(2) : "-") +
+                "，最短 " + this.metrics.shortestPath.length(colonies[k], food).toFixed(2);
+        }
+        if (this._changed[index] != null) {
+            text += "（tick " + this._changed[index] + " 变化）";
+        }
+        this.routes.append($('<span></span>').css({ color: colonies[k].color }).text(text));
+        this.routes.append($('<br/>'));
+    }
+};
+
+/**
+ * One series per colony still in the world, in the colony color
+ * @param {Object[]} samples
+ * @param {string} field - per-colony array field of a sample
+ */
+MetricsPanel.prototype._colonySeries = function(samples, field) {
+    var colonies = this.metrics.simulation.world.colonies;
+    var series = [];
+    for (var k = 0; k < colonies.length; k++) {
+        var index = colonies[k].index;
+        var values = [];
+        for (var i = 0; i < samples.length; i++) {
+            var v = samples[i][field][index];
+            values.push(v != null ? v : null);
+        }
+        series.push({ label: "#" + index, color: colonies[k].color, values: values });
+    }
+    return series;
+};
+
+module.exports = MetricsPanel;
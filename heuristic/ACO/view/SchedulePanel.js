@@ -0,0 +1,77 @@
+/**
+ * SchedulePanel - Side panel editing the environment events of a run
+ *
+ * A script (see Schedule) and the list of its events, applied ones
+ * marked. Applying the script rebuilds the world so the timeline runs
+ * from tick 0.
+ */
+
+var Schedule = require("../experiment/Schedule.js");
+
+function SchedulePanel(container, schedule, text, onApply) {
+    this.container = container;   // Zepto element
+    this.schedule = schedule;
+    this.text = text;             // script shown in the editor
+    this.onApply = onApply;       // called with (events, text)
+
+    this._init();
+}
+
+SchedulePanel.prototype._init = function() {
+    var that = this;
+    this.schedule.world.on("scheduled", function() {
+        that.render();
+    });
+
+    this.container.empty();
+    this.container.append('<p class="summary">每行一个事件：tick 动作 参数，";" 开始注释</p>');
+    var editor = $('<textarea class="script" spellcheck="false"></textarea>').val(this.text);
+    var apply = $('<div class="btn">应用并重置世界</div>');
+    apply.on("click", function() {
+        var text = editor.val();
+        var events;
+        try {
+            events = Schedule.parse(text, that.schedule.world.xl, that.schedule.world.yl);
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        that.onApply(events, text);
+    });
+    this.container.append(editor);
+    this.container.append(apply);
+    this.container.append('<ul class="events"></ul>');
+    this.render();
+};
+
+/**
+ * Refresh the event list
+ */
+SchedulePanel.prototype.render = function() {
+    var list = this.container.find(".events");
+    var events = this.schedule.events;
+    list.empty();
+    for (var i = 0; i < events.length; i++) {
+        var item = $('<li></li>').text(events[i].tick + " " + SchedulePanel.describe(events[i]));
+        if (i < this.schedule.applied) {
+            item.addClass("applied");
+        }
+        list.append(item);
+    }
+};
+
+/**
+ * One event as text, e.g. "barrier 10 5 10 15"
+ */
+SchedulePanel.describe = function(event) {
+    var words = [event.action];
+    var names = Schedule.ARGS[event.action];
+    for (var i = 0; i < names.length; i++) {
+        if (event[names[i]] != null) {
+            words.push(event[names[i]]);
+        }
+    }
+    return words.join(" ");
+};
+
+module.exports = SchedulePanel;
@@ -0,0 +1,166 @@
+/**
+ * SettingsPanel - Parameter form generated from Params.SCHEMA
+ *
+ * One section per Params.GROUPS entry, a preset selector on top; fields
+ * of another algorithm are hidden. Every edit re-validates the whole
+ * configuration, shows the errors next to the fields and calls onChange
+ * with the result of read().
+ */
+
+var Params = require("../entity/Params.js");
+
+function SettingsPanel(container, onChange) {
+    this.container = container;   // Zepto element
+    this.onChange = onChange;     // optional
+    this.inputs = {};             // parameter name -> Zepto input / select
+
+    this._init();
+}
+
+SettingsPanel.prototype._init = function() {
+    var that = this;
+    this.container.empty();
+
+    var presets = $('<select class="presets"><option value="">选择预设…</option></select>');
+    for (var i = 0; i < Params.PRESETS.length; i++) {
+        presets.append($('<option></option>').attr("value", i).text(Params.PRESETS[i].name));
+    }
+    presets.on("change", function() {
+        if ($(this).val() === "") return;
+        that.setValues(Params.preset(parseInt($(this).val())));
+        $(this).val("");
+    });
+    this.container.append($('<div class="setting-item"><label>预设:</label></div>').append(presets));
+
+    for (var g = 0; g < Params.GROUPS.length; g++) {
+        var group = $('<div class="setting-group"></div>').append('<h3>' + Params.GROUPS[g] + '</h3>');
+        for (var i = 0; i < Params.SCHEMA.length; i++) {
+            if (Params.SCHEMA[i].group === Params.GROUPS[g]) {
+                group.append(this._field(Params.SCHEMA[i]));
+            }
+        }
+        this.container.append(group);
+    }
+
+    this.container.on("change input", "input, select", function() {
+        that._update();
+    });
+    this.setValues(Params.current());
+};
+
+/**
+ * Row of one parameter: label, input, unit, error
+ * @param {Object} param - schema entry
+ */
+SettingsPanel.prototype._field = function(param) {
+    var input;
+    if (param.type === "select") {
+        input = $('<select></select>');
+        for (var i = 0; i < param.options.length; i++) {
+            input.append($('<option></option>')
+                .attr("value", String(param.options[i].value))
+                .text(param.options[i].label));
+        }
+    } else if (param.type === "bool") {
+        input = $('<input type="checkbox" />');
+    } else {
+        input = $('<input type="number" />').attr("step", param.step);
+        var min = (param.min != null) ? param.min : param.above;
+        var max = (param.max != null) ? param.max : param.below;
+        if (min != null) input.attr("min", min);
+        if (max != null) input.attr("max", max);
+        if (param.placeholder) input.attr("placeholder", param.placeholder);
+    }
+    this.inputs[param.name] = input;
+
+    var row = $('<div class="setting-item"></div>').attr("data-param", param.name);
+    if (param.only) {
+        row.attr("data-only", param.only);
+    }
+    row.append('<label>' + param.label + ':</label>').append(input);
+    if (param.unit) {
+        row.append('<span class="unit">' + param.unit + '</span>');
+    }
+    row.append('<span class="error"></span>');
+    return row;
+};
+
+/**
+ * Fill the form with a configuration
+ * @param {Object} values - name -> value (missing names are left as they are)
+ */
+SettingsPanel.prototype.setValues = function(values) {
+    for (var name in values) {
+        var param = Params.BY_NAME[name];
+        if (!param) continue;
+        this.setValue(name, values[name]);
+    }
+    this._update();
+};
+
+SettingsPanel.prototype._update = function() {
+    this._toggle();
+    var form = this.read();
+    if (this.onChange) {
+        this.onChange(form);
+    }
+};
+
+/**
+ * Fill one field
+ */
+SettingsPanel.prototype.setValue = function(name, value) {
+    var param = Params.BY_NAME[name];
+    var input = this.inputs[name];
+    if (param.type === "bool") {
+        input.prop("checked", value === true);
+    } else if ("empty" in param && value === param.empty) {
+        input.val("");
+    } else {
+        input.val(String(value));
+    }
+};
+
+/**
+ * Read and validate the form; errors are shown next to their fields
+ * @returns {Object} { values, errors } (errors empty if valid)
+ */
+SettingsPanel.prototype.read = function() {
+    var values = {};
+    var errors = {};
+    for (var i = 0; i < Params.SCHEMA.length; i++) {
+        var param = Params.SCHEMA[i];
+        var input = this.inputs[param.name];
+        var parsed = (param.type === "bool")
+            ? { value: input.prop("checked") }
+            : Params.parse(param, input.val());
+        if ("error" in parsed) {
+            errors[param.name] = parsed.error;
+        } else {
+            values[param.name] = parsed.value;
+        }
+    }
+    var invalid = Params.validate(values);
+    for (var name in invalid) {
+        errors[name] = errors[name] || invalid[name];
+    }
+
+    for (var name in this.inputs) {
+        var row = this.container.find('[data-param="' + name + '"]');
+        row.toggleClass("invalid", !!errors[name]);
+        row.find(".error").text(errors[name] || "");
+    }
+    return { values: values, errors: errors };
+};
+
+/**
+ * Show only the fields of the selected algorithm
+ */
+SettingsPanel.prototype._toggle = function() {
+    var algorithm = this.inputs.algorithm.val();
+    this.container.find("[data-only]").each(function() {
+        $(this).css({ display: ($(this).attr("data-only") === algorithm) ? "flex" : "none" });
+    });
+};
+
+module.exports = SettingsPanel;
@@ -0,0 +1,70 @@
+/**
+ * TspView - Draws TSP cities and the best tour of a TspColony on a canvas
+ */
+
+function TspView(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.padding = 20;
+}
+
+/**
+ * Map city coordinates into the canvas, keeping the aspect ratio
+ */
+TspView.prototype._transform = function(cities) {
+    var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (var i = 0; i < cities.length; i++) {
+        minX = Math.min(minX, cities[i].x);
+        minY = Math.min(minY, cities[i].y);
+        maxX = Math.max(maxX, cities[i].x);
+        maxY = Math.max(maxY, cities[i].y);
+    }
+    var w = this.canvas.width - 2 * this.padding;
+    var h = this.canvas.height - 2 * this.padding;
+    var scale = Math.min(w / ((maxX - minX) || 1), h / ((maxY - minY) || 1));
+    var padding = this.padding;
+    return function(city) {
+        // TSPLIB y grows upwards, canvas y grows downwards
+        return {
+            x: padding + (city.x - minX) * scale,
+            y: padding + h - (city.y - minY) * scale
+        };
+    };
+};
+
+/**
+ * Render cities and the best tour so far
+ * @param {TspColony} colony
+ */
+TspView.prototype.render = function(colony) {
+    var ctx = this.ctx;
+    var cities = colony.instance.cities;
+    var project = this._transform(cities);
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    if (colony.bestTour) {
+        ctx.strokeStyle = "#abc123";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (var i = 0; i <= colony.bestTour.length; i++) {
+            var p = project(cities[colony.bestTour[i % colony.bestTour.length]]);
+            if (i === 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        }
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = "#fff";
+    for (var i = 0; i < cities.length; i++) {
+        var c = project(cities[i]);
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+};
+
+module.exports = TspView;